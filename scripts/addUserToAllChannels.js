@@ -1,5 +1,7 @@
 require('dotenv').config();
 
+const { createSlackClient, createRateLimiter } = require('./lib/slack');
+
 const CHANNEL_SLACK_BOT_TOKEN = process.env.CHANNEL_SLACK_BOT_TOKEN;
 const USER_ID = process.argv[2];
 
@@ -13,26 +15,16 @@ if (!USER_ID) {
   process.exit(1);
 }
 
-async function slackGet(method, params = {}) {
-  const url = new URL(`https://slack.com/api/${method}`);
-  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
-  const res = await fetch(url, {
-    headers: { Authorization: `Bearer ${CHANNEL_SLACK_BOT_TOKEN}` },
-  });
-  return res.json();
-}
-
-async function slackPost(method, body) {
-  const res = await fetch(`https://slack.com/api/${method}`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${CHANNEL_SLACK_BOT_TOKEN}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(body),
-  });
-  return res.json();
-}
+// Paced to Slack's rate-limit tiers by the shared client. Joins go through
+// an untracked client on the same limiter: a channel the bot can't join
+// (archived, Slack Connect…) only shows up as a failed invite.
+const limiter = createRateLimiter();
+const slack = createSlackClient({ token: CHANNEL_SLACK_BOT_TOKEN, limiter });
+const joinClient = createSlackClient({
+  token: CHANNEL_SLACK_BOT_TOKEN,
+  limiter,
+  trackFailures: false,
+});
 
 async function getAllChannels() {
   const channels = [];
@@ -44,7 +36,7 @@ async function getAllChannels() {
       types: 'public_channel',
     };
     if (cursor) params.cursor = cursor;
-    const data = await slackGet('conversations.list', params);
+    const data = await slack.get('conversations.list', params);
     if (!data.ok) throw new Error(`conversations.list failed: ${data.error}`);
     channels.push(...data.channels);
     cursor = data.response_metadata?.next_cursor;
@@ -63,12 +55,13 @@ async function main() {
 
   for (const channel of channels) {
     // Bot must be in the channel before it can invite others
-    await slackPost('conversations.join', { channel: channel.id });
+    await joinClient.post('conversations.join', { channel: channel.id });
 
-    const data = await slackPost('conversations.invite', {
-      channel: channel.id,
-      users: USER_ID,
-    });
+    const data = await slack.post(
+      'conversations.invite',
+      { channel: channel.id, users: USER_ID },
+      { expectedErrors: ['already_in_channel'] },
+    );
 
     if (data.ok) {
       console.log(`  + Added to #${channel.name}`);
@@ -79,17 +72,17 @@ async function main() {
       console.warn(`  ! Failed #${channel.name}: ${data.error}`);
       failed++;
     }
-
-    // Slack rate limit: ~50 req/min for this method
-    await new Promise((r) => setTimeout(r, 1200));
   }
 
   console.log(
     `\nDone. Added: ${added}, Already in: ${skipped}, Failed: ${failed}`,
   );
+
+  if (slack.reportFailures() > 0) process.exitCode = 1;
 }
 
 main().catch((err) => {
   console.error(err);
+  slack.reportFailures();
   process.exit(1);
 });
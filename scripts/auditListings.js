@@ -0,0 +1,129 @@
+require('dotenv').config();
+
+// rescue.config.json is loaded before the other modules, which read it, so a
+// bad config stops the run with its list of problems
+const { getRescueConfig, resolveChannel } = require('./lib/rescueConfig');
+
+let RESCUE_CONFIG;
+try {
+  RESCUE_CONFIG = getRescueConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const { parseArgs } = require('util');
+const { createShelterluvClient } = require('./lib/shelterluv');
+const { createSlackClient } = require('./lib/slack');
+const { fetchInCustodyAnimals } = require('./lib/animals');
+const {
+  isListedAvailable,
+  evaluateListing,
+  byNeed,
+  buildListingAuditPayload,
+  buildListingAuditFile,
+} = require('./lib/listings');
+
+const SHELTERLUV_API_KEY = process.env.SHELTERLUV_API_KEY;
+const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
+const MARKETING_CHANNEL = resolveChannel(RESCUE_CONFIG, 'marketing');
+const SLACK_CHANNEL_ID = MARKETING_CHANNEL.id;
+const LISTINGS = RESCUE_CONFIG.listings;
+
+// --dry-run renders the audit without posting; --preview-dir writes it as
+// JSON files instead of stdout.
+const { values: args } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    'preview-dir': { type: 'string' },
+  },
+});
+const DRY_RUN = args['dry-run'];
+
+if (!SHELTERLUV_API_KEY) {
+  console.error('Missing SHELTERLUV_API_KEY env var');
+}
+if (!SLACK_BOT_TOKEN && !DRY_RUN) {
+  console.error('Missing SLACK_BOT_TOKEN env var');
+}
+if (!SLACK_CHANNEL_ID && !DRY_RUN) {
+  console.error(`Missing ${MARKETING_CHANNEL.from}`);
+}
+if (!SHELTERLUV_API_KEY || (!DRY_RUN && (!SLACK_BOT_TOKEN || !SLACK_CHANNEL_ID))) {
+  process.exit(1);
+}
+
+const shelterluv = createShelterluvClient({ apiKey: SHELTERLUV_API_KEY });
+
+const slack = createSlackClient({
+  token: SLACK_BOT_TOKEN,
+  dryRun: DRY_RUN,
+  previewDir: args['preview-dir'],
+});
+
+// ---------- Main ----------
+//
+// A fresh post each week, like the weekly summary: the ranked "needs listing
+// love" list, with a CSV of every Available animal's score in its thread.
+
+async function main() {
+  console.log('Running adoption listing audit...');
+
+  const now = new Date();
+  const inCustodyAnimals = await fetchInCustodyAnimals(shelterluv);
+
+  const listed = inCustodyAnimals.filter(isListedAvailable).map((animal) => ({
+    animalId: animal.vaccineAnimalId,
+    name: animal.Name || `Animal ${animal.vaccineAnimalId}`,
+    species: animal.species,
+    status: animal.Status,
+    listing: evaluateListing(animal, { now, ...LISTINGS }),
+  }));
+  const needsLove = listed.filter((a) => a.listing.issues.length > 0).sort(byNeed);
+
+  console.log(
+    `Listings — Available: ${listed.length}, complete: ${listed.length - needsLove.length}, ` +
+      `need work: ${needsLove.length}`,
+  );
+  for (const { name, animalId, listing } of needsLove) {
+    console.log(`  ${name} (${animalId}): ${listing.score}/100, ${listing.issues.join(', ')}`);
+  }
+
+  let json;
+  try {
+    json = await slack.postMessageParts(
+      SLACK_CHANNEL_ID,
+      buildListingAuditPayload(listed, { ...LISTINGS, date: now }),
+    );
+  } catch (err) {
+    console.error('Failed to post the listing audit to Slack:', err.message);
+    slack.reportFailures();
+    process.exit(1);
+  }
+
+  if (listed.length > 0) {
+    try {
+      await slack.uploadFiles(SLACK_CHANNEL_ID, [buildListingAuditFile(listed, now)], {
+        threadTs: json.ts,
+        initialComment: `:bar_chart: Scores for all ${listed.length} Available listings`,
+      });
+    } catch (err) {
+      console.error('Failed to upload the listing audit CSV:', err.message);
+    }
+  }
+
+  console.log(
+    DRY_RUN
+      ? `[dry-run] Rendered ${slack.preview.count} Slack messages; nothing was posted.`
+      : 'Listing audit posted to Slack.',
+  );
+
+  // Partial posts fail the run so they get noticed
+  if (slack.reportFailures() > 0) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  slack.reportFailures();
+  process.exit(1);
+});
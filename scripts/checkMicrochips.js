@@ -0,0 +1,190 @@
+require('dotenv').config();
+
+// rescue.config.json is loaded before the other modules, which read it, so a
+// bad config stops the run with its list of problems
+const { getRescueConfig, resolveChannel } = require('./lib/rescueConfig');
+
+let RESCUE_CONFIG;
+try {
+  RESCUE_CONFIG = getRescueConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const { parseArgs } = require('util');
+const { createShelterluvClient } = require('./lib/shelterluv');
+const { createSlackClient } = require('./lib/slack');
+const { createMessageSync } = require('./lib/messageSync');
+const { readState, writeState } = require('./lib/store');
+const { fetchInCustodyAnimals, photoUrlOf } = require('./lib/animals');
+const { evaluateMicrochips, byUrgency } = require('./lib/microchips');
+const {
+  MICROCHIP_EVENT_TYPE,
+  buildMicrochipPayloadForAnimal,
+  buildMicrochipSummaryPayload,
+} = require('./lib/microchipCards');
+
+const SHELTERLUV_API_KEY = process.env.SHELTERLUV_API_KEY;
+const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
+// Its own channel: the vaccine check clears untagged bot posts from its channel
+const MICROCHIP_CHANNEL = resolveChannel(RESCUE_CONFIG, 'microchips');
+const SLACK_CHANNEL_ID = MICROCHIP_CHANNEL.id;
+const { escalateAfterDays } = RESCUE_CONFIG.microchips;
+
+// --dry-run renders every Slack payload without posting; --preview-dir
+// writes them as JSON files instead of stdout.
+const { values: args } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    'preview-dir': { type: 'string' },
+  },
+});
+const DRY_RUN = args['dry-run'];
+
+if (!SHELTERLUV_API_KEY) {
+  console.error('Missing SHELTERLUV_API_KEY env var');
+}
+if (!SLACK_BOT_TOKEN && !DRY_RUN) {
+  console.error('Missing SLACK_BOT_TOKEN env var');
+}
+if (!SLACK_CHANNEL_ID && !DRY_RUN) {
+  console.error(`Missing ${MICROCHIP_CHANNEL.from}`);
+}
+if (!SHELTERLUV_API_KEY || (!DRY_RUN && (!SLACK_BOT_TOKEN || !SLACK_CHANNEL_ID))) {
+  process.exit(1);
+}
+
+const shelterluv = createShelterluvClient({ apiKey: SHELTERLUV_API_KEY });
+
+// ---------- Slack message sync ----------
+//
+// Like the vaccine check: one long-lived card per flagged animal, updated in
+// place each day, and deleted once the animal is chipped or leaves custody.
+// The summary at the top is updated in place too.
+
+const MESSAGE_STATE_FILE = 'microchip-messages.json';
+const SUMMARY_KEY = 'summary';
+
+const slack = createSlackClient({
+  token: SLACK_BOT_TOKEN,
+  dryRun: DRY_RUN,
+  previewDir: args['preview-dir'],
+});
+
+const { upsertMessage, removeTracked, recoverMessages } = createMessageSync({
+  slack,
+  channel: SLACK_CHANNEL_ID,
+  eventType: MICROCHIP_EVENT_TYPE,
+});
+
+const loadMessageState = async () => {
+  const state = readState(MESSAGE_STATE_FILE);
+  if (state && state.channel === SLACK_CHANNEL_ID) return state.messages || {};
+  if (!SLACK_BOT_TOKEN) return {};
+  return recoverMessages();
+};
+
+// ---------- Main ----------
+
+async function main() {
+  console.log('Running microchip check...');
+
+  const now = new Date();
+  const inCustodyAnimals = await fetchInCustodyAnimals(shelterluv);
+
+  const flagged = inCustodyAnimals
+    .map((animal) => ({
+      key: `${animal.species}:${animal.vaccineAnimalId}`,
+      animalId: animal.vaccineAnimalId,
+      name: animal.Name || `Animal ${animal.vaccineAnimalId}`,
+      species: animal.species,
+      photoUrl: photoUrlOf(animal),
+      microchips: evaluateMicrochips(animal, { now, escalateAfterDays }),
+    }))
+    .filter((animal) => animal.microchips.issues.length > 0)
+    .sort(byUrgency);
+
+  const escalated = flagged.filter((a) => a.microchips.escalated);
+  console.log(
+    `Microchips — checked: ${inCustodyAnimals.length}, flagged: ${flagged.length}, ` +
+      `escalated (no chip after ${escalateAfterDays} days): ${escalated.length}`,
+  );
+  for (const { name, animalId, microchips } of flagged) {
+    console.log(`  ${name} (${animalId}): ${microchips.issues.join(', ')}`);
+  }
+
+  const previousMessages = await loadMessageState();
+  const nextMessages = {};
+  let updated = 0;
+  let posted = 0;
+  let removed = 0;
+
+  const syncMessage = async (key, name, payload) => {
+    const existing = previousMessages[key];
+    try {
+      const { ts, parts } = await upsertMessage(key, payload, existing);
+      nextMessages[key] = parts.length > 0 ? { ts, name, parts } : { ts, name };
+      if (existing?.ts === ts) updated++;
+      else posted++;
+    } catch (err) {
+      console.error(`Failed to send Slack message for ${name}:`, err.message);
+      if (existing) nextMessages[key] = existing;
+    }
+  };
+
+  await syncMessage(
+    SUMMARY_KEY,
+    'microchip summary',
+    buildMicrochipSummaryPayload(flagged, {
+      checked: inCustodyAnimals.length,
+      escalateAfterDays,
+      date: now,
+    }),
+  );
+
+  for (const animal of flagged) {
+    await syncMessage(
+      animal.key,
+      animal.name,
+      buildMicrochipPayloadForAnimal(animal, animal.microchips, { escalateAfterDays }),
+    );
+  }
+
+  for (const [key, message] of Object.entries(previousMessages)) {
+    if (nextMessages[key]) continue;
+    try {
+      await removeTracked(message);
+      removed++;
+      console.log(`Removed card for ${message.name || key} (chipped or left custody).`);
+    } catch (err) {
+      console.error(`Failed to delete Slack message for ${key}:`, err.message);
+      nextMessages[key] = message;
+    }
+  }
+
+  console.log(
+    `Slack sync — updated: ${updated}, posted: ${posted}, removed: ${removed}`,
+  );
+
+  if (DRY_RUN) {
+    console.log(
+      `[dry-run] Rendered ${slack.preview.count} Slack messages; nothing was posted.`,
+    );
+  } else {
+    writeState(MESSAGE_STATE_FILE, {
+      channel: SLACK_CHANNEL_ID,
+      updatedAt: new Date().toISOString(),
+      messages: nextMessages,
+    });
+  }
+
+  // Partial posts fail the run so they get noticed
+  if (slack.reportFailures() > 0) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  slack.reportFailures();
+  process.exit(1);
+});
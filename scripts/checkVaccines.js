@@ -1,963 +1,657 @@
 require('dotenv').config();
 
+// rescue.config.json is loaded before the other modules, which read it, so a
+// bad config stops the run with its list of problems
+const { getRescueConfig, resolveChannel, WEEKDAYS } = require('./lib/rescueConfig');
+
+let RESCUE_CONFIG;
+try {
+  RESCUE_CONFIG = getRescueConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createShelterluvClient } = require('./lib/shelterluv');
+const { createSlackClient } = require('./lib/slack');
+const { readState, writeState } = require('./lib/store');
+const { recordRun, diffRuns } = require('./lib/history');
+const { classifyVaccineType } = require('./lib/vaccineStatus');
+const { findUnmatchedProducts } = require('./lib/vaccineTaxonomy');
+const { rankByUrgency } = require('./lib/digest');
+const { createMessageSync } = require('./lib/messageSync');
+const { SPECIES } = require('./lib/species');
+const { formatDate, toDateKey } = require('./lib/dates');
+const { buildComplianceReport } = require('./lib/complianceReport');
+const { evaluateSpayNeuter, buildSpayNeuterPayload } = require('./lib/spayNeuter');
+const {
+  parseWeight,
+  recordWeights,
+  evaluateWeight,
+  buildWeightAlertPayload,
+} = require('./lib/weights');
+const {
+  fetchInCustodyAnimals,
+  photoUrlOf,
+  evaluateAnimal,
+} = require('./lib/animals');
+const {
+  DEFAULT_QUIET_DAYS,
+  fosterOf,
+  normalizeName,
+  loadFosterMapping,
+  createFosterDirectory,
+  itemKey,
+  notifiableTypes,
+  wasSentRecently,
+  pruneSent,
+} = require('./lib/fosters');
+const {
+  buildSlackPayloadForAnimal,
+  buildSlackSummaryPayload,
+  buildChangesPayload,
+  buildUnmatchedProductsPayload,
+  buildFosterDmPayload,
+  buildDigestPayload,
+  CARD_EVENT_TYPE,
+  cardKey,
+} = require('./lib/vaccineCards');
+const {
+  ACK_STATE_FILE,
+  ackKey,
+  applyAcknowledgements,
+} = require('./lib/acknowledgements');
+
 const SHELTERLUV_API_KEY = process.env.SHELTERLUV_API_KEY;
 const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
-const SLACK_CHANNEL_ID = process.env.SLACK_CHANNEL_ID;
-
-const DAYS_BEFORE_DUE = 30; // how far ahead to look (outer window)
-const TWO_WEEKS_BEFORE_DUE = 14; // "needs attention" window
+const VACCINE_CHANNEL = resolveChannel(RESCUE_CONFIG, 'vaccines');
+const SLACK_CHANNEL_ID = VACCINE_CHANNEL.id;
+const SPAY_NEUTER = RESCUE_CONFIG.spayNeuter;
+const WEIGHTS = RESCUE_CONFIG.weights;
+const FOSTER_DM_QUIET_DAYS = Number(
+  process.env.FOSTER_DM_QUIET_DAYS || DEFAULT_QUIET_DAYS,
+);
+
+// --dry-run renders every Slack payload without posting or clearing the
+// channel; --preview-dir writes them as JSON files instead of stdout.
+// --notify-fosters also DMs each foster about their animals' vaccines.
+// --layout digest posts one ranked message a day with the cards in its
+// thread instead of a top-level card per animal (default: VACCINE_LAYOUT or cards).
+// --report writes a CSV and XLSX compliance report to --report-dir (default:
+// VACCINE_REPORT_DIR or ./reports); --upload-report also shares it in Slack.
+const LAYOUTS = ['cards', 'digest'];
+const { values: args } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    'preview-dir': { type: 'string' },
+    'notify-fosters': { type: 'boolean', default: false },
+    layout: { type: 'string', default: process.env.VACCINE_LAYOUT || 'cards' },
+    report: { type: 'boolean', default: false },
+    'report-dir': {
+      type: 'string',
+      default: process.env.VACCINE_REPORT_DIR || path.join(__dirname, '..', 'reports'),
+    },
+    'upload-report': { type: 'boolean', default: false },
+  },
+});
+const DRY_RUN = args['dry-run'];
+const DIGEST = args.layout === 'digest';
+const UPLOAD_REPORT = args['upload-report'];
+const WRITE_REPORT = args.report || UPLOAD_REPORT;
 
 if (!SHELTERLUV_API_KEY) {
   console.error('Missing SHELTERLUV_API_KEY env var');
 }
-if (!SLACK_BOT_TOKEN) {
+if (!SLACK_BOT_TOKEN && !DRY_RUN) {
   console.error('Missing SLACK_BOT_TOKEN env var');
 }
-if (!SLACK_CHANNEL_ID) {
-  console.error('Missing SLACK_CHANNEL_ID env var');
+if (!SLACK_CHANNEL_ID && !DRY_RUN) {
+  console.error(`Missing ${VACCINE_CHANNEL.from}`);
 }
-if (!SHELTERLUV_API_KEY || !SLACK_BOT_TOKEN || !SLACK_CHANNEL_ID) {
+if (!Number.isFinite(FOSTER_DM_QUIET_DAYS) || FOSTER_DM_QUIET_DAYS < 0) {
+  console.error('FOSTER_DM_QUIET_DAYS must be a number of days');
+}
+if (!LAYOUTS.includes(args.layout)) {
+  console.error(`--layout must be one of ${LAYOUTS.join(', ')}`);
+}
+if (
+  !SHELTERLUV_API_KEY ||
+  !LAYOUTS.includes(args.layout) ||
+  (!DRY_RUN && (!SLACK_BOT_TOKEN || !SLACK_CHANNEL_ID)) ||
+  !Number.isFinite(FOSTER_DM_QUIET_DAYS) ||
+  FOSTER_DM_QUIET_DAYS < 0
+) {
   process.exit(1);
 }
 
-// ---------- Helpers ----------
+// ---------- Shelterluv API calls ----------
 
-// Convert Shelterluv unix-string (seconds) to JS Date
-const unixStringToDate = (str) => {
-  if (!str) return null;
-  const seconds = Number(str);
-  if (!Number.isFinite(seconds)) return null;
-  return new Date(seconds * 1000);
-};
+const shelterluv = createShelterluvClient({ apiKey: SHELTERLUV_API_KEY });
+
+// ---------- Slack message sync ----------
+//
+// Each animal gets one long-lived card, keyed by species and animal ID. Later
+// runs update the card in place (keeping volunteers' threads and reactions),
+// post cards only for new animals and delete cards only for animals that left
+// custody. Each species has its own all-current summary.
+//
+// In the digest layout the day's messages go in the thread of a single
+// ranked digest, keyed by date. Tracked thread replies remember their
+// threadTs; earlier digests and their threads are left as channel history.
+
+const MESSAGE_STATE_FILE = 'slack-messages.json';
+const SUMMARY_KEY = 'summary';
+const CHANGES_KEY = 'changes';
+const UNMATCHED_KEY = 'unmatched-products';
+const SPAY_NEUTER_KEY = 'spay-neuter';
+const WEIGHT_ALERT_KEY = 'weight-alerts';
+const DIGEST_KEY = 'digest';
+const HISTORY_STATE_FILE = 'vaccine-history.json';
+const FOSTER_DM_STATE_FILE = 'foster-dms.json';
+const WEIGHT_STATE_FILE = 'weight-history.json';
+
+const slack = createSlackClient({
+  token: SLACK_BOT_TOKEN,
+  dryRun: DRY_RUN,
+  previewDir: args['preview-dir'],
+});
 
-// Format date as 12/1/2025
-const formatDate = (date) => {
-  if (!date || !(date instanceof Date) || isNaN(date.getTime())) {
-    return 'unknown date';
-  }
-  const month = date.getMonth() + 1; // 0-based
-  const day = date.getDate();
-  const year = date.getFullYear();
-  return `${month}/${day}/${year}`;
-};
+const isCardKey = (key) => Boolean(SPECIES[key.split(':')[0]]);
+const summaryKey = (species) => `${SUMMARY_KEY}:${species}`;
+const digestKey = (now) => `${DIGEST_KEY}:${toDateKey(now)}`;
+const isDigestKey = (key) => key.startsWith(`${DIGEST_KEY}:`);
 
-// Try to find the Shelterluv internal ID used by the vaccines API
-const getVaccineInternalIdFromAnimal = (animal) => {
-  const explicitCandidates = [
-    animal.animal_id,
-    animal.internal_id,
-    animal.InternalID,
-    animal.InternalId,
-    animal.AnimalInternalId,
-    animal.ID,
-    animal.id,
-  ]
-    .filter((v) => v !== undefined && v !== null)
-    .map((v) => String(v).trim());
-
-  const allPrimitiveValues = Object.values(animal)
-    .filter((v) => typeof v === 'string' || typeof v === 'number')
-    .map((v) => String(v).trim());
-
-  const candidates = [...explicitCandidates, ...allPrimitiveValues];
-
-  const longNumeric = candidates.find((val) => /^\d{8,}$/.test(val));
-  if (longNumeric) return longNumeric;
-
-  const anyNumeric = candidates.find((val) => /^\d+$/.test(val));
-  if (anyNumeric) return anyNumeric;
-
-  return null;
+const { upsertMessage, removeTracked, recoverMessages } = createMessageSync({
+  slack,
+  channel: SLACK_CHANNEL_ID,
+  eventType: CARD_EVENT_TYPE,
+});
+
+// Rebuild the key → ts map from channel history when there is no local state
+// (first run, or the cache was lost). Untagged bot posts from the old
+// clear-and-repost flow are deleted once so they don't linger as duplicates.
+const loadMessageState = async () => {
+  const state = readState(MESSAGE_STATE_FILE);
+  if (state && state.channel === SLACK_CHANNEL_ID) return state.messages || {};
+  if (!SLACK_BOT_TOKEN) return {};
+  return recoverMessages({ deleteUntagged: true });
 };
 
-// Classify vaccine product into main families — returns an array since combo
-// products (e.g. DAPP/L4) cover multiple core types simultaneously.
-const classifyVaccineType = (product) => {
-  const p = (product || '').toLowerCase();
-  const types = [];
+// ---------- Foster DMs ----------
+//
+// Each foster gets one DM listing the needs-attention and overdue items for
+// the animals in their care. An item (animal + vaccine + status) is DMed at
+// most once per quiet period; the send times live in FOSTER_DM_STATE_FILE.
+
+const notifyFosters = async (alerts, now) => {
+  const directory = createFosterDirectory({ slack, mapping: loadFosterMapping() });
+  const state = readState(FOSTER_DM_STATE_FILE, { sent: {} });
+  const sent = pruneSent(state.sent || {}, now, FOSTER_DM_QUIET_DAYS);
+
+  const byFoster = new Map();
+  for (const alert of alerts) {
+    const types = alert.types.filter(
+      (t) =>
+        !wasSentRecently(
+          sent,
+          itemKey(alert.animalId, t.key, t.status),
+          now,
+          FOSTER_DM_QUIET_DAYS,
+        ),
+    );
+    if (types.length === 0) continue;
 
-  if (p.includes('rabies') || p.includes('rabvac') || p.includes('mrab')) {
-    types.push('rabies');
+    const key = normalizeName(alert.foster.name);
+    if (!byFoster.has(key)) byFoster.set(key, { foster: alert.foster, animals: [] });
+    byFoster.get(key).animals.push({ ...alert, types });
   }
 
-  if (
-    p.includes('dhpp') ||
-    p.includes('dhp') ||
-    p.includes('dapp') ||
-    p.includes('da2pp') ||
-    p.includes('da2lpp') ||
-    p.includes('da2ppv') ||
-    p.includes('dappv') ||
-    p.includes('vanguard dapp') ||
-    p.includes('nobivac canine 1-dappv')
-  ) {
-    types.push('dhpp_dapp');
-  }
+  let dmsSent = 0;
+  const unmapped = [];
 
-  if (p.includes('bordetella') || p.includes('trucan b')) {
-    types.push('bordetella');
-  }
+  for (const { foster, animals } of byFoster.values()) {
+    const userId = await directory.resolve(foster.name);
+    if (!userId) {
+      unmapped.push(foster.name);
+      continue;
+    }
 
-  if (
-    p.includes('lepto') ||
-    p.includes('4l') ||
-    p.includes('/l4') ||
-    p.includes('+l4') ||
-    p.includes(' l4') ||
-    p.includes('-l4') ||
-    p.includes('cl4') ||
-    p.includes('dhppl') ||
-    p.includes('da2ppvl') ||
-    p.includes('nobivac rl') ||
-    p.includes('recombitek canine corona') ||
-    p.includes('recombitek canine parvo')
-  ) {
-    types.push('lepto');
+    try {
+      await slack.postMessage(userId, buildFosterDmPayload(foster, animals));
+      dmsSent++;
+      for (const animal of animals) {
+        for (const type of animal.types) {
+          sent[itemKey(animal.animalId, type.key, type.status)] = now.toISOString();
+        }
+      }
+    } catch (err) {
+      console.error(`Failed to DM foster ${foster.name}:`, err.message);
+    }
   }
 
-  return types.length > 0 ? types : ['other'];
-};
-
-// ---------- Date classification (for scheduled vaccines) ----------
-
-const classifyByDueWindow = (scheduledForStr) => {
-  const date = unixStringToDate(scheduledForStr);
-  if (!date) return { status: 'unknown', diffDays: null, date: null };
-
-  const now = new Date();
-  const diffMs = date.getTime() - now.getTime();
-  const diffDays = diffMs / (1000 * 60 * 60 * 24);
-
-  if (diffDays < 0) {
-    return { status: 'overdue', diffDays, date };
+  if (unmapped.length > 0) {
+    console.warn(
+      `No Slack user for ${unmapped.length} fosters (add them to the foster mapping): ${unmapped.join(', ')}`,
+    );
   }
+  console.log(
+    `Foster DMs — sent: ${dmsSent}, quiet period: ${FOSTER_DM_QUIET_DAYS} days`,
+  );
 
-  if (diffDays <= TWO_WEEKS_BEFORE_DUE) {
-    return { status: 'needsAttention', diffDays, date };
+  if (!DRY_RUN) {
+    writeState(FOSTER_DM_STATE_FILE, { updatedAt: now.toISOString(), sent });
   }
+};
 
-  if (diffDays <= DAYS_BEFORE_DUE && diffDays > TWO_WEEKS_BEFORE_DUE) {
-    return { status: 'upcoming', diffDays, date };
+// ---------- Compliance report ----------
+//
+// One row per dog with each core vaccine's status, last-given and next-due
+// date, for the board and vet audits. The upload goes next to the day's post:
+// in the channel, or in the digest's thread.
+
+const writeComplianceReport = (report) => {
+  const dir = args['report-dir'];
+  fs.mkdirSync(dir, { recursive: true });
+  for (const file of report.files) {
+    const target = path.join(dir, file.filename);
+    fs.writeFileSync(target, file.content);
+    console.log(`Wrote ${target}`);
   }
-
-  return { status: 'current', diffDays, date };
 };
 
-const bucketScheduledVaccines = (vaccines) => {
-  const overdue = [];
-  const upcoming = [];
-  const needsAttention = [];
-  const current = [];
-  const unknown = [];
-
-  for (const v of vaccines) {
-    const { status, diffDays, date } = classifyByDueWindow(v.scheduled_for);
-
-    const base = {
-      vaccineId: v.id,
-      animalId: v.animal_id,
-      product: v.product,
-      manufacturer: v.manufacturer,
-      lot: v.lot,
-      scheduledFor: date,
-      diffDays,
-      status,
-    };
-
-    if (status === 'overdue') {
-      overdue.push(base);
-    } else if (status === 'needsAttention') {
-      needsAttention.push(base);
-    } else if (status === 'upcoming') {
-      upcoming.push(base);
-    } else if (status === 'current') {
-      current.push(base);
-    } else {
-      unknown.push(base);
-    }
+const uploadComplianceReport = async (report, now, threadTs) => {
+  const initialComment =
+    `:bar_chart: Vaccine compliance report for ${formatDate(now)} (${report.dogs} dogs)`;
+  try {
+    await slack.uploadFiles(SLACK_CHANNEL_ID, report.files, { threadTs, initialComment });
+    console.log(`Uploaded the compliance report (${report.files.length} files) to Slack.`);
+  } catch (err) {
+    console.error('Failed to upload the compliance report:', err.message);
   }
-
-  return { overdue, upcoming, needsAttention, current, unknown };
 };
 
-// ---------- Emoji mapping ----------
+// ---------- Main ----------
 
-const STATUS_EMOJI = {
-  overdue: ':alert:',
-  needsAttention: ':warning:',
-  upcoming: ':large_orange_circle:',
-  current: ':white_check_mark:',
-  none: ':bangbang:',
-  unknown: ':grey_question:',
-};
+async function main() {
+  console.log('Running vaccine schedule check...');
 
-// ---------- Shelterluv API calls ----------
+  const now = new Date();
+  const inCustodyAnimals = await fetchInCustodyAnimals(shelterluv);
+  const allCoreCurrentBySpecies = {};
+  const animalCards = [];
+  const snapshotAnimals = {};
+  const fosterAlerts = [];
+  const weightAlerts = [];
+
+  // Today's CurrentWeightPounds joins each animal's weigh-in history
+  const todayKey = toDateKey(now);
+  const weightHistory = recordWeights(
+    readState(WEIGHT_STATE_FILE, { animals: {} }),
+    inCustodyAnimals.map((animal) => ({
+      animalId: animal.vaccineAnimalId,
+      name: animal.Name || `Animal ${animal.vaccineAnimalId}`,
+      species: animal.species,
+      pounds: parseWeight(animal.CurrentWeightPounds),
+    })),
+    todayKey,
+  );
 
-// Get all in-custody animals, filter to dogs with an internal ID
-const fetchAllInCustodyDogs = async () => {
-  const baseUrl = 'https://new.shelterluv.com/api/v1/animals';
-  const limit = 200;
-  let offset = 0;
-  const allAnimals = [];
+  // Acknowledgements from the card buttons. Only those still attached to an
+  // alert are kept, so a resolved vaccine starts fresh the next time it's due.
+  const acks = readState(ACK_STATE_FILE, { items: {} });
+  const keptAcks = {};
 
-  while (true) {
-    const url = `${baseUrl}?status_type=in+custody&limit=${limit}&offset=${offset}`;
+  console.log(
+    `\nFetching ALL + SCHEDULED + OVERDUE vaccines for ${inCustodyAnimals.length} animals...`,
+  );
+  const vaccineResults = await shelterluv.fetchVaccinesForAnimals(
+    inCustodyAnimals.map((animal) => animal.vaccineAnimalId),
+  );
+  const failedAnimals = [];
+  const failedAnimalIds = [];
+  const failedCardKeys = [];
+  const vaccineListsBySpecies = {};
+  const reportEntries = [];
+
+  for (const [index, animal] of inCustodyAnimals.entries()) {
+    const { species } = animal;
+    const animalId = animal.vaccineAnimalId;
+    const name = animal.Name || `Animal ${animalId}`;
+    const photoUrl = photoUrlOf(animal);
 
-    console.log('Fetching in-custody animals from Shelterluv:', url);
+    // Weights come with the animal list, so they are checked even when the
+    // vaccine fetch fails
+    const weight = evaluateWeight(weightHistory.animals[animalId], { todayKey, ...WEIGHTS });
+    if (weight?.flagged) weightAlerts.push({ name, animalId, species, weight });
 
-    const res = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Authorization: `Bearer ${SHELTERLUV_API_KEY}`,
-        Accept: 'application/json',
-      },
-    });
+    const {
+      all: allVaccines,
+      scheduled: scheduledVaccines,
+      overdue: overdueVaccines,
+      error,
+    } = vaccineResults[index];
 
-    if (!res.ok) {
+    if (error) {
       console.error(
-        'Shelterluv animals API error:',
-        res.status,
-        await res.text(),
+        `Error fetching vaccines for ${name} (${animalId}), skipping:`,
+        error.message,
       );
-      throw new Error(`Animals API request failed with ${res.status}`);
+      failedAnimals.push(name);
+      failedAnimalIds.push(animalId);
+      failedCardKeys.push(cardKey(species, animalId));
+      for (const [key, ack] of Object.entries(acks.items || {})) {
+        if (key.startsWith(`${animalId}:`)) keptAcks[key] = ack;
+      }
+      reportEntries.push({ animal, animalId, name, species, vaccineStatus: null });
+      continue;
     }
 
-    const json = await res.json();
-    const batch = Array.isArray(json.animals) ? json.animals : json;
+    if (!vaccineListsBySpecies[species]) vaccineListsBySpecies[species] = [];
+    vaccineListsBySpecies[species].push({ animalName: name, vaccines: allVaccines });
 
-    if (!Array.isArray(batch) || batch.length === 0) {
-      break;
+    const vaccineStatus = applyAcknowledgements(
+      evaluateAnimal(
+        animal,
+        { all: allVaccines, scheduled: scheduledVaccines, overdue: overdueVaccines },
+        now,
+      ),
+      acks,
+      animalId,
+      now,
+    );
+    for (const type of vaccineStatus.types) {
+      if (type.ack) keptAcks[ackKey(animalId, type.key)] = type.ack;
     }
+    reportEntries.push({ animal, animalId, name, species, vaccineStatus });
 
-    allAnimals.push(...batch);
-
-    if (json.has_more === false || batch.length < limit) {
-      break;
+    for (const { types, reason, message } of vaccineStatus.removedScheduled) {
+      console.log(
+        `Filtering out ${reason} scheduled ${types.join('+')} for ${name}: ${message}`,
+      );
     }
 
-    offset += limit;
-  }
-
-  console.log('Total in-custody animals fetched:', allAnimals.length);
-
-  const dogsWithIds = allAnimals
-    .filter((animal) => animal.Type === 'Dog')
-    .map((animal) => {
-      const vaccineAnimalId = getVaccineInternalIdFromAnimal(animal);
-
-      if (!vaccineAnimalId) {
-        console.warn(
-          'Could not find vaccine internal ID for animal, skipping:',
-          {
-            Name: animal.Name,
-            rawIdFields: {
-              animal_id: animal.animal_id,
-              internal_id: animal.internal_id,
-              InternalID: animal.InternalID,
-              ID: animal.ID,
-              id: animal.id,
-            },
-          },
-        );
-      }
+    const payload = buildSlackPayloadForAnimal(
+      { animalId, name, photoUrl },
+      vaccineStatus,
+      { weight },
+    );
 
-      return {
-        ...animal,
-        vaccineAnimalId,
-      };
-    })
-    .filter((animal) => Boolean(animal.vaccineAnimalId));
+    snapshotAnimals[animalId] = {
+      name,
+      species,
+      statuses: Object.fromEntries(
+        vaccineStatus.types.map(({ key, status }) => [key, status]),
+      ),
+    };
 
-  console.log(
-    'In-custody dogs with vaccine IDs:',
-    dogsWithIds.length,
-    'example:',
-    dogsWithIds[0]
-      ? {
-          Name: dogsWithIds[0].Name,
-          vaccineAnimalId: dogsWithIds[0].vaccineAnimalId,
-        }
-      : null,
-  );
+    animalCards.push({
+      key: cardKey(species, animalId),
+      name,
+      animalId,
+      species,
+      vaccineStatus,
+      payload,
+      allCoreCurrent: vaccineStatus.allCoreCurrent,
+      weightFlagged: Boolean(weight?.flagged),
+    });
 
-  return dogsWithIds;
-};
+    const foster = fosterOf(animal);
+    const notifyTypes = notifiableTypes(vaccineStatus);
+    if (foster && notifyTypes.length > 0) {
+      fosterAlerts.push({ foster, animalId, name, species, types: notifyTypes });
+    }
 
-// Fetch **all** vaccines (completed + scheduled) for a dog (for history)
-const fetchAllVaccinesForAnimal = async (animalId) => {
-  const url = `https://new.shelterluv.com/api/v1/animals/${animalId}/vaccines`;
+    if (vaccineStatus.allCoreCurrent) {
+      if (!allCoreCurrentBySpecies[species]) allCoreCurrentBySpecies[species] = [];
+      allCoreCurrentBySpecies[species].push({ name, animalId, photoUrl });
+    }
+  }
 
-  console.log('Calling ALL vaccines endpoint:', url);
+  const snapshot = { date: todayKey, dogs: snapshotAnimals };
+  const history = readState(HISTORY_STATE_FILE, { runs: [] });
+  const changes = diffRuns(history, snapshot, { skippedIds: failedAnimalIds });
 
-  const res = await fetch(url, {
-    method: 'GET',
-    headers: {
-      Authorization: `Bearer ${SHELTERLUV_API_KEY}`,
-      Accept: 'application/json',
-    },
-  });
+  console.log(
+    `Changes since ${changes.previousDate || 'first run'} — newly overdue: ${changes.newlyOverdue.length}, ` +
+      `resolved: ${changes.newlyResolved.length}, new arrivals: ${changes.newAnimals.length}, ` +
+      `left custody: ${changes.leftCustody.length}`,
+  );
 
-  if (!res.ok) {
-    console.error(
-      `Failed to fetch ALL vaccines for animal ${animalId}:`,
-      res.status,
-      await res.text(),
+  // Products no taxonomy rule matched — extend config/vaccineProducts.json.
+  // Each species is checked against its own rules.
+  const unmatchedProducts = Object.entries(vaccineListsBySpecies)
+    .flatMap(([species, lists]) =>
+      findUnmatchedProducts(
+        (product) => classifyVaccineType(product, species),
+        lists,
+      ).map((entry) => ({ ...entry, species })),
+    )
+    .sort((a, b) => b.count - a.count || a.product.localeCompare(b.product));
+  for (const { product, count, animals, species } of unmatchedProducts) {
+    console.warn(
+      `Unclassified ${species} vaccine product "${product}" (${count} records: ${animals.join(', ')})`,
     );
-    throw new Error(`All-vaccines fetch failed for ${animalId}`);
   }
 
-  const json = await res.json();
-
-  return Array.isArray(json.vaccines)
-    ? json.vaccines
-    : Array.isArray(json)
-      ? json
-      : [];
-};
-
-// Fetch **scheduled** vaccines for a dog (for next due / expiring)
-const fetchScheduledVaccinesForAnimal = async (animalId) => {
-  const url = `https://new.shelterluv.com/api/v1/animals/${animalId}/vaccines?status=scheduled`;
-
-  console.log('Calling SCHEDULED vaccines endpoint:', url);
-
-  const res = await fetch(url, {
-    method: 'GET',
-    headers: {
-      Authorization: `Bearer ${SHELTERLUV_API_KEY}`,
-      Accept: 'application/json',
-    },
-  });
+  const unalteredDogs = inCustodyAnimals
+    .filter((animal) => animal.species === 'dog')
+    .map((animal) => ({
+      name: animal.Name || `Animal ${animal.vaccineAnimalId}`,
+      animalId: animal.vaccineAnimalId,
+      spayNeuter: evaluateSpayNeuter(animal, { now, minAgeWeeks: SPAY_NEUTER.minAgeWeeks }),
+    }))
+    .filter((dog) => dog.spayNeuter.group);
+  const listedAvailable = unalteredDogs.filter((dog) => dog.spayNeuter.available);
+  console.log(
+    `Spay/neuter — unaltered dogs: ${unalteredDogs.length}, listed as available: ${listedAvailable.length}`,
+  );
+  for (const { name, animalId } of listedAvailable) {
+    console.warn(`${name} (${animalId}) is listed as available but not spayed/neutered`);
+  }
 
-  if (!res.ok) {
-    console.error(
-      `Failed to fetch SCHEDULED vaccines for animal ${animalId}:`,
-      res.status,
-      await res.text(),
+  console.log(
+    `Weights — changed more than ${WEIGHTS.changePercent}% within ${WEIGHTS.windowDays} days: ` +
+      `${weightAlerts.length}`,
+  );
+  for (const { name, animalId, weight } of weightAlerts) {
+    const { from, to, percent } = weight.change;
+    console.warn(
+      `${name} (${animalId}) weight changed ${Math.round(percent)}% ` +
+        `(${from.pounds} lb on ${from.date} → ${to.pounds} lb on ${to.date})`,
     );
-    throw new Error(`Scheduled-vaccines fetch failed for ${animalId}`);
   }
 
-  const json = await res.json();
+  const previousMessages = await loadMessageState();
+  const nextMessages = {};
+  let updated = 0;
+  let posted = 0;
+  let removed = 0;
 
-  return Array.isArray(json.vaccines)
-    ? json.vaccines
-    : Array.isArray(json)
-      ? json
-      : [];
-};
-
-// Fetch **overdue** vaccines for a dog (authoritative overdue status)
-const fetchOverdueVaccinesForAnimal = async (animalId) => {
-  const url = `https://new.shelterluv.com/api/v1/animals/${animalId}/vaccines?status=overdue`;
+  // Thread of today's digest, or null when posting to the channel itself
+  let threadTs = null;
 
-  console.log('Calling OVERDUE vaccines endpoint:', url);
+  // Only a message in the same place (channel or today's thread) is updated
+  const reusableMessage = (key) => {
+    const existing = previousMessages[key];
+    return existing && (existing.threadTs || null) === threadTs ? existing : null;
+  };
 
-  const res = await fetch(url, {
-    method: 'GET',
-    headers: {
-      Authorization: `Bearer ${SHELTERLUV_API_KEY}`,
-      Accept: 'application/json',
-    },
-  });
+  const syncMessage = async (key, name, payload) => {
+    const existing = previousMessages[key];
+    const reusable = reusableMessage(key);
+    try {
+      const { ts, parts } = await upsertMessage(key, payload, reusable, threadTs);
+      const message = { ts, name };
+      if (threadTs) message.threadTs = threadTs;
+      if (parts.length > 0) message.parts = parts;
+      nextMessages[key] = message;
+      if (reusable?.ts === ts) updated++;
+      else posted++;
+    } catch (err) {
+      console.error(`Failed to send Slack message for ${name}:`, err.message);
+      if (existing) nextMessages[key] = existing;
+    }
+  };
 
-  if (!res.ok) {
-    console.error(
-      `Failed to fetch OVERDUE vaccines for animal ${animalId}:`,
-      res.status,
-      await res.text(),
+  if (DIGEST) {
+    const key = digestKey(now);
+    await syncMessage(
+      key,
+      'daily digest',
+      buildDigestPayload(animalCards, { date: now, failed: failedAnimals }),
     );
-    throw new Error(`Overdue-vaccines fetch failed for ${animalId}`);
+    if (!nextMessages[key]) throw new Error('Could not post the daily digest');
+    threadTs = nextMessages[key].ts;
   }
 
-  const json = await res.json();
-
-  return Array.isArray(json.vaccines)
-    ? json.vaccines
-    : Array.isArray(json)
-      ? json
-      : [];
-};
-
-// ---------- Slack payload: formatted ----------
-const buildSlackPayloadForDog = (
-  dog,
-  allVaccines = [],
-  scheduledVaccines = [],
-  overdueVaccines = [],
-) => {
-  const nextScheduledByType = new Map();
-
-  for (const v of scheduledVaccines || []) {
-    const types = classifyVaccineType(v.product);
-    const date = unixStringToDate(v.scheduled_for);
-    if (!date || isNaN(date.getTime())) continue;
-
-    for (const type of types) {
-      const prev = nextScheduledByType.get(type);
-      if (!prev || date.getTime() < prev.getTime()) {
-        nextScheduledByType.set(type, date);
-      }
+  // The changes report is reposted fresh each day so it opens the day's post
+  if (previousMessages[CHANGES_KEY] && !previousMessages[CHANGES_KEY].threadTs) {
+    try {
+      await removeTracked(previousMessages[CHANGES_KEY]);
+    } catch (err) {
+      console.warn('Failed to delete previous changes report:', err.message);
     }
+    delete previousMessages[CHANGES_KEY];
   }
-
-  const hasAnyHistory = Array.isArray(allVaccines) && allVaccines.length > 0;
-
-  // Core vaccine families
-  const coreTypes = [
-    { key: 'rabies', label: 'Rabies' },
-    { key: 'dhpp_dapp', label: 'DHPP/DAPP' },
-    { key: 'bordetella', label: 'Bordetella' },
-    { key: 'lepto', label: 'Lepto' },
-  ];
-
-  // Calculate actual status based on Shelterluv statuses + schedules
-  let actualOverdueCount = 0;
-  let actualNeedsAttentionCount = 0;
-  let actualUpcomingCount = 0;
-  let actualCurrentCount = 0;
-  let missingCoreVaccinesCount = 0;
-  const missingVaccineTypes = [];
-
-  coreTypes.forEach(({ key, label }) => {
-    const historyForType = (allVaccines || []).filter(
-      (v) => classifyVaccineType(v.product).includes(key),
-    );
-
-    const scheduledForType = (scheduledVaccines || []).filter(
-      (v) => classifyVaccineType(v.product).includes(key),
+  await syncMessage(CHANGES_KEY, 'changes report', buildChangesPayload(changes));
+
+  for (const species of Object.values(SPECIES)) {
+    const allCurrent = allCoreCurrentBySpecies[species.key] || [];
+    if (allCurrent.length === 0) continue;
+    await syncMessage(
+      summaryKey(species.key),
+      `all-current ${species.key} summary`,
+      buildSlackSummaryPayload(allCurrent, species.key),
     );
-    const hasFutureScheduled = scheduledForType.some((v) => {
-      const date = unixStringToDate(v.scheduled_for);
-      return date && !isNaN(date.getTime()) && date.getTime() >= Date.now();
-    });
-
-    const completedDatesForType = historyForType
-      .filter((v) => v.completed_at)
-      .map((v) => unixStringToDate(v.completed_at))
-      .filter((d) => d && !isNaN(d.getTime()));
-    const mostRecentCompleted = completedDatesForType.length > 0
-      ? completedDatesForType.reduce((max, d) => (d > max ? d : max))
-      : null;
-
-    const hasOverdue =
-      !hasFutureScheduled &&
-      ((!mostRecentCompleted && historyForType.some((v) => v.status === 'overdue')) ||
-        (overdueVaccines || []).some((v) => {
-          if (!classifyVaccineType(v.product).includes(key)) return false;
-          if (!mostRecentCompleted) return true;
-          const overdueDate = unixStringToDate(v.scheduled_for);
-          return !overdueDate || mostRecentCompleted < overdueDate;
-        }));
-    if (hasOverdue) {
-      actualOverdueCount++;
-      return;
-    }
-
-    if (scheduledForType.length > 0) {
-      const earliestScheduled = scheduledForType
-        .map((v) => unixStringToDate(v.scheduled_for))
-        .filter((d) => d && !isNaN(d.getTime()))
-        .sort((a, b) => a.getTime() - b.getTime())[0];
+  }
 
-      const { status } = classifyByDueWindow(
-        earliestScheduled ? earliestScheduled.getTime() / 1000 : null,
+  // Unaltered dogs, daily or on the configured weekday. In between, the last
+  // list stays up as it was.
+  if (SPAY_NEUTER.cadence === 'daily' || WEEKDAYS[now.getDay()] === SPAY_NEUTER.weekday) {
+    if (unalteredDogs.length > 0) {
+      await syncMessage(
+        SPAY_NEUTER_KEY,
+        'spay/neuter list',
+        buildSpayNeuterPayload(unalteredDogs, SPAY_NEUTER),
       );
-
-      if (status === 'overdue') actualOverdueCount++;
-      else if (status === 'needsAttention') actualNeedsAttentionCount++;
-      else if (status === 'upcoming') actualUpcomingCount++;
-      else if (status === 'current') actualCurrentCount++;
-
-      return;
-    }
-
-    const hasCompleted = historyForType.some((v) => v.completed_at);
-    if (hasCompleted) {
-      actualCurrentCount++;
-      return;
-    }
-
-    missingCoreVaccinesCount++;
-    missingVaccineTypes.push(label);
-  });
-
-  const allCoreCurrent =
-    actualOverdueCount === 0 &&
-    actualNeedsAttentionCount === 0 &&
-    actualUpcomingCount === 0 &&
-    missingCoreVaccinesCount === 0;
-
-  // "Other" vaccines from full history
-  const otherVaccines = (allVaccines || []).filter(
-    (v) => classifyVaccineType(v.product).includes('other'),
-  );
-
-  // ---------- SUMMARY LINE ----------
-  let summaryLine;
-
-  if (!hasAnyHistory) {
-    summaryLine =
-      ':warning: *No vaccine records on file in Shelterluv.* ' +
-      "Please verify this dog's vaccination history.\n" +
-      `- ${missingCoreVaccinesCount} core vaccines missing`;
-  } else {
-    let overdueText = `– ${actualOverdueCount} overdue`;
-    if (missingCoreVaccinesCount > 0) {
-      overdueText += ` (${missingCoreVaccinesCount} missing: ${missingVaccineTypes.join(
-        ', ',
-      )})`;
     }
-
-    summaryLine =
-      overdueText +
-      '\n' +
-      `- ${
-        actualNeedsAttentionCount + actualUpcomingCount
-      } due within the month\n` +
-      `- ${actualCurrentCount} current`;
-  }
-
-  const blocks = [];
-
-  // Header
-  blocks.push({
-    type: 'header',
-    text: {
-      type: 'plain_text',
-      text: `${dog.name}'s Vaccine Status - animal_id: ${dog.animalId}`,
-
-      emoji: true,
-    },
-  });
-
-  // Summary with photo
-  const summaryBlock = {
-    type: 'section',
-    text: {
-      type: 'mrkdwn',
-      text: summaryLine,
-    },
-  };
-
-  if (dog.photoUrl) {
-    summaryBlock.accessory = {
-      type: 'image',
-      image_url: dog.photoUrl,
-      alt_text: dog.name,
-    };
+  } else if (previousMessages[SPAY_NEUTER_KEY]) {
+    nextMessages[SPAY_NEUTER_KEY] = previousMessages[SPAY_NEUTER_KEY];
   }
 
-  blocks.push(summaryBlock);
-
-  // ---------- CORE VACCINES (last given + next scheduled) ----------
-  coreTypes.forEach(({ key, label }) => {
-    const historyForType = (allVaccines || []).filter(
-      (v) => classifyVaccineType(v.product).includes(key),
+  if (weightAlerts.length > 0) {
+    await syncMessage(
+      WEIGHT_ALERT_KEY,
+      'weight alert',
+      buildWeightAlertPayload(weightAlerts, WEIGHTS),
     );
-
-    // Find the most recent completed vaccine
-    const completedVaccines = historyForType
-      .filter((v) => v.completed_at) // Only completed vaccines
-      .map((v) => ({
-        ...v,
-        completedDate: unixStringToDate(v.completed_at),
-      }))
-      .filter((v) => v.completedDate && !isNaN(v.completedDate.getTime()))
-      .sort((a, b) => b.completedDate.getTime() - a.completedDate.getTime());
-
-    const mostRecent = completedVaccines[0];
-
-    let statusKey = 'none';
-    let statusText = '';
-
-    const scheduledForType = (scheduledVaccines || []).filter(
-      (v) => classifyVaccineType(v.product).includes(key),
-    );
-    const hasFutureScheduled = scheduledForType.some((v) => {
-      const date = unixStringToDate(v.scheduled_for);
-      return date && !isNaN(date.getTime()) && date.getTime() >= Date.now();
-    });
-
-    const completedDatesForBlock = historyForType
-      .filter((v) => v.completed_at)
-      .map((v) => unixStringToDate(v.completed_at))
-      .filter((d) => d && !isNaN(d.getTime()));
-    const mostRecentCompletedForBlock = completedDatesForBlock.length > 0
-      ? completedDatesForBlock.reduce((max, d) => (d > max ? d : max))
-      : null;
-
-    const hasOverdue =
-      !hasFutureScheduled &&
-      ((!mostRecentCompletedForBlock && historyForType.some((v) => v.status === 'overdue')) ||
-        (overdueVaccines || []).some((v) => {
-          if (!classifyVaccineType(v.product).includes(key)) return false;
-          if (!mostRecentCompletedForBlock) return true;
-          const overdueDate = unixStringToDate(v.scheduled_for);
-          return !overdueDate || mostRecentCompletedForBlock < overdueDate;
-        }));
-    if (hasOverdue) {
-      statusKey = 'overdue';
-      statusText = '*Marked overdue in Shelterluv.*';
-    } else if (nextScheduledByType.has(key)) {
-      // Use Shelterluv schedule to determine due window
-      const now = new Date();
-      const nextDueDate = nextScheduledByType.get(key);
-      const daysUntilDue = Math.ceil(
-        (nextDueDate - now) / (1000 * 60 * 60 * 24),
-      );
-      const lastDateStr = mostRecent
-        ? formatDate(mostRecent.completedDate)
-        : 'unknown date';
-      const nextDateStr = formatDate(nextDueDate);
-
-      if (daysUntilDue < 0) {
-        statusKey = 'overdue';
-        const daysOverdue = Math.abs(daysUntilDue);
-        statusText = `Last given ${lastDateStr}. *${daysOverdue} days overdue* (was due ${nextDateStr})`;
-      } else if (daysUntilDue <= TWO_WEEKS_BEFORE_DUE) {
-        statusKey = 'needsAttention';
-        statusText = `Last given ${lastDateStr}. *Due in ${daysUntilDue} days* (${nextDateStr})`;
-      } else if (daysUntilDue <= DAYS_BEFORE_DUE) {
-        statusKey = 'upcoming';
-        statusText = `Last given ${lastDateStr}. Due in ${daysUntilDue} days (${nextDateStr})`;
-      } else {
-        statusKey = 'current';
-        statusText = `Last given ${lastDateStr}. Next due ${nextDateStr}`;
-      }
-    } else if (mostRecent) {
-      statusKey = 'current';
-      statusText = `Last given ${formatDate(
-        mostRecent.completedDate,
-      )}. Next due not scheduled`;
-    } else {
-      statusKey = 'unknown';
-      statusText = `No ${label.toLowerCase()} vaccine on file`;
-    }
-
-    const emoji = STATUS_EMOJI[statusKey] || STATUS_EMOJI.unknown;
-
-    blocks.push({
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `${emoji} *${label}*\n${statusText}\n`,
-      },
-    });
-  });
-
-  // ---------- OTHER VACCINES (optional detail) ----------
-  if (otherVaccines.length > 0) {
-    const rows = otherVaccines.map((v) => {
-      const dateStr = v.scheduled_for
-        ? formatDate(unixStringToDate(v.scheduled_for))
-        : v.completed_at
-          ? formatDate(unixStringToDate(v.completed_at))
-          : 'unknown date';
-
-      let statusKey = v.status || 'unknown';
-      if (!STATUS_EMOJI[statusKey]) statusKey = 'unknown';
-      const emoji = STATUS_EMOJI[statusKey];
-
-      return `${emoji} ${v.product || 'Unknown product'} – ${dateStr}`;
-    });
-
-    blocks.push({
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `*Other Vaccines*\n${rows.join('\n')}\n`,
-      },
-    });
   }
 
-  blocks.push({ type: 'divider' });
-
-  return {
-    text: `Shelterluv vaccine schedule check – ${dog.name}`,
-    blocks,
-    allCoreCurrent,
-  };
-};
-
-const buildSlackSummaryPayload = (dogs) => {
-  const rows = dogs.map((dog) => {
-    const block = {
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `*${dog.name}* — 4 core vaccines current`,
-      },
-    };
-
-    if (dog.photoUrl) {
-      block.accessory = {
-        type: 'image',
-        image_url: dog.photoUrl,
-        alt_text: dog.name,
-      };
-    }
-
-    return block;
-  });
-
-  return {
-    text: `Shelterluv vaccine schedule check – ${dogs.length} all current`,
-    blocks: [
-      {
-        type: 'header',
-        text: {
-          type: 'plain_text',
-          text: `${dogs.length} dogs whose vaccines are all up to date (4 core)`,
-          emoji: true,
-        },
-      },
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: 'Dogs with all 4 core vaccines current:',
-        },
-      },
-      ...rows,
-      { type: 'divider' },
-    ],
-  };
-};
-
-// ---------- Slack channel clearing ----------
-
-const clearSlackChannel = async () => {
-  let cursor;
-  let deleted = 0;
-
-  do {
-    const params = new URLSearchParams({ channel: SLACK_CHANNEL_ID, limit: '200' });
-    if (cursor) params.set('cursor', cursor);
-
-    const historyRes = await fetch(
-      `https://slack.com/api/conversations.history?${params}`,
-      { headers: { Authorization: `Bearer ${SLACK_BOT_TOKEN}` } },
+  if (unmatchedProducts.length > 0) {
+    await syncMessage(
+      UNMATCHED_KEY,
+      'unclassified products report',
+      buildUnmatchedProductsPayload(unmatchedProducts),
     );
-    const history = await historyRes.json();
-
-    if (!history.ok) {
-      console.error('Failed to fetch channel history:', history.error);
-      return;
-    }
-
-    for (const msg of (history.messages || []).filter((m) => !m.subtype)) {
-      const delRes = await fetch('https://slack.com/api/chat.delete', {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${SLACK_BOT_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ channel: SLACK_CHANNEL_ID, ts: msg.ts }),
-      });
-      const delJson = await delRes.json();
-      if (!delJson.ok) {
-        console.warn(`Failed to delete message ${msg.ts}:`, delJson.error);
-      } else {
-        deleted++;
-      }
-    }
-
-    cursor = history.response_metadata?.next_cursor;
-  } while (cursor);
-
-  console.log(`Cleared ${deleted} messages from Slack channel.`);
-};
-
-// ---------- Main ----------
-
-async function main() {
-  console.log('Running vaccine schedule check...');
-  await clearSlackChannel();
+  }
 
-  const inCustodyDogs = await fetchAllInCustodyDogs();
-  const allCoreCurrentDogs = [];
-  const fullPayloads = [];
+  // All-current animals live in the summary; they only keep a card of their
+  // own if one already exists, so any thread on it survives, or while their
+  // weight is flagged. Digest threads follow the digest's ranking.
+  const ranking = new Map(
+    rankByUrgency(animalCards).map((card, index) => [card.key, index]),
+  );
+  const rankOf = (card) => (ranking.has(card.key) ? ranking.get(card.key) : ranking.size);
+  const orderedCards = DIGEST
+    ? [...animalCards].sort((a, b) => rankOf(a) - rankOf(b))
+    : animalCards;
+
+  for (const { key, name, payload, allCoreCurrent, weightFlagged } of orderedCards) {
+    if (allCoreCurrent && !weightFlagged && !reusableMessage(key)) continue;
+    await syncMessage(key, name, payload);
+  }
 
-  for (const animal of inCustodyDogs) {
-    const animalId = animal.vaccineAnimalId;
+  // Animals whose vaccines couldn't be fetched keep their card untouched
+  for (const key of failedCardKeys) {
+    if (previousMessages[key]) nextMessages[key] = previousMessages[key];
+  }
 
-    if (!animalId) {
-      console.warn(
-        'Skipping animal with no vaccineAnimalId after filtering:',
-        animal.Name,
-      );
+  for (const [key, message] of Object.entries(previousMessages)) {
+    if (nextMessages[key]?.ts === message.ts) continue;
+    // Earlier digests and their threads stay as the channel's history
+    if (isDigestKey(key) || (message.threadTs && message.threadTs !== threadTs)) {
       continue;
     }
-
-    const name = animal.Name || `Animal ${animalId}`;
-    const photoUrl =
-      animal.CoverPhoto ||
-      (Array.isArray(animal.Photos) && animal.Photos[0]) ||
-      null;
-
-    console.log(
-      `\nFetching ALL + SCHEDULED vaccines for ${name} (vaccine ID: ${animalId})...`,
-    );
-
-    let allVaccines;
-    let scheduledVaccines;
-    let overdueVaccines;
-
     try {
-      allVaccines = await fetchAllVaccinesForAnimal(animalId);
-      scheduledVaccines = await fetchScheduledVaccinesForAnimal(animalId);
-      overdueVaccines = await fetchOverdueVaccinesForAnimal(animalId);
-    } catch (err) {
-      console.error(
-        `Error fetching vaccines for ${name} (${animalId}), skipping:`,
-        err.message,
+      await removeTracked(message);
+      removed++;
+      console.log(
+        nextMessages[key]
+          ? `Removed old message for ${message.name || key} (reposted in the ${args.layout} layout).`
+          : isCardKey(key)
+            ? `Removed card for ${message.name || key} (left custody).`
+            : `Removed ${message.name || key} (nothing to report).`,
       );
-      continue;
+    } catch (err) {
+      console.error(`Failed to delete Slack message for ${key}:`, err.message);
+      if (!nextMessages[key]) nextMessages[key] = message;
     }
+  }
 
-    // After fetching allVaccines and scheduledVaccines, filter out stale scheduled ones
-    const filteredScheduledVaccines = scheduledVaccines.filter(
-      (scheduledVax) => {
-        const scheduledTypes = classifyVaccineType(scheduledVax.product);
-        const scheduledDate = unixStringToDate(scheduledVax.scheduled_for);
-
-        // Find the most recent completed vaccine of the same type (type overlap)
-        const completedOfSameType = allVaccines
-          .filter(
-            (v) => {
-              const completedTypes = classifyVaccineType(v.product);
-              return completedTypes.some((t) => scheduledTypes.includes(t)) &&
-                v.completed_at &&
-                v.status !== 'scheduled';
-            },
-          )
-          .map((v) => ({
-            ...v,
-            completedDate: unixStringToDate(v.completed_at),
-          }))
-          .filter((v) => v.completedDate)
-          .sort(
-            (a, b) => b.completedDate.getTime() - a.completedDate.getTime(),
-          );
-
-        if (completedOfSameType.length > 0) {
-          const mostRecentCompleted = completedOfSameType[0].completedDate;
-
-          if (scheduledDate && mostRecentCompleted) {
-            // Calculate the difference in days
-            const diffMs =
-              scheduledDate.getTime() - mostRecentCompleted.getTime();
-            const diffDays = diffMs / (1000 * 60 * 60 * 24);
-
-            // Filter if the scheduled date is before or within 7 days after the most
-            // recent completion — it's the same vaccination event with bad data
-            if (diffDays < 7) {
-              console.log(
-                `Filtering out stale scheduled ${scheduledTypes.join('+')} for ${name}: ` +
-                  `scheduled ${formatDate(scheduledDate)} but already completed ` +
-                  `${formatDate(mostRecentCompleted)} (${Math.abs(Math.round(diffDays))} days apart)`,
-              );
-              return false;
-            }
-          }
-        }
-
-        // Filter if another scheduled entry of the same type exists more than 6 months
-        // later — that entry is the real next due date, making this one superseded
-        const sixMonthsMs = 180 * 24 * 60 * 60 * 1000;
-        if (scheduledDate) {
-          const hasLaterEntry = scheduledVaccines.some((other) => {
-            if (other.id === scheduledVax.id) return false;
-            const otherTypes = classifyVaccineType(other.product);
-            if (!otherTypes.some((t) => scheduledTypes.includes(t))) return false;
-            const otherDate = unixStringToDate(other.scheduled_for);
-            return otherDate && otherDate.getTime() - scheduledDate.getTime() > sixMonthsMs;
-          });
-          if (hasLaterEntry) {
-            console.log(
-              `Filtering out superseded scheduled ${scheduledTypes.join('+')} for ${name}: ` +
-                `scheduled ${formatDate(scheduledDate)}, a later entry exists`,
-            );
-            return false;
-          }
-        }
-
-        return true;
-      },
-    );
-
-    // Use filteredScheduledVaccines instead of scheduledVaccines
-    const buckets = bucketScheduledVaccines(filteredScheduledVaccines);
+  console.log(
+    `Slack sync — updated: ${updated}, posted: ${posted}, removed: ${removed}`,
+  );
 
-    const dog = {
-      animalId,
-      name,
-      photoUrl,
-      overdue: buckets.overdue,
-      needsAttention: buckets.needsAttention,
-      upcoming: buckets.upcoming,
-      current: buckets.current,
-      unknown: buckets.unknown,
-    };
+  if (WRITE_REPORT) {
+    const report = buildComplianceReport(reportEntries, now);
+    writeComplianceReport(report);
+    if (UPLOAD_REPORT) await uploadComplianceReport(report, now, threadTs);
+  }
 
-    const payload = buildSlackPayloadForDog(
-      dog,
-      allVaccines,
-      filteredScheduledVaccines,
-      overdueVaccines,
+  if (!DRY_RUN) {
+    writeState(
+      HISTORY_STATE_FILE,
+      recordRun(history, snapshot, { carryIds: failedAnimalIds }),
     );
-
-    if (payload.allCoreCurrent) {
-      allCoreCurrentDogs.push({
-        name: dog.name,
-        animalId: dog.animalId,
-        photoUrl: dog.photoUrl,
-      });
-    } else {
-      fullPayloads.push(payload);
+    writeState(WEIGHT_STATE_FILE, weightHistory);
+    // Keep buttons clicked while this run was going
+    const latestAcks = readState(ACK_STATE_FILE, { items: {} }).items || {};
+    for (const [key, ack] of Object.entries(latestAcks)) {
+      if (new Date(ack.at).getTime() >= now.getTime()) keptAcks[key] = ack;
     }
+    writeState(ACK_STATE_FILE, { items: keptAcks });
+    writeState(MESSAGE_STATE_FILE, {
+      channel: SLACK_CHANNEL_ID,
+      updatedAt: new Date().toISOString(),
+      messages: nextMessages,
+    });
   }
 
-  const postToSlack = async (payload) => {
-    const res = await fetch('https://slack.com/api/chat.postMessage', {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${SLACK_BOT_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ channel: SLACK_CHANNEL_ID, ...payload }),
-    });
-    const json = await res.json();
-    if (!json.ok) throw new Error(json.error);
-    return json;
-  };
+  if (args['notify-fosters']) {
+    await notifyFosters(fosterAlerts, now);
+  }
 
-  if (allCoreCurrentDogs.length > 0) {
-    const summaryPayload = buildSlackSummaryPayload(allCoreCurrentDogs);
-    try {
-      await postToSlack(summaryPayload);
-      console.log(`Slack summary sent for ${allCoreCurrentDogs.length} dogs.`);
-    } catch (err) {
-      console.error('Failed to send Slack summary message:', err.message);
-      return;
-    }
+  if (failedAnimals.length > 0) {
+    console.warn(
+      `Vaccines could not be fetched for ${failedAnimals.length} animals after retries: ${failedAnimals.join(', ')}`,
+    );
   }
 
-  for (const payload of fullPayloads) {
-    try {
-      await postToSlack(payload);
-      console.log(`Slack message sent for ${payload.text}.`);
-    } catch (err) {
-      console.error(`Failed to send Slack message for ${payload.text}:`, err.message);
-    }
+  if (DRY_RUN) {
+    console.log(
+      `[dry-run] Rendered ${slack.preview.count} Slack messages; nothing was posted.`,
+    );
   }
-}
 
-// Add this function to calculate next due date based on vaccine type
-const calculateNextDueDate = (lastCompletedDate, vaccineType) => {};
+  // Partial posts fail the run so they get noticed
+  if (slack.reportFailures() > 0) process.exitCode = 1;
+}
 
 main().catch((err) => {
   console.error(err);
+  slack.reportFailures();
   process.exit(1);
 });
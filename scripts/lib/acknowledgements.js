@@ -0,0 +1,79 @@
+// Coordinator acknowledgements from the buttons on vaccine cards ("Appointment
+// booked", "Given today", "Snooze"). Stored in STATE_DIR as
+//   { items: { 'animalId:typeKey': { action, userId, userName, at, until? } } }
+// The Slack app server (scripts/slackServer.js) records them; the daily check
+// shows them on the cards and leaves snoozed items out of its alerts.
+
+const { DAY_MS } = require('./dates');
+
+const ACK_STATE_FILE = 'vaccine-acks.json';
+const DEFAULT_SNOOZE_DAYS = 7;
+
+// Button action_id → what we record
+const ACK_ACTIONS = {
+  vaccine_booked: 'booked',
+  vaccine_given: 'given',
+  vaccine_snooze: 'snoozed',
+};
+
+// Statuses that get buttons (and that an acknowledgement can apply to)
+const ALERT_STATUSES = ['overdue', 'needsAttention'];
+
+const ackKey = (animalId, typeKey) => `${animalId}:${typeKey}`;
+
+// Returns the new ack; `acks` is updated in place
+const recordAcknowledgement = (
+  acks,
+  { animalId, typeKey, actionId, user, now = new Date(), snoozeDays = DEFAULT_SNOOZE_DAYS },
+) => {
+  const action = ACK_ACTIONS[actionId];
+  if (!action) throw new Error(`Unknown vaccine action "${actionId}"`);
+
+  const ack = {
+    action,
+    userId: user.id,
+    userName: user.name || user.username || user.id,
+    at: now.toISOString(),
+  };
+  if (action === 'snoozed') {
+    ack.until = new Date(now.getTime() + snoozeDays * DAY_MS).toISOString();
+  }
+
+  acks.items = { ...acks.items, [ackKey(animalId, typeKey)]: ack };
+  return ack;
+};
+
+const isActive = (ack, now) =>
+  ack.action !== 'snoozed' || new Date(ack.until).getTime() > now.getTime();
+
+// Attach active acks to the alert types of one animal's evaluateVaccineStatus
+// result. Acks on types that are no longer alerts are ignored (and dropped
+// by the caller), so a resolved vaccine starts fresh next time it's due.
+const applyAcknowledgements = (vaccineStatus, acks, animalId, now = new Date()) => {
+  const types = vaccineStatus.types.map((type) => {
+    const ack = acks.items?.[ackKey(animalId, type.key)];
+    if (!ack || !ALERT_STATUSES.includes(type.status) || !isActive(ack, now)) {
+      return type;
+    }
+    return { ...type, ack, snoozed: ack.action === 'snoozed' };
+  });
+
+  return {
+    ...vaccineStatus,
+    types,
+    counts: {
+      ...vaccineStatus.counts,
+      snoozed: types.filter((t) => t.snoozed).length,
+    },
+  };
+};
+
+module.exports = {
+  ACK_STATE_FILE,
+  DEFAULT_SNOOZE_DAYS,
+  ACK_ACTIONS,
+  ALERT_STATUSES,
+  ackKey,
+  recordAcknowledgement,
+  applyAcknowledgements,
+};
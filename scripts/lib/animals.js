@@ -0,0 +1,133 @@
+// Shelterluv animals as the vaccine tools see them: which in-custody animals
+// we track, the ID the vaccines API wants, and their evaluated status.
+// Shared by the daily check and the Slack app server.
+
+const { birthDateFromAnimal } = require('./dates');
+const { SPECIES, speciesForAnimal } = require('./species');
+const { evaluateVaccineStatus } = require('./vaccineStatus');
+
+// Try to find the Shelterluv internal ID used by the vaccines API
+const getVaccineInternalIdFromAnimal = (animal) => {
+  const explicitCandidates = [
+    animal.animal_id,
+    animal.internal_id,
+    animal.InternalID,
+    animal.InternalId,
+    animal.AnimalInternalId,
+    animal.ID,
+    animal.id,
+  ]
+    .filter((v) => v !== undefined && v !== null)
+    .map((v) => String(v).trim());
+
+  const allPrimitiveValues = Object.values(animal)
+    .filter((v) => typeof v === 'string' || typeof v === 'number')
+    .map((v) => String(v).trim());
+
+  const candidates = [...explicitCandidates, ...allPrimitiveValues];
+
+  const longNumeric = candidates.find((val) => /^\d{8,}$/.test(val));
+  if (longNumeric) return longNumeric;
+
+  const anyNumeric = candidates.find((val) => /^\d+$/.test(val));
+  if (anyNumeric) return anyNumeric;
+
+  return null;
+};
+
+// Get all in-custody animals, filter to species we track (dogs and cats) with
+// an internal ID. Each animal gets `vaccineAnimalId` and `species` added.
+const fetchInCustodyAnimals = async (shelterluv, { quiet = false } = {}) => {
+  const allAnimals = await shelterluv.fetchAnimals({
+    statusType: 'in custody',
+    limit: 200,
+  });
+
+  if (!quiet) console.log('Total in-custody animals fetched:', allAnimals.length);
+
+  const animalsWithIds = allAnimals
+    .filter((animal) => speciesForAnimal(animal))
+    .map((animal) => {
+      const vaccineAnimalId = getVaccineInternalIdFromAnimal(animal);
+
+      if (!vaccineAnimalId && !quiet) {
+        console.warn(
+          'Could not find vaccine internal ID for animal, skipping:',
+          {
+            Name: animal.Name,
+            rawIdFields: {
+              animal_id: animal.animal_id,
+              internal_id: animal.internal_id,
+              InternalID: animal.InternalID,
+              ID: animal.ID,
+              id: animal.id,
+            },
+          },
+        );
+      }
+
+      return {
+        ...animal,
+        vaccineAnimalId,
+        species: speciesForAnimal(animal).key,
+      };
+    })
+    .filter((animal) => Boolean(animal.vaccineAnimalId));
+
+  if (!quiet) {
+    for (const species of Object.values(SPECIES)) {
+      const ofSpecies = animalsWithIds.filter((a) => a.species === species.key);
+      console.log(
+        `In-custody ${species.plural} with vaccine IDs:`,
+        ofSpecies.length,
+        'example:',
+        ofSpecies[0]
+          ? {
+              Name: ofSpecies[0].Name,
+              vaccineAnimalId: ofSpecies[0].vaccineAnimalId,
+            }
+          : null,
+      );
+    }
+  }
+
+  return animalsWithIds;
+};
+
+const photoUrlOf = (animal) =>
+  animal.CoverPhoto ||
+  (Array.isArray(animal.Photos) && animal.Photos[0]) ||
+  null;
+
+// Status for one animal from its fetched vaccine lists ({ all, scheduled, overdue })
+const evaluateAnimal = (animal, { all, scheduled, overdue }, now = new Date()) =>
+  evaluateVaccineStatus({
+    all,
+    scheduled,
+    overdue,
+    now,
+    dob: birthDateFromAnimal(animal, now),
+    species: animal.species,
+  });
+
+// In-custody animals matching a /vaccines query: an animal ID, else an exact
+// name, else every name containing the query (all case-insensitive)
+const findAnimals = (animals, query) => {
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) return [];
+  if (/^\d+$/.test(q)) {
+    return animals.filter((a) => a.vaccineAnimalId === q || String(a.ID) === q);
+  }
+
+  const nameOf = (a) => String(a.Name || '').trim().toLowerCase();
+  const exact = animals.filter((a) => nameOf(a) === q);
+  return exact.length > 0 ? exact : animals.filter((a) => nameOf(a).includes(q));
+};
+
+module.exports = {
+  getVaccineInternalIdFromAnimal,
+  fetchInCustodyAnimals,
+  photoUrlOf,
+  evaluateAnimal,
+  findAnimals,
+};
@@ -0,0 +1,177 @@
+// Block Kit limits and helpers to stay inside them. Slack rejects a message
+// with more than 50 blocks or an over-long text field (invalid_blocks), so
+// payloads are split into numbered parts before they are sent.
+// https://api.slack.com/reference/block-kit/blocks
+
+const MAX_BLOCKS = 50;
+const MAX_SECTION_TEXT = 3000;
+const MAX_FIELDS = 10;
+const MAX_FIELD_TEXT = 2000;
+const MAX_HEADER_TEXT = 150;
+const MAX_CONTEXT_TEXT = 3000;
+// Slack truncates `text` at 40,000 characters; it's only the notification
+// and fallback when there are blocks, so keep it short
+const MAX_FALLBACK_TEXT = 4000;
+
+// Lists longer than this switch to the compact layout (several per block)
+const COMPACT_LIST_THRESHOLD = 10;
+
+const FENCE = '```';
+
+const truncate = (text, max) =>
+  text && text.length > max ? `${text.slice(0, max - 1)}…` : text;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+// Split mrkdwn at line breaks into pieces of at most `max` characters. A code
+// block cut in two is closed and reopened so both halves still render.
+const splitText = (text, max = MAX_SECTION_TEXT) => {
+  if (text.length <= max) return [text];
+
+  const limit = max - FENCE.length - 1; // room to close an open code block
+  const chunks = [];
+  let current = '';
+  let inFence = false;
+
+  const flush = () => {
+    chunks.push(inFence ? `${current}\n${FENCE}` : current);
+    current = inFence ? FENCE : '';
+  };
+  const append = (piece) => {
+    current = current ? `${current}\n${piece}` : piece;
+  };
+  const fresh = () => current === '' || current === FENCE;
+
+  for (const line of text.split('\n')) {
+    const sep = current ? 1 : 0;
+    if (!fresh() && current.length + sep + line.length > limit) flush();
+
+    // A single line longer than the limit is cut
+    let rest = line;
+    while (current.length + (current ? 1 : 0) + rest.length > limit) {
+      const room = limit - current.length - (current ? 1 : 0);
+      append(rest.slice(0, room));
+      rest = rest.slice(room);
+      flush();
+    }
+    append(rest);
+
+    if ((line.split(FENCE).length - 1) % 2 === 1) inFence = !inFence;
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+};
+
+// One block → one or more blocks that each respect the per-block limits
+const fitBlock = (block) => {
+  if (block.type === 'header' && block.text?.text) {
+    return [{ ...block, text: { ...block.text, text: truncate(block.text.text, MAX_HEADER_TEXT) } }];
+  }
+
+  if (block.type === 'context' && Array.isArray(block.elements)) {
+    return [
+      {
+        ...block,
+        elements: block.elements.map((el) =>
+          el.text ? { ...el, text: truncate(el.text, MAX_CONTEXT_TEXT) } : el,
+        ),
+      },
+    ];
+  }
+
+  if (block.type !== 'section') return [block];
+
+  const blocks = [];
+
+  if (block.text?.text && block.text.text.length > MAX_SECTION_TEXT) {
+    // The accessory and block_id stay on the first piece
+    const { accessory, block_id: blockId, fields, ...rest } = block;
+    splitText(block.text.text).forEach((text, i) => {
+      const piece = { ...rest, text: { ...block.text, text } };
+      if (i === 0 && accessory) piece.accessory = accessory;
+      if (i === 0 && blockId) piece.block_id = blockId;
+      blocks.push(piece);
+    });
+    if (fields) blocks.push({ type: 'section', fields });
+  } else {
+    blocks.push(block);
+  }
+
+  // Too many fields become several sections
+  return blocks.flatMap((b) => {
+    if (!Array.isArray(b.fields)) return [b];
+    const fields = b.fields.map((f) => ({ ...f, text: truncate(f.text, MAX_FIELD_TEXT) }));
+    if (fields.length <= MAX_FIELDS) return [{ ...b, fields }];
+    const [first, ...others] = chunk(fields, MAX_FIELDS);
+    return [{ ...b, fields: first }, ...others.map((group) => ({ type: 'section', fields: group }))];
+  });
+};
+
+// Several list items per block, as two-column section fields, e.g. for a
+// summary of 60 dogs
+const compactListBlocks = (items) =>
+  chunk(items, MAX_FIELDS).map((group) => ({
+    type: 'section',
+    fields: group.map((text) => ({ type: 'mrkdwn', text: truncate(text, MAX_FIELD_TEXT) })),
+  }));
+
+const partLabel = (index, total) => ({
+  type: 'context',
+  elements: [{ type: 'mrkdwn', text: `_Part ${index + 1} of ${total}_` }],
+});
+
+const isDivider = (block) => block.type === 'divider';
+
+// Split a payload into messages that each fit Slack's limits. Returns one
+// payload when it already fits; otherwise numbered parts, where only the
+// first keeps the message metadata. Callers decide where the parts go.
+const splitPayload = (payload, { maxBlocks = MAX_BLOCKS } = {}) => {
+  const { blocks: rawBlocks, text, metadata, ...rest } = payload;
+  const fallback = truncate(text, MAX_FALLBACK_TEXT);
+
+  if (!Array.isArray(rawBlocks)) return [{ ...payload, text: fallback }];
+
+  const blocks = rawBlocks.flatMap(fitBlock);
+  if (blocks.length <= maxBlocks) {
+    return [{ ...payload, text: fallback, blocks }];
+  }
+
+  // Leave room for the part label; parts don't start or end on a divider
+  const chunks = chunk(blocks, maxBlocks - 1)
+    .map((group) => {
+      const trimmed = [...group];
+      while (trimmed.length > 0 && isDivider(trimmed[0])) trimmed.shift();
+      while (trimmed.length > 0 && isDivider(trimmed[trimmed.length - 1])) trimmed.pop();
+      return trimmed;
+    })
+    .filter((group) => group.length > 0);
+  const total = chunks.length;
+
+  return chunks.map((group, i) => {
+    const partText = `${text || 'Continued'} (part ${i + 1} of ${total})`;
+    const part = {
+      ...rest,
+      text: i === 0 ? fallback : truncate(partText, MAX_FALLBACK_TEXT),
+      blocks: i === 0 ? [...group, partLabel(i, total)] : [partLabel(i, total), ...group],
+    };
+    if (i === 0 && metadata) part.metadata = metadata;
+    return part;
+  });
+};
+
+module.exports = {
+  MAX_BLOCKS,
+  MAX_SECTION_TEXT,
+  MAX_FIELDS,
+  COMPACT_LIST_THRESHOLD,
+  truncate,
+  splitText,
+  fitBlock,
+  compactListBlocks,
+  splitPayload,
+};
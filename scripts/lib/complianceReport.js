@@ -0,0 +1,99 @@
+// Vaccine compliance report from the daily check: one row per dog with its
+// foster, location and the status, last-given and next-due date of each core
+// vaccine, as CSV and XLSX (lib/spreadsheet.js).
+
+const { getSpecies } = require('./species');
+const { fosterOf } = require('./fosters');
+const { toDateKey } = require('./dates');
+const { DIGEST_GROUPS } = require('./digest');
+const { toCsv, toXlsx } = require('./spreadsheet');
+
+const REPORT_SPECIES = 'dog';
+const SHEET_NAME = 'Vaccine compliance';
+
+const groupOf = (key) => DIGEST_GROUPS.find((g) => g.key === key);
+
+// "Overdue", "Due within 14 days (snoozed)", "Current (no schedule)"…
+const statusLabel = (type) => {
+  const base =
+    type.status === 'current'
+      ? 'Current'
+      : (groupOf(type.status) || groupOf('unknown')).label;
+  const notes = [
+    type.missingSchedule && groupOf('missingSchedule').short,
+    type.snoozed && groupOf('snoozed').short,
+  ].filter(Boolean);
+  return notes.length > 0 ? `${base} (${notes.join(', ')})` : base;
+};
+
+const reportHeader = () => [
+  'Animal ID',
+  'Name',
+  'Foster',
+  'Location',
+  ...getSpecies(REPORT_SPECIES).coreTypes.flatMap(({ label }) => [
+    `${label} status`,
+    `${label} last given`,
+    `${label} next due`,
+  ]),
+];
+
+// `vaccineStatus` is null for a dog whose vaccines couldn't be fetched
+const reportRow = ({ animal, animalId, name, vaccineStatus }) => {
+  const types = new Map((vaccineStatus?.types || []).map((t) => [t.key, t]));
+
+  return [
+    String(animalId),
+    name,
+    fosterOf(animal)?.name || '',
+    animal.CurrentLocation?.Tier1 || '',
+    ...getSpecies(REPORT_SPECIES).coreTypes.flatMap(({ key }) => {
+      const type = types.get(key);
+      if (!vaccineStatus) return ['Not checked (Shelterluv error)', null, null];
+      if (!type) return ['', null, null];
+      return [statusLabel(type), type.lastGiven || null, type.nextDue || null];
+    }),
+  ];
+};
+
+// `entries` is [{ animal, animalId, name, species, vaccineStatus }]; returns
+// the header and one row per dog, by name
+const buildComplianceRows = (entries) => [
+  reportHeader(),
+  ...entries
+    .filter((entry) => entry.species === REPORT_SPECIES)
+    .sort(
+      (a, b) =>
+        a.name.localeCompare(b.name) || String(a.animalId).localeCompare(String(b.animalId)),
+    )
+    .map(reportRow),
+];
+
+// { dogs, files: [{ filename, title, content }] } ready to write or upload
+const buildComplianceReport = (entries, now = new Date()) => {
+  const rows = buildComplianceRows(entries);
+  const base = `vaccine-compliance-${toDateKey(now)}`;
+  const title = `Vaccine compliance ${toDateKey(now)}`;
+
+  return {
+    dogs: rows.length - 1,
+    files: [
+      {
+        filename: `${base}.csv`,
+        title: `${title} (CSV)`,
+        content: Buffer.from(toCsv(rows), 'utf8'),
+      },
+      {
+        filename: `${base}.xlsx`,
+        title: `${title} (Excel)`,
+        content: toXlsx(rows, { sheetName: SHEET_NAME }),
+      },
+    ],
+  };
+};
+
+module.exports = {
+  statusLabel,
+  buildComplianceRows,
+  buildComplianceReport,
+};
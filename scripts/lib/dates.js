@@ -0,0 +1,84 @@
+// Date helpers shared by the scripts
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Convert Shelterluv unix-string (seconds) to JS Date
+const unixStringToDate = (str) => {
+  if (!str) return null;
+  const seconds = Number(str);
+  if (!Number.isFinite(seconds) || seconds === 0) return null;
+  return new Date(seconds * 1000);
+};
+
+const isValidDate = (date) => date instanceof Date && !isNaN(date.getTime());
+
+// Format date as 12/1/2025
+const formatDate = (date) => {
+  if (!isValidDate(date)) return 'unknown date';
+  const month = date.getMonth() + 1; // 0-based
+  const day = date.getDate();
+  const year = date.getFullYear();
+  return `${month}/${day}/${year}`;
+};
+
+// Local calendar date, so two runs on the same day share one date key
+const toDateKey = (date) => {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+};
+
+// Parse a date key back to local midnight
+const fromDateKey = (key) => new Date(`${key}T00:00:00`);
+
+// Calendar days from one date key to another
+const daysBetween = (fromKey, toKey) =>
+  Math.round((fromDateKey(toKey) - fromDateKey(fromKey)) / DAY_MS);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Calendar month arithmetic; clamps e.g. Jan 31 + 1 month to Feb 28/29
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(
+    result.getFullYear(),
+    result.getMonth() + 1,
+    0,
+  ).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Birth date of a Shelterluv animal: DOBUnixTime, or estimated from Age
+// (months) when no DOB was entered
+const birthDateFromAnimal = (animal, now = new Date()) => {
+  const dob = unixStringToDate(animal.DOBUnixTime);
+  if (dob) return dob;
+
+  const months = animal.Age === null || animal.Age === '' ? NaN : Number(animal.Age);
+  return Number.isFinite(months) && months > 0 ? addMonths(now, -months) : null;
+};
+
+// Whole days since the animal's last intake, or null without an intake date
+const daysInCustodyOf = (animal, now = new Date()) => {
+  const intake = unixStringToDate(animal.LastIntakeUnixTime);
+  return intake ? Math.max(0, Math.floor((now - intake) / DAY_MS)) : null;
+};
+
+module.exports = {
+  DAY_MS,
+  addDays,
+  addMonths,
+  birthDateFromAnimal,
+  daysInCustodyOf,
+  toDateKey,
+  fromDateKey,
+  daysBetween,
+  unixStringToDate,
+  isValidDate,
+  formatDate,
+};
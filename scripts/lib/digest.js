@@ -0,0 +1,96 @@
+// Ranking for the digest layout of the daily check: one parent message with
+// every animal that needs something, grouped by its most urgent status and
+// ordered by days overdue / due soonest. Works on evaluateVaccineStatus results.
+
+const { coreTypeLabel } = require('./species');
+const { getRescueConfig } = require('./rescueConfig');
+
+const { needsAttentionDays, upcomingDays } = getRescueConfig().vaccines;
+
+// Most urgent first. A snoozed item only counts as snoozed.
+const DIGEST_GROUPS = [
+  { key: 'overdue', label: 'Overdue', short: 'overdue' },
+  { key: 'needsAttention', label: `Due within ${needsAttentionDays} days`, short: 'due soon' },
+  { key: 'unknown', label: 'No record on file', short: 'no record' },
+  { key: 'upcoming', label: `Due within ${upcomingDays} days`, short: 'due later' },
+  { key: 'notYetDue', label: 'Too young', short: 'too young' },
+  { key: 'missingSchedule', label: 'Missing a schedule', short: 'no schedule' },
+  { key: 'snoozed', label: 'Snoozed', short: 'snoozed' },
+];
+
+const GROUP_ORDER = DIGEST_GROUPS.map((g) => g.key);
+
+// The digest group of one core-type result, or null when it is current
+const typeGroup = (type) => {
+  if (type.snoozed) return 'snoozed';
+  if (type.status === 'current') return type.missingSchedule ? 'missingSchedule' : null;
+  return GROUP_ORDER.includes(type.status) ? type.status : 'unknown';
+};
+
+// { group, types, daysUntilDue } for one animal, or null if nothing is due.
+// daysUntilDue is the soonest (most negative = most overdue) in the group.
+const urgencyOf = (vaccineStatus) => {
+  const grouped = vaccineStatus.types.filter((t) => typeGroup(t) !== null);
+  if (grouped.length === 0) return null;
+
+  const group = GROUP_ORDER.find((key) => grouped.some((t) => typeGroup(t) === key));
+  const types = grouped.filter((t) => typeGroup(t) === group);
+  const days = types
+    .map((t) => t.daysUntilDue)
+    .filter((d) => Number.isFinite(d));
+
+  return {
+    group,
+    types,
+    daysUntilDue: days.length > 0 ? Math.min(...days) : null,
+  };
+};
+
+// `entries` is [{ name, animalId, species, vaccineStatus }]; returns the ones
+// needing something with their `urgency`, most urgent first. Items without a
+// date (e.g. marked overdue in Shelterluv) sort after dated ones in a group.
+const rankByUrgency = (entries) =>
+  entries
+    .map((entry) => ({ ...entry, urgency: urgencyOf(entry.vaccineStatus) }))
+    .filter((entry) => entry.urgency)
+    .sort((a, b) => {
+      const byGroup =
+        GROUP_ORDER.indexOf(a.urgency.group) - GROUP_ORDER.indexOf(b.urgency.group);
+      if (byGroup !== 0) return byGroup;
+
+      const da = a.urgency.daysUntilDue;
+      const db = b.urgency.daysUntilDue;
+      if (da !== db) {
+        if (da === null) return 1;
+        if (db === null) return -1;
+        return da - db;
+      }
+      return a.name.localeCompare(b.name);
+    });
+
+// Per core family: how many animals are in each group, plus how many are
+// current. Families appear in the order first seen.
+const countByFamily = (entries) => {
+  const families = new Map();
+
+  for (const { vaccineStatus } of entries) {
+    for (const type of vaccineStatus.types) {
+      if (!families.has(type.key)) {
+        families.set(type.key, { key: type.key, label: coreTypeLabel(type.key), counts: {} });
+      }
+      const { counts } = families.get(type.key);
+      const group = typeGroup(type) || 'current';
+      counts[group] = (counts[group] || 0) + 1;
+    }
+  }
+
+  return [...families.values()];
+};
+
+module.exports = {
+  DIGEST_GROUPS,
+  typeGroup,
+  urgencyOf,
+  rankByUrgency,
+  countByFamily,
+};
@@ -0,0 +1,160 @@
+// Foster notifications: who fosters which animal, how to reach them on Slack,
+// and which vaccine items they have already been told about.
+//
+// Fosters are matched by name (Shelterluv's AssociatedPerson) to Slack users
+// through config/fosters.json (override with FOSTER_MAPPING_FILE):
+//   { "version": 1, "fosters": [
+//       { "name": "Jessica Schwarz", "slackUserId": "U0123ABCD" },
+//       { "name": "Marinna Radloff", "email": "marinna@example.org" } ] }
+// Entries with only an email are resolved with users.lookupByEmail.
+
+const fs = require('fs');
+const path = require('path');
+const { DAY_MS } = require('./dates');
+
+const SUPPORTED_VERSION = 1;
+const DEFAULT_QUIET_DAYS = 7;
+
+// Only these statuses are worth interrupting a foster for
+const NOTIFY_STATUSES = ['overdue', 'needsAttention'];
+
+const DEFAULT_MAPPING_PATH =
+  process.env.FOSTER_MAPPING_FILE ||
+  path.join(__dirname, '..', '..', 'config', 'fosters.json');
+
+const normalizeName = (name) =>
+  String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// The foster caring for a Shelterluv animal ({ name }), or null. Shelterluv
+// keeps the last foster on AssociatedPerson after the animal comes back, so
+// only animals currently InFoster count.
+const fosterOf = (animal) => {
+  if (!animal.InFoster) return null;
+
+  const person = animal.AssociatedPerson;
+  if (!person || String(person.RelationshipType || '').toLowerCase() !== 'foster') {
+    return null;
+  }
+
+  const name = [person.FirstName, person.LastName]
+    .map((part) => String(part || '').trim())
+    .filter(Boolean)
+    .join(' ');
+  return name ? { name } : null;
+};
+
+// ---------- Mapping file ----------
+
+// Validate the parsed mapping; returns a Map of normalized name → entry
+const compileFosterMapping = (config, source = 'foster mapping') => {
+  const errors = [];
+
+  if (!config || typeof config !== 'object') {
+    throw new Error(`${source}: expected a JSON object`);
+  }
+  if (config.version !== SUPPORTED_VERSION) {
+    errors.push(`version must be ${SUPPORTED_VERSION} (got ${config.version})`);
+  }
+  if (!Array.isArray(config.fosters)) errors.push('fosters must be an array');
+
+  const mapping = new Map();
+
+  (config.fosters || []).forEach((entry, i) => {
+    const where = `fosters[${i}]`;
+    const key = normalizeName(entry.name);
+    if (!key) errors.push(`${where}.name must be a non-empty string`);
+    if (!entry.slackUserId && !entry.email) {
+      errors.push(`${where} needs a slackUserId or an email`);
+    }
+    if (key && mapping.has(key)) errors.push(`${where}: duplicate name "${entry.name}"`);
+    mapping.set(key, {
+      name: entry.name,
+      slackUserId: entry.slackUserId || null,
+      email: entry.email || null,
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return mapping;
+};
+
+const loadFosterMapping = (mappingPath = DEFAULT_MAPPING_PATH) => {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read foster mapping ${mappingPath}: ${err.message}`);
+  }
+  return compileFosterMapping(config, mappingPath);
+};
+
+// Resolves foster names to Slack user IDs, looking emails up once per run
+const createFosterDirectory = ({ slack, mapping }) => {
+  const cache = new Map();
+
+  const lookup = async (entry) => {
+    if (entry.slackUserId) return entry.slackUserId;
+
+    const json = await slack.get(
+      'users.lookupByEmail',
+      { email: entry.email },
+      { expectedErrors: ['users_not_found'] },
+    );
+    if (!json.ok) {
+      console.warn(`Slack lookup failed for foster ${entry.name}:`, json.error);
+      return null;
+    }
+    return json.user.id;
+  };
+
+  const resolve = async (name) => {
+    const key = normalizeName(name);
+    const entry = mapping.get(key);
+    if (!entry) return null;
+    if (!cache.has(key)) cache.set(key, await lookup(entry));
+    return cache.get(key);
+  };
+
+  return { resolve };
+};
+
+// ---------- Quiet period ----------
+
+const itemKey = (animalId, typeKey, status) => `${animalId}:${typeKey}:${status}`;
+
+// Core types from evaluateVaccineStatus a foster should hear about; items a
+// coordinator snoozed are left out
+const notifiableTypes = (vaccineStatus) =>
+  vaccineStatus.types.filter(
+    (t) => NOTIFY_STATUSES.includes(t.status) && !t.snoozed,
+  );
+
+// `sent` maps itemKey → ISO time of the last DM. An item escalating from
+// needs-attention to overdue is a new item.
+const wasSentRecently = (sent, key, now, quietDays) => {
+  const last = sent[key] ? new Date(sent[key]) : null;
+  return Boolean(last) && now.getTime() - last.getTime() < quietDays * DAY_MS;
+};
+
+// Drop entries older than the quiet period so the state file stays small
+const pruneSent = (sent, now, quietDays) =>
+  Object.fromEntries(
+    Object.entries(sent).filter(([key]) => wasSentRecently(sent, key, now, quietDays)),
+  );
+
+module.exports = {
+  DEFAULT_QUIET_DAYS,
+  DEFAULT_MAPPING_PATH,
+  fosterOf,
+  normalizeName,
+  compileFosterMapping,
+  loadFosterMapping,
+  createFosterDirectory,
+  itemKey,
+  notifiableTypes,
+  wasSentRecently,
+  pruneSent,
+};
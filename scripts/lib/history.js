@@ -0,0 +1,106 @@
+// Run history for the vaccine check: one snapshot per day of every animal's
+// per-type status, plus the diff between today and the previous run.
+//
+// Snapshot shape (the `dogs` key predates cats and is kept so existing
+// history files still load; entries without a species are dogs):
+//   { date: 'YYYY-MM-DD', dogs: { [animalId]: { name, species, statuses: { rabies: 'overdue', ... } } } }
+
+const { daysBetween } = require('./dates');
+
+const MAX_RUNS = 90;
+
+// Most recent run from before `dateKey`
+const previousRun = (history, dateKey) =>
+  (history?.runs || [])
+    .filter((r) => r.date < dateKey)
+    .sort((a, b) => b.date.localeCompare(a.date))[0] || null;
+
+// Append today's snapshot, replacing an earlier run from the same day.
+// Dogs listed in `carryIds` (fetch failed today) keep their last known entry
+// so they don't flap between "left custody" and "new dog".
+const recordRun = (history, snapshot, { carryIds = [] } = {}) => {
+  const prev = previousRun(history, snapshot.date);
+  const dogs = { ...snapshot.dogs };
+  for (const animalId of carryIds) {
+    if (!dogs[animalId] && prev?.dogs[animalId]) {
+      dogs[animalId] = prev.dogs[animalId];
+    }
+  }
+
+  const runs = (history?.runs || []).filter((r) => r.date !== snapshot.date);
+  runs.push({ ...snapshot, dogs });
+  runs.sort((a, b) => a.date.localeCompare(b.date));
+  return { runs: runs.slice(-MAX_RUNS) };
+};
+
+// Consecutive calendar days an item has been overdue, counting today.
+// Walks back through past runs until one shows the item not overdue.
+const overdueStreakDays = (runs, animalId, type, todayKey) => {
+  let since = todayKey;
+  const past = runs
+    .filter((r) => r.date < todayKey)
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  for (const run of past) {
+    if (run.dogs[animalId]?.statuses?.[type] !== 'overdue') break;
+    since = run.date;
+  }
+
+  return { days: daysBetween(since, todayKey) + 1, since };
+};
+
+// Compare today's snapshot to the previous run. `skippedIds` are dogs whose
+// data couldn't be fetched today; they are never reported as having left.
+const diffRuns = (history, current, { skippedIds = [] } = {}) => {
+  const prev = previousRun(history, current.date);
+  const runs = history?.runs || [];
+  const skipped = new Set(skippedIds);
+
+  const result = {
+    previousDate: prev ? prev.date : null,
+    newlyOverdue: [],
+    newlyResolved: [],
+    stillOverdue: [],
+    newAnimals: [],
+    leftCustody: [],
+  };
+
+  for (const [animalId, dog] of Object.entries(current.dogs)) {
+    const before = prev ? prev.dogs[animalId] : null;
+
+    if (prev && !before) {
+      result.newAnimals.push({ animalId, name: dog.name, species: dog.species });
+    }
+
+    for (const [type, status] of Object.entries(dog.statuses)) {
+      const prevStatus = before?.statuses?.[type];
+
+      if (status === 'overdue') {
+        const streak = overdueStreakDays(runs, animalId, type, current.date);
+        const item = { animalId, name: dog.name, type, ...streak };
+        if (prevStatus === 'overdue') result.stillOverdue.push(item);
+        else result.newlyOverdue.push(item);
+      } else if (prevStatus === 'overdue') {
+        result.newlyResolved.push({ animalId, name: dog.name, type, status });
+      }
+    }
+  }
+
+  if (prev) {
+    for (const [animalId, dog] of Object.entries(prev.dogs)) {
+      if (!current.dogs[animalId] && !skipped.has(animalId)) {
+        result.leftCustody.push({ animalId, name: dog.name, species: dog.species });
+      }
+    }
+  }
+
+  result.stillOverdue.sort((a, b) => b.days - a.days);
+
+  return result;
+};
+
+module.exports = {
+  MAX_RUNS,
+  recordRun,
+  diffRuns,
+};
@@ -0,0 +1,199 @@
+// Adoption listing audit. Adopters see the Shelterluv profile of every
+// animal listed as Available, so each one is scored on what the profile
+// shows: cover photo, a description of at least listings.minDescriptionLength
+// characters, published attributes, breed and adoption fee group. Animals in
+// custody longer than listings.longStayDays also need a video.
+// Both settings are in rescue.config.json.
+
+const { daysInCustodyOf, formatDate, toDateKey } = require('./dates');
+const { getSpecies } = require('./species');
+const { toCsv } = require('./spreadsheet');
+const { COMPACT_LIST_THRESHOLD, compactListBlocks } = require('./blockKit');
+
+// In display order. Points come off a score of 100 for each one missing;
+// the video check only counts for long-stay animals.
+const LISTING_CHECKS = [
+  { key: 'coverPhoto', label: 'No cover photo', emoji: ':frame_with_picture:', points: 30 },
+  { key: 'description', label: 'Short description', emoji: ':memo:', points: 25 },
+  { key: 'attributes', label: 'No attributes', emoji: ':label:', points: 15 },
+  { key: 'breed', label: 'No breed', emoji: ':mag:', points: 10 },
+  { key: 'adoptionFee', label: 'No adoption fee group', emoji: ':moneybag:', points: 10 },
+  { key: 'video', label: 'No video (long stay)', emoji: ':movie_camera:', points: 10 },
+];
+
+const isListedAvailable = (animal) => /^available/i.test(String(animal.Status || '').trim());
+
+const textOf = (value) => String(value || '').trim();
+
+// Attributes adopters can see
+const publishedAttributes = (animal) =>
+  (animal.Attributes || []).filter(
+    (attr) => textOf(attr?.AttributeName) && textOf(attr?.Publish).toLowerCase() !== 'no',
+  );
+
+// { score, issues: ['coverPhoto', …], descriptionLength, attributeCount,
+//   daysInCustody, longStay }
+const evaluateListing = (animal, { now = new Date(), minDescriptionLength, longStayDays }) => {
+  const descriptionLength = textOf(animal.Description).length;
+  const attributeCount = publishedAttributes(animal).length;
+  const daysInCustody = daysInCustodyOf(animal, now);
+  const longStay = daysInCustody !== null && daysInCustody > longStayDays;
+
+  const missing = {
+    coverPhoto: !textOf(animal.CoverPhoto),
+    description: descriptionLength < minDescriptionLength,
+    attributes: attributeCount === 0,
+    breed: !textOf(animal.Breed),
+    adoptionFee: !textOf(animal.AdoptionFeeGroup?.Name),
+    video: longStay && (animal.Videos || []).length === 0,
+  };
+  const failed = LISTING_CHECKS.filter((check) => missing[check.key]);
+
+  return {
+    score: 100 - failed.reduce((sum, check) => sum + check.points, 0),
+    issues: failed.map((check) => check.key),
+    descriptionLength,
+    attributeCount,
+    daysInCustody,
+    longStay,
+  };
+};
+
+// Lowest score first, then whoever has waited longest
+const byNeed = (a, b) =>
+  a.listing.score - b.listing.score ||
+  (b.listing.daysInCustody || 0) - (a.listing.daysInCustody || 0) ||
+  a.name.localeCompare(b.name);
+
+const checkOf = (key) => LISTING_CHECKS.find((check) => check.key === key);
+
+// "Short description (48 chars)", "No cover photo"
+const issueText = (key, listing) =>
+  key === 'description'
+    ? `${checkOf(key).label} (${listing.descriptionLength} chars)`
+    : checkOf(key).label;
+
+// ---------- Slack payload ----------
+
+// ":dog: *Luna* (211143384) – 65/100 · 201 days · Short description (0 chars), No video"
+const listingLine = ({ name, animalId, species, listing }) => {
+  const days = listing.daysInCustody === null ? '' : ` · ${listing.daysInCustody} days`;
+  const issues = listing.issues.map((key) => issueText(key, listing)).join(', ');
+  return (
+    `${getSpecies(species).emoji} *${name}* (${animalId}) – ${listing.score}/100${days} · ` +
+    issues
+  );
+};
+
+// `animals` is [{ name, animalId, species, listing }] for every Available
+// animal; those with an issue make the ranked list
+const buildListingAuditPayload = (animals, { minDescriptionLength, longStayDays, date }) => {
+  const needsLove = animals.filter((a) => a.listing.issues.length > 0).sort(byNeed);
+  const average =
+    animals.length === 0
+      ? 0
+      : Math.round(animals.reduce((sum, a) => sum + a.listing.score, 0) / animals.length);
+
+  const counts = LISTING_CHECKS.map(({ key, emoji, label }) => {
+    const count = animals.filter((a) => a.listing.issues.includes(key)).length;
+    return `${emoji} ${label}: *${count}*`;
+  });
+
+  const overview =
+    needsLove.length === 0
+      ? `:white_check_mark: All ${animals.length} Available listings are complete.`
+      : `${needsLove.length} of ${animals.length} Available listings need work ` +
+        `(average score ${average}/100):\n${counts.join('\n')}`;
+
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `Adoption listing audit – ${formatDate(date)}`,
+        emoji: true,
+      },
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: overview },
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text:
+            `Descriptions need at least ${minDescriptionLength} characters. ` +
+            `Animals in custody over ${longStayDays} days need a video.`,
+        },
+      ],
+    },
+  ];
+
+  if (needsLove.length > 0) {
+    const lines = needsLove.map(listingLine);
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text:
+          ':heart: *Needs listing love*' +
+          (lines.length > COMPACT_LIST_THRESHOLD ? '' : `\n${lines.join('\n')}`),
+      },
+    });
+    if (lines.length > COMPACT_LIST_THRESHOLD) blocks.push(...compactListBlocks(lines));
+  }
+
+  blocks.push({ type: 'divider' });
+
+  return {
+    text: `Shelterluv listing audit – ${needsLove.length} listings need work`,
+    blocks,
+  };
+};
+
+// ---------- CSV report ----------
+
+// Every Available animal with its score and each check, worst first
+const buildListingAuditRows = (animals) => {
+  const header = [
+    'Animal ID',
+    'Name',
+    'Species',
+    'Status',
+    'Score',
+    'Days in custody',
+    'Description length',
+    'Published attributes',
+    ...LISTING_CHECKS.map((check) => check.label),
+  ];
+  const rows = [...animals].sort(byNeed).map(({ animalId, name, species, status, listing }) => [
+    animalId,
+    name,
+    getSpecies(species).label,
+    status,
+    listing.score,
+    listing.daysInCustody,
+    listing.descriptionLength,
+    listing.attributeCount,
+    ...LISTING_CHECKS.map((check) => (listing.issues.includes(check.key) ? 'Yes' : '')),
+  ]);
+  return [header, ...rows];
+};
+
+const buildListingAuditFile = (animals, now = new Date()) => ({
+  filename: `listing-audit-${toDateKey(now)}.csv`,
+  title: `Listing audit ${toDateKey(now)}`,
+  content: Buffer.from(toCsv(buildListingAuditRows(animals)), 'utf8'),
+});
+
+module.exports = {
+  LISTING_CHECKS,
+  isListedAvailable,
+  evaluateListing,
+  byNeed,
+  buildListingAuditPayload,
+  buildListingAuditRows,
+  buildListingAuditFile,
+};
@@ -0,0 +1,139 @@
+// Long-lived Slack messages kept in sync across runs, shared by the daily
+// checks. Each message has a key (e.g. "dog:211073874") that is stored in its
+// metadata under `eventType`, so the key → ts map can be rebuilt from channel
+// history when the local state is lost. Later runs update a message in place
+// (keeping volunteers' threads and reactions) and repost it only when it's
+// gone. Payloads over Block Kit limits become numbered parts in its thread.
+
+const { splitPayload } = require('./blockKit');
+
+const createMessageSync = ({ slack, channel, eventType }) => {
+  const withMetadata = (payload, key) => ({
+    ...payload,
+    metadata: { event_type: eventType, event_payload: { key } },
+  });
+
+  // Update the message at existingTs if it's still there, otherwise post a
+  // new one (as a reply when threadTs is set). Returns its ts.
+  const upsertOne = async (key, body, existingTs, threadTs) => {
+    if (existingTs) {
+      try {
+        await slack.updateMessage(channel, existingTs, body);
+        return existingTs;
+      } catch (err) {
+        if (err.message !== 'message_not_found') throw err;
+        console.warn(`Tracked message for ${key} is gone; posting a new one.`);
+      }
+    }
+
+    const json = await slack.postMessage(
+      channel,
+      threadTs ? { ...body, thread_ts: threadTs } : body,
+    );
+    return json.ts;
+  };
+
+  // Delete a tracked message; an already-deleted message counts as success
+  const removeMessage = async (ts) => {
+    try {
+      await slack.deleteMessage(channel, ts);
+    } catch (err) {
+      if (err.message !== 'message_not_found') throw err;
+    }
+  };
+
+  // Sync one tracked message ({ ts, parts }) with a payload. The first part is
+  // the tracked message; the rest go in its thread (or in threadTs) and are
+  // updated, added or removed on later runs. Returns the new { ts, parts }.
+  const upsertMessage = async (key, payload, existing, threadTs) => {
+    const [first, ...rest] = splitPayload(withMetadata(payload, key));
+    const ts = await upsertOne(key, first, existing?.ts, threadTs);
+
+    // Parts of a message that had to be reposted start over
+    const oldParts = existing?.parts || [];
+    const reusableParts = existing?.ts === ts ? oldParts : [];
+
+    const parts = [];
+    for (const [index, part] of rest.entries()) {
+      parts.push(await upsertOne(key, part, reusableParts[index], threadTs || ts));
+    }
+
+    for (const partTs of oldParts.filter((partTs) => !parts.includes(partTs))) {
+      try {
+        await removeMessage(partTs);
+      } catch (err) {
+        console.warn(`Failed to delete an old part of ${key}:`, err.message);
+      }
+    }
+
+    return { ts, parts };
+  };
+
+  // Delete a tracked message along with its continuation parts
+  const removeTracked = async (message) => {
+    for (const partTs of message.parts || []) await removeMessage(partTs);
+    await removeMessage(message.ts);
+  };
+
+  // Rebuild the key → { ts } map from channel history. With deleteUntagged,
+  // bot posts without our metadata (left over from an older posting flow)
+  // are deleted once so they don't linger as duplicates.
+  const recoverMessages = async ({ deleteUntagged = false } = {}) => {
+    const messages = {};
+    let cursor;
+    let untaggedDeleted = 0;
+
+    do {
+      const history = await slack.get('conversations.history', {
+        channel,
+        limit: '200',
+        include_all_metadata: 'true',
+        cursor,
+      });
+
+      if (!history.ok) {
+        console.error('Failed to fetch channel history:', history.error);
+        return messages;
+      }
+
+      for (const msg of history.messages || []) {
+        if (msg.subtype && msg.subtype !== 'bot_message') continue;
+
+        const key = msg.metadata?.event_payload?.key;
+        if (msg.metadata?.event_type === eventType && key) {
+          if (!messages[key]) messages[key] = { ts: msg.ts };
+          continue;
+        }
+
+        if (!deleteUntagged || !msg.bot_id) continue;
+
+        try {
+          await slack.deleteMessage(channel, msg.ts);
+          untaggedDeleted++;
+        } catch (err) {
+          console.warn(`Failed to delete legacy message ${msg.ts}:`, err.message);
+        }
+      }
+
+      cursor = history.response_metadata?.next_cursor;
+    } while (cursor);
+
+    console.log(
+      `Recovered ${Object.keys(messages).length} tracked Slack messages from history` +
+        (untaggedDeleted > 0 ? `, deleted ${untaggedDeleted} legacy messages.` : '.'),
+    );
+
+    return messages;
+  };
+
+  return {
+    upsertMessage,
+    removeMessage,
+    removeTracked,
+    recoverMessages,
+  };
+};
+
+module.exports = {
+  createMessageSync,
+};
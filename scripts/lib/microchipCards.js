@@ -0,0 +1,155 @@
+// Slack Block Kit rendering for the microchip check, in the same per-animal
+// card style as the vaccine check. Works on evaluateMicrochips results
+// (lib/microchips.js).
+
+const { formatDate } = require('./dates');
+const { getSpecies } = require('./species');
+const { ISSUE_TYPES } = require('./microchips');
+const { COMPACT_LIST_THRESHOLD, compactListBlocks } = require('./blockKit');
+
+// Cards carry their key (e.g. "dog:211073874") in metadata under this type
+const MICROCHIP_EVENT_TYPE = 'shelterluv_microchip_card';
+const ESCALATED_EMOJI = ':rotating_light:';
+
+const issueType = (key) => ISSUE_TYPES.find((t) => t.key === key);
+
+const custodyText = ({ intakeDate, daysInCustody }) =>
+  intakeDate
+    ? `In custody since ${formatDate(intakeDate)} (${daysInCustody} days)`
+    : 'Intake date unknown';
+
+// "• `985112012156342` – Home Again, implanted 4/27/2022"
+const chipLine = (chip) =>
+  `• \`${chip.id}\` – ${chip.issuer || '*no issuer*'}` +
+  (chip.implantedAt ? `, implanted ${formatDate(chip.implantedAt)}` : '');
+
+// One card per flagged animal. `animal` is { animalId, name, species, photoUrl }
+const buildMicrochipPayloadForAnimal = (animal, microchips, { escalateAfterDays }) => {
+  const species = getSpecies(animal.species);
+  const { chips, issues, escalated } = microchips;
+
+  const lines = [];
+  if (escalated) {
+    lines.push(
+      `${ESCALATED_EMOJI} *No microchip after ${microchips.daysInCustody} days in custody* ` +
+        `(more than ${escalateAfterDays}). Please get ${animal.name} chipped.`,
+    );
+  }
+  for (const key of issues) {
+    if (key === 'noChip' && escalated) continue;
+    const { emoji, label } = issueType(key);
+    lines.push(`${emoji} *${label}*`);
+  }
+
+  const summaryBlock = {
+    type: 'section',
+    text: { type: 'mrkdwn', text: lines.join('\n') },
+  };
+  if (animal.photoUrl) {
+    summaryBlock.accessory = {
+      type: 'image',
+      image_url: animal.photoUrl,
+      alt_text: animal.name,
+    };
+  }
+
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `${species.emoji} ${animal.name}'s Microchip Status - animal_id: ${animal.animalId}`,
+        emoji: true,
+      },
+    },
+    summaryBlock,
+  ];
+
+  if (chips.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Chips on file*\n${chips.map(chipLine).join('\n')}`,
+      },
+    });
+  }
+
+  blocks.push(
+    { type: 'context', elements: [{ type: 'mrkdwn', text: custodyText(microchips) }] },
+    { type: 'divider' },
+  );
+
+  return {
+    text: `Shelterluv microchip check – ${animal.name}`,
+    blocks,
+  };
+};
+
+// Counts for the run, with the escalated animals named. `flagged` is
+// [{ name, microchips }] in card order.
+const buildMicrochipSummaryPayload = (
+  flagged,
+  { checked, escalateAfterDays, date = new Date() },
+) => {
+  const countOf = (key) => flagged.filter((a) => a.microchips.issues.includes(key)).length;
+  const escalated = flagged.filter((a) => a.microchips.escalated);
+
+  const counts = ISSUE_TYPES.map(
+    ({ key, emoji, label }) => `${emoji} ${label}: *${countOf(key)}*`,
+  );
+  // Escalations right after the no-chip count they are part of
+  counts.splice(
+    1,
+    0,
+    `${ESCALATED_EMOJI} No chip after ${escalateAfterDays} days: *${escalated.length}*`,
+  );
+
+  const overview =
+    flagged.length === 0
+      ? `:white_check_mark: All ${checked} animals in custody have one chip with an issuer.`
+      : `${flagged.length} of ${checked} animals in custody need attention:\n${counts.join('\n')}`;
+
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `Microchip check – ${formatDate(date)}`,
+        emoji: true,
+      },
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: overview },
+    },
+  ];
+
+  if (escalated.length > 0) {
+    const names = escalated.map(
+      (a) => `*${a.name}* (${a.microchips.daysInCustody} days)`,
+    );
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${ESCALATED_EMOJI} *Escalated*` },
+    });
+    if (names.length > COMPACT_LIST_THRESHOLD) {
+      blocks.push(...compactListBlocks(names));
+    } else {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: names.join('\n') } });
+    }
+  }
+
+  blocks.push({ type: 'divider' });
+
+  return {
+    text: `Shelterluv microchip check – ${flagged.length} animals need attention`,
+    blocks,
+  };
+};
+
+module.exports = {
+  MICROCHIP_EVENT_TYPE,
+  buildMicrochipPayloadForAnimal,
+  buildMicrochipSummaryPayload,
+};
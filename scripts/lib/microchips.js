@@ -0,0 +1,58 @@
+// Microchip checks for in-custody animals. Shelterluv lists chips as
+//   Microchips: [{ Id: '985112012156342', Issuer: 'Home Again', ImplantUnixTime: '1650610800' }]
+// An animal is flagged when it has no chip, a chip with no issuer (so it
+// can't be registered) or more than one chip (often a duplicate entry).
+// Animals in custody longer than microchips.escalateAfterDays in
+// rescue.config.json without a chip are escalated.
+
+const { daysInCustodyOf, unixStringToDate } = require('./dates');
+
+// In display order
+const ISSUE_TYPES = [
+  { key: 'noChip', label: 'No microchip', emoji: ':no_entry_sign:' },
+  { key: 'noIssuer', label: 'Chip with no issuer', emoji: ':label:' },
+  { key: 'multipleChips', label: 'More than one chip', emoji: ':heavy_plus_sign:' },
+];
+
+// Chips with an ID; blank rows left by Shelterluv's edit form are ignored
+const chipsOf = (animal) =>
+  (animal.Microchips || [])
+    .map((chip) => ({
+      id: String(chip?.Id || '').trim(),
+      issuer: String(chip?.Issuer || '').trim(),
+      implantedAt: unixStringToDate(chip?.ImplantUnixTime),
+    }))
+    .filter((chip) => chip.id);
+
+// { chips, issues: ['noChip', …], intakeDate, daysInCustody, escalated }
+const evaluateMicrochips = (animal, { now = new Date(), escalateAfterDays }) => {
+  const chips = chipsOf(animal);
+  const daysInCustody = daysInCustodyOf(animal, now);
+
+  const issues = [];
+  if (chips.length === 0) issues.push('noChip');
+  if (chips.some((chip) => !chip.issuer)) issues.push('noIssuer');
+  if (chips.length > 1) issues.push('multipleChips');
+
+  return {
+    chips,
+    issues,
+    intakeDate: unixStringToDate(animal.LastIntakeUnixTime),
+    daysInCustody,
+    escalated:
+      chips.length === 0 && daysInCustody !== null && daysInCustody > escalateAfterDays,
+  };
+};
+
+// Escalated first, then whoever has waited longest
+const byUrgency = (a, b) =>
+  Number(b.microchips.escalated) - Number(a.microchips.escalated) ||
+  (b.microchips.daysInCustody || 0) - (a.microchips.daysInCustody || 0) ||
+  a.name.localeCompare(b.name);
+
+module.exports = {
+  ISSUE_TYPES,
+  chipsOf,
+  evaluateMicrochips,
+  byUrgency,
+};
@@ -0,0 +1,85 @@
+// Outcomes for the rescue summary, from Shelterluv's event log rather than
+// each animal's current status. An event looks like
+//   { Type: 'Outcome.Adoption', Time: '1760000000',
+//     AssociatedRecords: [{ Type: 'Animal', Id: '211073874' }, { Type: 'Person', … }] }
+// Return after adoption is logged as an intake (e.g. 'Intake.AdoptionReturn').
+
+const { unixStringToDate } = require('./dates');
+
+// In display order. `followUp` outcomes are flagged for the team.
+const OUTCOME_TYPES = [
+  { key: 'adoption', label: 'Adopted', title: 'Adopted', emoji: ':paw_prints:' },
+  {
+    key: 'transferOut',
+    label: 'Transferred out',
+    title: 'Transferred Out',
+    emoji: ':truck:',
+  },
+  {
+    key: 'returnToOwner',
+    label: 'Returned to owner',
+    title: 'Returned to Owner',
+    emoji: ':house:',
+  },
+  { key: 'died', label: 'Died', title: 'Died', emoji: ':broken_heart:' },
+  {
+    key: 'returnAfterAdoption',
+    label: 'Returned after adoption',
+    title: 'Returned After Adoption',
+    emoji: ':leftwards_arrow_with_hook:',
+    followUp: true,
+  },
+];
+
+// Shelterluv's event types vary in spelling (Outcome.ReturnToOwner,
+// Outcome.RTO, Outcome.Euthanasia…), so match on the words
+const classifyEvent = (event) => {
+  const [kind, ...rest] = String(event?.Type || '').split('.');
+  const detail = rest.join('').toLowerCase().replace(/[^a-z]/g, '');
+
+  if (kind === 'Intake') return /adopt/.test(detail) ? 'returnAfterAdoption' : null;
+  if (kind !== 'Outcome') return null;
+
+  if (/returntoowner|^rto/.test(detail)) return 'returnToOwner';
+  if (/adopt/.test(detail)) return 'adoption';
+  if (/transfer/.test(detail)) return 'transferOut';
+  if (/died|death|deceased|euthan|doa/.test(detail)) return 'died';
+  return null;
+};
+
+const animalIdOf = (event) => {
+  const record = (event.AssociatedRecords || []).find((r) => r.Type === 'Animal');
+  return record ? String(record.Id) : null;
+};
+
+// { adoption: [{ animalId, date, eventType }], … } for events in
+// [start, end). An animal appears once per outcome type, with its latest event.
+const collectOutcomes = (events, { start, end }) => {
+  const byType = Object.fromEntries(OUTCOME_TYPES.map((t) => [t.key, new Map()]));
+
+  for (const event of events) {
+    const key = classifyEvent(event);
+    const animalId = animalIdOf(event);
+    const date = unixStringToDate(event.Time);
+    if (!key || !animalId || !date || date < start || date >= end) continue;
+
+    const seen = byType[key].get(animalId);
+    if (!seen || seen.date < date) {
+      byType[key].set(animalId, { animalId, date, eventType: event.Type });
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(byType).map(([key, found]) => [
+      key,
+      [...found.values()].sort((a, b) => a.date - b.date),
+    ]),
+  );
+};
+
+module.exports = {
+  OUTCOME_TYPES,
+  classifyEvent,
+  animalIdOf,
+  collectOutcomes,
+};
@@ -0,0 +1,120 @@
+// Reporting periods for the rescue summary. The default is the last 7 days
+// up to now (the Monday cron). Month, quarter and year mean the last complete
+// calendar period, so a run on Oct 1 with --period month reports September.
+// --from / --to (YYYY-MM-DD, both inclusive) pick any range instead.
+//
+// A period is { key, heading, noun, channel, start, end, custom }, with
+// `end` exclusive; `channel` names a slack.channels entry in rescue.config.json.
+// A --from/--to range without --period is reported as a plain "Rescue Summary"
+// in the weekly channel.
+
+const { addDays, addMonths, fromDateKey, isValidDate } = require('./dates');
+
+const PERIODS = {
+  week: { heading: 'Weekly Rescue Summary', noun: 'week', channel: 'weekly' },
+  month: {
+    heading: 'Monthly Rescue Summary',
+    noun: 'month',
+    channel: 'monthly',
+    months: 1,
+  },
+  quarter: {
+    heading: 'Quarterly Rescue Summary',
+    noun: 'quarter',
+    channel: 'quarterly',
+    months: 3,
+  },
+  year: {
+    heading: 'Yearly Rescue Summary',
+    noun: 'year',
+    channel: 'yearly',
+    months: 12,
+  },
+};
+
+const CUSTOM_PERIOD = {
+  heading: 'Rescue Summary',
+  noun: 'period',
+  channel: 'weekly',
+};
+
+const PERIOD_KEYS = Object.keys(PERIODS);
+
+const parseDateArg = (value, name) => {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? fromDateKey(value) : null;
+  if (!isValidDate(date)) {
+    throw new Error(`${name} must be a date like 2025-01-31 (got "${value}")`);
+  }
+  return date;
+};
+
+// Calendar days, so a range stays midnight to midnight across DST changes
+const shiftDays = (date, days) => {
+  const result = new Date(date.getTime());
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Move `date` by `count` periods; weeks are 7 days, the rest calendar months
+const addPeriods = (date, key, count) => {
+  const { months } = PERIODS[key];
+  return months ? addMonths(date, months * count) : shiftDays(date, 7 * count);
+};
+
+// First day of the calendar month, quarter or year containing `date`
+const startOfPeriod = (date, key) => {
+  const month = date.getMonth();
+  if (key === 'year') return new Date(date.getFullYear(), 0, 1);
+  if (key === 'quarter') return new Date(date.getFullYear(), month - (month % 3), 1);
+  return new Date(date.getFullYear(), month, 1);
+};
+
+// Resolve the command-line options into a period. `from` and `to` are
+// YYYY-MM-DD strings; one of them alone counts one period from / back to it.
+const resolvePeriod = ({ period, from, to, now = new Date() } = {}) => {
+  if (period !== undefined && !PERIODS[period]) {
+    throw new Error(`--period must be one of ${PERIOD_KEYS.join(', ')} (got "${period}")`);
+  }
+
+  const fromDate = from ? parseDateArg(from, '--from') : null;
+  // --to is inclusive: the range runs to the end of that day
+  const toDate = to ? shiftDays(parseDateArg(to, '--to'), 1) : null;
+
+  const key = period || 'week';
+  let start;
+  let end;
+  if (fromDate && toDate) {
+    start = fromDate;
+    end = toDate;
+  } else if (fromDate) {
+    start = fromDate;
+    end = addPeriods(fromDate, key, 1);
+  } else if (toDate) {
+    start = addPeriods(toDate, key, -1);
+    end = toDate;
+  } else if (key === 'week') {
+    start = addDays(now, -7);
+    end = now;
+  } else {
+    end = startOfPeriod(now, key);
+    start = addPeriods(end, key, -1);
+  }
+
+  if (end > now) end = now;
+  if (start >= end) throw new Error('--from must be before --to and not in the future');
+
+  if (fromDate && toDate && !period) {
+    return { key: 'custom', ...CUSTOM_PERIOD, start, end, custom: true };
+  }
+  return { key, ...PERIODS[key], start, end, custom: Boolean(from || to) };
+};
+
+// Last day in the range, for display
+const lastDayOf = (period) => new Date(period.end.getTime() - 1);
+
+module.exports = {
+  PERIODS,
+  PERIOD_KEYS,
+  resolvePeriod,
+  lastDayOf,
+};
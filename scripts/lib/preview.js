@@ -0,0 +1,58 @@
+// Dry-run previews of Slack payloads.
+//
+// Each payload is printed to stdout (or written as a numbered JSON file when
+// an output directory is given) alongside a Block Kit Builder link, so a
+// message can be reviewed before it ever reaches volunteers.
+
+const fs = require('fs');
+const path = require('path');
+
+const BLOCK_KIT_BUILDER_URL = 'https://app.slack.com/block-kit-builder';
+
+const blockKitBuilderUrl = (blocks = []) =>
+  `${BLOCK_KIT_BUILDER_URL}#${encodeURIComponent(JSON.stringify({ blocks }))}`;
+
+const slugify = (text) =>
+  String(text || 'message')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'message';
+
+const createPreviewWriter = ({ outDir } = {}) => {
+  let count = 0;
+
+  if (outDir) fs.mkdirSync(outDir, { recursive: true });
+
+  const write = (method, body) => {
+    count++;
+    const label = `[dry-run] #${count} ${method}${body.channel ? ` → ${body.channel}` : ''}`;
+
+    if (outDir) {
+      const file = path.join(
+        outDir,
+        `${String(count).padStart(3, '0')}-${slugify(body.text || method)}.json`,
+      );
+      fs.writeFileSync(file, `${JSON.stringify({ method, ...body }, null, 2)}\n`);
+      console.log(`${label}: wrote ${file}`);
+    } else {
+      console.log(`${label}:\n${JSON.stringify(body, null, 2)}`);
+    }
+
+    if (Array.isArray(body.blocks)) {
+      console.log(`Block Kit Builder: ${blockKitBuilderUrl(body.blocks)}`);
+    }
+  };
+
+  return {
+    write,
+    get count() {
+      return count;
+    },
+  };
+};
+
+module.exports = {
+  blockKitBuilderUrl,
+  createPreviewWriter,
+};
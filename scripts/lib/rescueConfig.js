@@ -0,0 +1,375 @@
+// Organization settings shared by the scripts, from rescue.config.json at the
+// repo root (override with RESCUE_CONFIG_FILE). Every section is optional and
+// anything left out keeps the default below, so another rescue only writes
+// what differs:
+//
+//   { "version": 1,
+//     "slack": { "channels": { "vaccines": "$SLACK_CHANNEL_ID", "weekly": "C0123ABCD" } },
+//     "vaccines": { "needsAttentionDays": 14, "upcomingDays": 30,
+//                   "statusEmoji": { "overdue": ":rotating_light:" },
+//                   "coreTypes": { "dog": [{ "key": "rabies", "label": "Rabies" }] } },
+//     "weeklySummary": { "needsFosterLocations": ["Paradise Pet Resort"] },
+//     "microchips": { "escalateAfterDays": 30 },
+//     "spayNeuter": { "minAgeWeeks": 8, "cadence": "weekly", "weekday": "Monday" },
+//     "weights": { "changePercent": 10, "windowDays": 30, "historyReadings": 5 },
+//     "listings": { "minDescriptionLength": 200, "longStayDays": 60 } }
+//
+// A channel written as "$NAME" is read from that env var; anything else is a
+// channel ID. Monthly, quarterly and yearly summaries fall back to the weekly
+// channel.
+
+const fs = require('fs');
+const path = require('path');
+const { PROTOCOL_FAMILIES } = require('./vaccineProtocols');
+
+const SUPPORTED_VERSION = 1;
+const CONFIG_FILE_NAME = 'rescue.config.json';
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', CONFIG_FILE_NAME);
+
+const DEFAULTS = {
+  slack: {
+    channels: {
+      vaccines: '$SLACK_CHANNEL_ID',
+      weekly: '$SLACK_WEEKLY_CHANNEL_ID',
+      monthly: '$SLACK_MONTHLY_CHANNEL_ID',
+      quarterly: '$SLACK_QUARTERLY_CHANNEL_ID',
+      yearly: '$SLACK_YEARLY_CHANNEL_ID',
+      microchips: '$SLACK_MICROCHIP_CHANNEL_ID',
+      marketing: '$SLACK_MARKETING_CHANNEL_ID',
+    },
+  },
+  vaccines: {
+    needsAttentionDays: 14,
+    upcomingDays: 30,
+    statusEmoji: {
+      overdue: ':alert:',
+      needsAttention: ':warning:',
+      upcoming: ':large_orange_circle:',
+      current: ':white_check_mark:',
+      none: ':bangbang:',
+      unknown: ':grey_question:',
+      notYetDue: ':baby_bottle:',
+      snoozed: ':zzz:',
+      missingSchedule: ':calendar:',
+    },
+    coreTypes: {
+      dog: [
+        { key: 'rabies', label: 'Rabies' },
+        { key: 'dhpp_dapp', label: 'DHPP/DAPP' },
+        { key: 'bordetella', label: 'Bordetella' },
+        { key: 'lepto', label: 'Lepto' },
+      ],
+      cat: [
+        { key: 'fvrcp', label: 'FVRCP' },
+        { key: 'felv', label: 'FeLV' },
+        { key: 'rabies', label: 'Rabies' },
+      ],
+    },
+  },
+  weeklySummary: {
+    needsFosterLocations: ['Paradise Pet Resort', "Love's Legacy Rescue"],
+  },
+  microchips: {
+    escalateAfterDays: 30,
+  },
+  spayNeuter: {
+    minAgeWeeks: 8,
+    cadence: 'daily',
+    weekday: 'Monday',
+  },
+  weights: {
+    changePercent: 10,
+    windowDays: 30,
+    historyReadings: 5,
+  },
+  listings: {
+    minDescriptionLength: 200,
+    longStayDays: 60,
+  },
+};
+
+const CADENCES = ['daily', 'weekly'];
+const WEEKDAYS = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+];
+
+const SECTION_KEYS = {
+  slack: ['channels'],
+  vaccines: ['needsAttentionDays', 'upcomingDays', 'statusEmoji', 'coreTypes'],
+  weeklySummary: ['needsFosterLocations'],
+  microchips: ['escalateAfterDays'],
+  spayNeuter: ['minAgeWeeks', 'cadence', 'weekday'],
+  weights: ['changePercent', 'windowDays', 'historyReadings'],
+  listings: ['minDescriptionLength', 'longStayDays'],
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Report keys that aren't part of the schema, which are usually typos
+const checkKeys = (object, allowed, where, errors) => {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) {
+      errors.push(
+        `${where}${key} is not a known setting (expected one of ${allowed.join(', ')})`,
+      );
+    }
+  }
+};
+
+// ---------- Validation ----------
+
+const compileChannels = (channels, errors) => {
+  const allowed = Object.keys(DEFAULTS.slack.channels);
+  checkKeys(channels, allowed, 'slack.channels.', errors);
+
+  for (const [name, value] of Object.entries(channels)) {
+    if (!isNonEmptyString(value)) {
+      errors.push(`slack.channels.${name} must be a channel ID or "$ENV_VAR_NAME"`);
+    } else if (value.startsWith('$') && !/^\$[A-Z_][A-Z0-9_]*$/.test(value)) {
+      errors.push(`slack.channels.${name}: "${value}" is not a valid env var name`);
+    }
+  }
+  return { ...DEFAULTS.slack.channels, ...channels };
+};
+
+const compileCoreTypes = (coreTypes, errors) => {
+  const species = Object.keys(DEFAULTS.vaccines.coreTypes);
+  checkKeys(coreTypes, species, 'vaccines.coreTypes.', errors);
+
+  for (const [key, types] of Object.entries(coreTypes)) {
+    const where = `vaccines.coreTypes.${key}`;
+    if (!Array.isArray(types) || types.length === 0) {
+      errors.push(`${where} must be a non-empty array`);
+      continue;
+    }
+
+    const seen = new Set();
+    types.forEach((type, i) => {
+      if (!isObject(type)) {
+        errors.push(`${where}[${i}] must be an object with key and label`);
+        return;
+      }
+      if (!PROTOCOL_FAMILIES.includes(type.key)) {
+        errors.push(
+          `${where}[${i}].key must be one of ${PROTOCOL_FAMILIES.join(', ')} (got "${type.key}")`,
+        );
+      }
+      if (!isNonEmptyString(type.label)) {
+        errors.push(`${where}[${i}].label must be a non-empty string`);
+      }
+      if (seen.has(type.key)) errors.push(`${where}[${i}]: duplicate key "${type.key}"`);
+      seen.add(type.key);
+    });
+  }
+
+  return { ...DEFAULTS.vaccines.coreTypes, ...coreTypes };
+};
+
+const compileVaccines = (vaccines, errors) => {
+  checkKeys(vaccines, SECTION_KEYS.vaccines, 'vaccines.', errors);
+  const merged = { ...DEFAULTS.vaccines, ...vaccines };
+
+  for (const key of ['needsAttentionDays', 'upcomingDays']) {
+    if (!Number.isInteger(merged[key]) || merged[key] <= 0) {
+      errors.push(`vaccines.${key} must be a positive whole number of days`);
+    }
+  }
+  if (merged.needsAttentionDays > merged.upcomingDays) {
+    errors.push('vaccines.needsAttentionDays must not be more than vaccines.upcomingDays');
+  }
+
+  let statusEmoji = DEFAULTS.vaccines.statusEmoji;
+  if (vaccines.statusEmoji !== undefined) {
+    if (!isObject(vaccines.statusEmoji)) {
+      errors.push('vaccines.statusEmoji must be an object');
+    } else {
+      checkKeys(
+        vaccines.statusEmoji,
+        Object.keys(DEFAULTS.vaccines.statusEmoji),
+        'vaccines.statusEmoji.',
+        errors,
+      );
+      for (const [status, emoji] of Object.entries(vaccines.statusEmoji)) {
+        if (typeof emoji !== 'string' || !/^:[\w+-]+:$/.test(emoji)) {
+          errors.push(`vaccines.statusEmoji.${status} must be an emoji code like ":warning:"`);
+        }
+      }
+      statusEmoji = { ...statusEmoji, ...vaccines.statusEmoji };
+    }
+  }
+
+  let coreTypes = DEFAULTS.vaccines.coreTypes;
+  if (vaccines.coreTypes !== undefined) {
+    if (isObject(vaccines.coreTypes)) coreTypes = compileCoreTypes(vaccines.coreTypes, errors);
+    else errors.push('vaccines.coreTypes must be an object keyed by species');
+  }
+
+  return { ...merged, statusEmoji, coreTypes };
+};
+
+const compileWeeklySummary = (weekly, errors) => {
+  checkKeys(weekly, SECTION_KEYS.weeklySummary, 'weeklySummary.', errors);
+  const merged = { ...DEFAULTS.weeklySummary, ...weekly };
+
+  if (
+    !Array.isArray(merged.needsFosterLocations) ||
+    !merged.needsFosterLocations.every(isNonEmptyString)
+  ) {
+    errors.push('weeklySummary.needsFosterLocations must be an array of location names');
+  }
+  return merged;
+};
+
+const compileMicrochips = (microchips, errors) => {
+  checkKeys(microchips, SECTION_KEYS.microchips, 'microchips.', errors);
+  const merged = { ...DEFAULTS.microchips, ...microchips };
+
+  if (!Number.isInteger(merged.escalateAfterDays) || merged.escalateAfterDays <= 0) {
+    errors.push('microchips.escalateAfterDays must be a positive whole number of days');
+  }
+  return merged;
+};
+
+// `weekday` is only used with the weekly cadence
+const compileSpayNeuter = (spayNeuter, errors) => {
+  checkKeys(spayNeuter, SECTION_KEYS.spayNeuter, 'spayNeuter.', errors);
+  const merged = { ...DEFAULTS.spayNeuter, ...spayNeuter };
+
+  if (!Number.isInteger(merged.minAgeWeeks) || merged.minAgeWeeks <= 0) {
+    errors.push('spayNeuter.minAgeWeeks must be a positive whole number of weeks');
+  }
+  if (!CADENCES.includes(merged.cadence)) {
+    errors.push(`spayNeuter.cadence must be one of ${CADENCES.join(', ')}`);
+  }
+  if (!WEEKDAYS.includes(merged.weekday)) {
+    errors.push('spayNeuter.weekday must be a day like "Monday"');
+  }
+  return merged;
+};
+
+const compileWeights = (weights, errors) => {
+  checkKeys(weights, SECTION_KEYS.weights, 'weights.', errors);
+  const merged = { ...DEFAULTS.weights, ...weights };
+
+  if (
+    typeof merged.changePercent !== 'number' ||
+    !(merged.changePercent > 0 && merged.changePercent < 100)
+  ) {
+    errors.push('weights.changePercent must be a number between 0 and 100');
+  }
+  if (!Number.isInteger(merged.windowDays) || merged.windowDays <= 0) {
+    errors.push('weights.windowDays must be a positive whole number of days');
+  }
+  if (!Number.isInteger(merged.historyReadings) || merged.historyReadings <= 0) {
+    errors.push('weights.historyReadings must be a positive whole number');
+  }
+  return merged;
+};
+
+const compileListings = (listings, errors) => {
+  checkKeys(listings, SECTION_KEYS.listings, 'listings.', errors);
+  const merged = { ...DEFAULTS.listings, ...listings };
+
+  if (!Number.isInteger(merged.minDescriptionLength) || merged.minDescriptionLength <= 0) {
+    errors.push('listings.minDescriptionLength must be a positive whole number of characters');
+  }
+  if (!Number.isInteger(merged.longStayDays) || merged.longStayDays <= 0) {
+    errors.push('listings.longStayDays must be a positive whole number of days');
+  }
+  return merged;
+};
+
+// Validate the parsed config and fill in defaults. Throws with every problem
+// listed so a bad edit is obvious at startup.
+const compileRescueConfig = (config, source = 'rescue config') => {
+  const errors = [];
+
+  if (!isObject(config)) throw new Error(`${source}: expected a JSON object`);
+  if (config.version !== SUPPORTED_VERSION) {
+    errors.push(`version must be ${SUPPORTED_VERSION} (got ${config.version})`);
+  }
+  checkKeys(config, ['version', ...Object.keys(SECTION_KEYS)], '', errors);
+
+  const section = (key) => {
+    if (config[key] === undefined) return {};
+    if (isObject(config[key])) return config[key];
+    errors.push(`${key} must be an object`);
+    return {};
+  };
+
+  const slack = section('slack');
+  checkKeys(slack, SECTION_KEYS.slack, 'slack.', errors);
+  let channels = DEFAULTS.slack.channels;
+  if (slack.channels !== undefined) {
+    if (isObject(slack.channels)) channels = compileChannels(slack.channels, errors);
+    else errors.push('slack.channels must be an object');
+  }
+
+  const compiled = {
+    source,
+    slack: { channels },
+    vaccines: compileVaccines(section('vaccines'), errors),
+    weeklySummary: compileWeeklySummary(section('weeklySummary'), errors),
+    microchips: compileMicrochips(section('microchips'), errors),
+    spayNeuter: compileSpayNeuter(section('spayNeuter'), errors),
+    weights: compileWeights(section('weights'), errors),
+    listings: compileListings(section('listings'), errors),
+  };
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return compiled;
+};
+
+// Without RESCUE_CONFIG_FILE, a missing rescue.config.json means defaults
+const loadRescueConfig = (configPath = process.env.RESCUE_CONFIG_FILE) => {
+  const file = configPath || DEFAULT_CONFIG_PATH;
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT' && !configPath) {
+      return compileRescueConfig({ version: SUPPORTED_VERSION }, 'built-in defaults');
+    }
+    throw new Error(`Could not read rescue config ${file}: ${err.message}`);
+  }
+  return compileRescueConfig(config, file);
+};
+
+// Loaded once per process. Scripts call this before anything else so a bad
+// config stops them with its error list rather than a stack trace.
+let cached = null;
+const getRescueConfig = () => {
+  if (!cached) cached = loadRescueConfig();
+  return cached;
+};
+
+// { id, from } for a named channel; `from` says where the ID was looked for
+// ("SLACK_CHANNEL_ID env var" or the config path)
+const resolveChannel = (config, name, env = process.env) => {
+  const value = config.slack.channels[name];
+  if (value.startsWith('$')) {
+    const envName = value.slice(1);
+    return { id: env[envName] || null, from: `${envName} env var` };
+  }
+  return { id: value, from: `slack.channels.${name} in ${config.source}` };
+};
+
+module.exports = {
+  DEFAULTS,
+  WEEKDAYS,
+  compileRescueConfig,
+  loadRescueConfig,
+  getRescueConfig,
+  resolveChannel,
+};
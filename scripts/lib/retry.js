@@ -0,0 +1,26 @@
+// Retry timing shared by the Shelterluv and Slack clients
+
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 15000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Honor Retry-After (seconds) when present, otherwise exponential backoff
+// with a little jitter so parallel workers don't retry in lockstep.
+const backoffDelay = (
+  attempt,
+  retryAfterHeader,
+  { baseMs = BASE_BACKOFF_MS, maxMs = MAX_BACKOFF_MS, maxRetryAfterMs = maxMs } = {},
+) => {
+  const retryAfter = retryAfterHeader ? Number(retryAfterHeader) : NaN;
+  if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+    return Math.min(retryAfter * 1000, maxRetryAfterMs);
+  }
+  const exp = baseMs * 2 ** attempt;
+  return Math.min(exp + Math.random() * baseMs, maxMs);
+};
+
+module.exports = {
+  sleep,
+  backoffDelay,
+};
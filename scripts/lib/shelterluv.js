@@ -0,0 +1,198 @@
+// Shared Shelterluv API client used by all scripts.
+//
+// Every request gets a timeout and is retried with exponential backoff on
+// network errors, timeouts, HTTP 429 and 5xx responses. Bulk vaccine lookups
+// run through a bounded worker pool so large rosters finish quickly without
+// hammering the API.
+
+const { sleep, backoffDelay } = require('./retry');
+
+// SHELTERLUV_API_BASE_URL points the client at a stand-in (see test/mocks)
+const DEFAULT_BASE_URL =
+  process.env.SHELTERLUV_API_BASE_URL || 'https://new.shelterluv.com/api/v1';
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_CONCURRENCY = 6;
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Run `worker` over `items` with at most `limit` in flight; results keep the
+// input order.
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    },
+  );
+
+  await Promise.all(runners);
+  return results;
+};
+
+// Vaccines endpoints return either { vaccines: [...] } or a bare array
+const toVaccineList = (json) =>
+  Array.isArray(json.vaccines)
+    ? json.vaccines
+    : Array.isArray(json)
+      ? json
+      : [];
+
+const createShelterluvClient = ({
+  apiKey,
+  baseUrl = DEFAULT_BASE_URL,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  concurrency = DEFAULT_CONCURRENCY,
+} = {}) => {
+  if (!apiKey) throw new Error('Shelterluv client requires an apiKey');
+
+  const getJson = async (path, label = path) => {
+    const url = `${baseUrl}${path}`;
+
+    for (let attempt = 0; ; attempt++) {
+      let res;
+      try {
+        res = await fetch(url, {
+          method: 'GET',
+          headers: {
+            Authorization: `Bearer ${apiKey}`,
+            Accept: 'application/json',
+          },
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (err) {
+        const reason =
+          err.name === 'TimeoutError'
+            ? `timed out after ${timeoutMs}ms`
+            : err.message;
+        if (attempt >= maxRetries) {
+          throw new Error(`Shelterluv ${label} failed: ${reason}`);
+        }
+        const delay = backoffDelay(attempt);
+        console.warn(
+          `Shelterluv ${label} ${reason}; retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries})`,
+        );
+        await sleep(delay);
+        continue;
+      }
+
+      if (res.ok) return res.json();
+
+      const text = await res.text();
+      if (isRetryableStatus(res.status) && attempt < maxRetries) {
+        const delay = backoffDelay(attempt, res.headers.get('retry-after'));
+        console.warn(
+          `Shelterluv ${label} returned ${res.status}; retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries})`,
+        );
+        await sleep(delay);
+        continue;
+      }
+
+      console.error(`Shelterluv ${label} error:`, res.status, text);
+      const error = new Error(
+        `Shelterluv ${label} request failed with ${res.status}`,
+      );
+      error.status = res.status;
+      throw error;
+    }
+  };
+
+  // Page through a list endpoint (/animals, /events) until has_more is false
+  // or a short page comes back
+  const fetchPages = async (resource, query, label, limit) => {
+    let offset = 0;
+    const all = [];
+
+    while (true) {
+      const params = new URLSearchParams(query);
+      params.set('limit', String(limit));
+      params.set('offset', String(offset));
+
+      const path = `/${resource}?${params}`;
+      console.log(`Fetching ${resource} from Shelterluv:`, path);
+
+      const json = await getJson(path, label);
+      const batch = Array.isArray(json[resource]) ? json[resource] : json;
+
+      if (!Array.isArray(batch) || batch.length === 0) break;
+
+      all.push(...batch);
+
+      if (json.has_more === false || batch.length < limit) break;
+
+      offset += limit;
+    }
+
+    return all;
+  };
+
+  const fetchAnimals = ({
+    statusType,
+    since,
+    sortByUpdated = false,
+    limit = 100,
+  } = {}) => {
+    const query = {};
+    if (since !== undefined) query.since = String(since);
+    if (statusType) query.status_type = statusType;
+    if (sortByUpdated) query.sort = 'updated_at';
+    return fetchPages('animals', query, `animals (${statusType || 'all'})`, limit);
+  };
+
+  // One animal by Internal-ID, e.g. one that has left custody
+  const fetchAnimal = (animalId) =>
+    getJson(`/animals/${encodeURIComponent(animalId)}`, `animal ${animalId}`);
+
+  // Event log (intakes, outcomes, …) since a unix time, oldest first
+  const fetchEvents = ({ since, limit = 100 } = {}) => {
+    const query = {};
+    if (since !== undefined) query.since = String(since);
+    return fetchPages('events', query, 'events', limit);
+  };
+
+  // status: undefined for full history, or 'scheduled' / 'overdue'
+  const fetchVaccines = async (animalId, status) => {
+    const query = status ? `?status=${encodeURIComponent(status)}` : '';
+    const json = await getJson(
+      `/animals/${animalId}/vaccines${query}`,
+      `${status || 'all'} vaccines for ${animalId}`,
+    );
+    return toVaccineList(json);
+  };
+
+  // Fetch all/scheduled/overdue vaccine lists for many animals through the
+  // worker pool. Each result is { animalId, all, scheduled, overdue } or
+  // { animalId, error } — one failing animal never aborts the batch.
+  const fetchVaccinesForAnimals = (animalIds) =>
+    mapWithConcurrency(animalIds, concurrency, async (animalId) => {
+      try {
+        const all = await fetchVaccines(animalId);
+        const scheduled = await fetchVaccines(animalId, 'scheduled');
+        const overdue = await fetchVaccines(animalId, 'overdue');
+        return { animalId, all, scheduled, overdue };
+      } catch (error) {
+        return { animalId, error };
+      }
+    });
+
+  return {
+    getJson,
+    fetchAnimals,
+    fetchAnimal,
+    fetchEvents,
+    fetchVaccines,
+    fetchVaccinesForAnimals,
+  };
+};
+
+module.exports = {
+  createShelterluvClient,
+  mapWithConcurrency,
+};
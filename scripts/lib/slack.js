@@ -0,0 +1,369 @@
+// Slack Web API client shared by all scripts.
+//
+// Calls are paced per method to Slack's rate-limit tiers, wait out
+// Retry-After on HTTP 429 / `ratelimited`, and retry network errors, timeouts,
+// 5xx and Slack's transient errors with backoff. Calls that still fail are
+// kept in `failures` so a script can report them at the end (reportFailures)
+// instead of leaving partial posts unnoticed. Long-running callers pass
+// trackFailures: false.
+//
+// In dry-run mode every write method (posting, deleting, uploading) is
+// diverted to the preview writer instead of Slack; nothing in the workspace
+// changes. Reads still go to Slack, but a dry run may have no token, so read
+// failures are logged rather than kept in `failures`.
+
+const { createPreviewWriter } = require('./preview');
+const { splitPayload, truncate } = require('./blockKit');
+const { sleep, backoffDelay } = require('./retry');
+
+// SLACK_API_BASE_URL points the client at a stand-in (see test/mocks)
+const DEFAULT_BASE_URL =
+  process.env.SLACK_API_BASE_URL || 'https://slack.com/api';
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_RETRIES = 5;
+// Slack asks for waits of up to a minute or so; anything longer is a failure
+const MAX_RETRY_AFTER_MS = 120000;
+
+// ---------- Rate-limit tiers ----------
+// https://api.slack.com/apis/rate-limits
+
+// Calls per minute for each tier; bursts up to the full minute's worth
+const TIER_PER_MINUTE = { 1: 1, 2: 20, 3: 50, 4: 100 };
+const DEFAULT_TIER = 3;
+
+const METHOD_TIERS = {
+  'conversations.list': 2,
+  'conversations.history': 3,
+  'conversations.join': 3,
+  'conversations.invite': 3,
+  'chat.update': 3,
+  'chat.delete': 3,
+  'users.lookupByEmail': 4,
+  'files.getUploadURLExternal': 4,
+  'files.completeUploadExternal': 4,
+};
+
+// chat.postMessage is special: about one message per second per channel,
+// with short bursts allowed
+const POST_MESSAGE_LIMITS = { perSecond: 1, burst: 10 };
+
+const limitsFor = (method) => {
+  if (method === 'chat.postMessage') return POST_MESSAGE_LIMITS;
+  const perMinute = TIER_PER_MINUTE[METHOD_TIERS[method] || DEFAULT_TIER];
+  return { perSecond: perMinute / 60, burst: perMinute };
+};
+
+// Token bucket per key (a method, or chat.postMessage + channel)
+const createRateLimiter = ({ clock = Date.now, wait = sleep } = {}) => {
+  const buckets = new Map();
+
+  const bucketFor = (key, { perSecond, burst }) => {
+    if (!buckets.has(key)) {
+      buckets.set(key, { tokens: burst, updatedAt: clock(), pausedUntil: 0, perSecond, burst });
+    }
+    return buckets.get(key);
+  };
+
+  // Resolves once a call under `key` may go out
+  const take = async (key, limits) => {
+    const bucket = bucketFor(key, limits);
+
+    while (true) {
+      const now = clock();
+      bucket.tokens = Math.min(
+        bucket.burst,
+        bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.perSecond,
+      );
+      bucket.updatedAt = now;
+
+      if (bucket.pausedUntil > now) {
+        await wait(bucket.pausedUntil - now);
+        continue;
+      }
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+      await wait(((1 - bucket.tokens) / bucket.perSecond) * 1000);
+    }
+  };
+
+  // After a 429, hold every call under `key` until Retry-After has passed
+  const pause = (key, limits, ms) => {
+    const bucket = bucketFor(key, limits);
+    bucket.tokens = 0;
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, clock() + ms);
+  };
+
+  return { take, pause };
+};
+
+// ---------- Client ----------
+
+// Slack errors worth another try
+const TRANSIENT_ERRORS = new Set([
+  'ratelimited',
+  'internal_error',
+  'fatal_error',
+  'service_unavailable',
+  'request_timeout',
+]);
+
+// "C0123 ts 1700000000.000100 "Rosie's Vaccine Status…"" for failure reports
+const describeTarget = (params = {}) =>
+  [
+    params.channel,
+    params.ts && `ts ${params.ts}`,
+    params.text && `"${truncate(params.text, 60)}"`,
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+const createSlackClient = ({
+  token,
+  dryRun = false,
+  previewDir,
+  baseUrl = DEFAULT_BASE_URL,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  limiter = createRateLimiter(),
+  trackFailures = true,
+} = {}) => {
+  if (!token && !dryRun) throw new Error('Slack client requires a token');
+
+  const preview = dryRun ? createPreviewWriter({ outDir: previewDir }) : null;
+  const failures = [];
+  let fakeTs = 0;
+
+  // One Web API call with pacing and retries. Always resolves to Slack's JSON;
+  // a call that never got an answer resolves to { ok: false, error }.
+  // `expectedErrors` are answers the caller handles, not failures.
+  const request = async (method, params, { httpMethod = 'POST', expectedErrors = [] } = {}) => {
+    const limits = limitsFor(method);
+    const key = method === 'chat.postMessage' ? `${method}:${params.channel}` : method;
+
+    const fail = (error) => {
+      if (dryRun && httpMethod === 'GET') {
+        console.warn(`[dry-run] Slack ${method} failed: ${error}`);
+      } else if (trackFailures && !expectedErrors.includes(error)) {
+        failures.push({ method, error, target: describeTarget(params) });
+      }
+      return { ok: false, error };
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      await limiter.take(key, limits);
+
+      let res;
+      let json;
+      try {
+        if (httpMethod === 'GET') {
+          const url = new URL(`${baseUrl}/${method}`);
+          for (const [k, v] of Object.entries(params)) {
+            if (v !== undefined && v !== null) url.searchParams.set(k, v);
+          }
+          res = await fetch(url, {
+            headers: { Authorization: `Bearer ${token}` },
+            signal: AbortSignal.timeout(timeoutMs),
+          });
+        } else {
+          res = await fetch(`${baseUrl}/${method}`, {
+            method: 'POST',
+            headers: {
+              Authorization: `Bearer ${token}`,
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(params),
+            signal: AbortSignal.timeout(timeoutMs),
+          });
+        }
+        json = res.status === 429 || res.status >= 500 ? null : await res.json();
+      } catch (err) {
+        const reason =
+          err.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : err.message;
+        if (attempt >= maxRetries) return fail(reason);
+        const delay = backoffDelay(attempt);
+        console.warn(
+          `Slack ${method} ${reason}; retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries})`,
+        );
+        await sleep(delay);
+        continue;
+      }
+
+      const rateLimited = res.status === 429 || json?.error === 'ratelimited';
+      const transient = res.status >= 500 || TRANSIENT_ERRORS.has(json?.error);
+      if (!rateLimited && !transient) {
+        if (!json.ok) return fail(json.error);
+        return json;
+      }
+
+      const error = json?.error || `HTTP ${res.status}`;
+      const delay = backoffDelay(attempt, res.headers.get('retry-after'), {
+        maxRetryAfterMs: MAX_RETRY_AFTER_MS,
+      });
+      if (attempt >= maxRetries || delay >= MAX_RETRY_AFTER_MS) return fail(error);
+
+      console.warn(
+        `Slack ${method} ${rateLimited ? 'rate limited' : `returned ${error}`}; ` +
+          `retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries})`,
+      );
+      if (rateLimited) limiter.pause(key, limits, delay);
+      else await sleep(delay);
+    }
+  };
+
+  const get = (method, params = {}, options = {}) =>
+    request(method, params, { ...options, httpMethod: 'GET' });
+
+  const post = (method, body, options = {}) => request(method, body, options);
+
+  // Write calls throw on { ok: false } so callers can log per-message failures
+  const write = async (method, body, options = {}) => {
+    if (dryRun) {
+      preview.write(method, body);
+      fakeTs++;
+      return {
+        ok: true,
+        channel: body.channel,
+        ts: body.ts || `dry-run.${fakeTs}`,
+      };
+    }
+    const json = await post(method, body, options);
+    if (!json.ok) throw new Error(json.error);
+    return json;
+  };
+
+  const postMessage = (channel, payload) =>
+    write('chat.postMessage', { channel, ...payload });
+
+  // Callers repost a message that's gone, so that's not a failure
+  const updateMessage = (channel, ts, payload) =>
+    write('chat.update', { channel, ts, ...payload }, { expectedErrors: ['message_not_found'] });
+
+  const deleteMessage = (channel, ts) =>
+    write('chat.delete', { channel, ts }, { expectedErrors: ['message_not_found'] });
+
+  // Post a payload that may be over Block Kit limits. Extra parts go in the
+  // first part's thread, or in threadTs when the message is itself a reply.
+  // Returns the first part's response plus `parts` (the other parts' ts).
+  const postMessageParts = async (channel, payload, { threadTs } = {}) => {
+    const [first, ...rest] = splitPayload(payload);
+    const json = await postMessage(channel, threadTs ? { ...first, thread_ts: threadTs } : first);
+
+    const parts = [];
+    for (const part of rest) {
+      const reply = await postMessage(channel, { ...part, thread_ts: threadTs || json.ts });
+      parts.push(reply.ts);
+    }
+    return { ...json, parts };
+  };
+
+  // Send a file's bytes to the upload URL Slack handed out. Not a Web API
+  // call, so it has its own small retry loop.
+  const sendUpload = async (uploadUrl, file) => {
+    for (let attempt = 0; ; attempt++) {
+      let res;
+      let error;
+      try {
+        res = await fetch(uploadUrl, {
+          method: 'POST',
+          body: file.content,
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (err) {
+        error = err.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : err.message;
+      }
+      if (res?.ok) return;
+      if (res) {
+        error = `HTTP ${res.status}`;
+        // Only server errors are worth another try
+        if (res.status < 500) throw new Error(error);
+      }
+
+      if (attempt >= maxRetries) throw new Error(error);
+      const delay = backoffDelay(attempt);
+      console.warn(
+        `Upload of ${file.filename} ${error}; retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries})`,
+      );
+      await sleep(delay);
+    }
+  };
+
+  // Share files ({ filename, title, content }) in one message, the way the
+  // SDK's files.uploadV2 does: get an upload URL per file, send the bytes,
+  // then complete them together in the channel (or threadTs). Needs the
+  // files:write scope.
+  const uploadFiles = async (channel, files, { threadTs, initialComment } = {}) => {
+    if (dryRun) {
+      preview.write('files.uploadV2', {
+        channel,
+        thread_ts: threadTs || undefined,
+        initial_comment: initialComment,
+        files: files.map(({ filename, title, content }) => ({
+          filename,
+          title,
+          length: content.length,
+        })),
+      });
+      return { ok: true, files: [] };
+    }
+
+    const uploaded = [];
+    for (const file of files) {
+      const target = await get('files.getUploadURLExternal', {
+        filename: file.filename,
+        length: String(file.content.length),
+      });
+      if (!target.ok) throw new Error(target.error);
+
+      try {
+        await sendUpload(target.upload_url, file);
+      } catch (err) {
+        if (trackFailures) {
+          failures.push({ method: 'file upload', error: err.message, target: file.filename });
+        }
+        throw err;
+      }
+      uploaded.push({ id: target.file_id, title: file.title || file.filename });
+    }
+
+    return write('files.completeUploadExternal', {
+      channel_id: channel,
+      thread_ts: threadTs || undefined,
+      initial_comment: initialComment,
+      files: uploaded,
+    });
+  };
+
+  // Log every call that failed for good; returns how many there were
+  const reportFailures = () => {
+    if (failures.length === 0) return 0;
+    console.error(`${failures.length} Slack calls failed for good:`);
+    for (const { method, error, target } of failures) {
+      console.error(`  - ${method}${target ? ` ${target}` : ''}: ${error}`);
+    }
+    return failures.length;
+  };
+
+  return {
+    dryRun,
+    preview,
+    failures,
+    get,
+    post,
+    write,
+    postMessage,
+    postMessageParts,
+    updateMessage,
+    deleteMessage,
+    uploadFiles,
+    reportFailures,
+  };
+};
+
+module.exports = {
+  METHOD_TIERS,
+  limitsFor,
+  createRateLimiter,
+  createSlackClient,
+};
@@ -0,0 +1,133 @@
+// Spay/neuter tracking for the daily vaccine post. Dogs can't be adopted out
+// unaltered, so every in-custody dog whose Shelterluv `Altered` field isn't
+// "Yes" is listed, split by whether it's old enough for surgery
+// (spayNeuter.minAgeWeeks in rescue.config.json). Dogs listed as Available
+// while unaltered are flagged first.
+
+const { DAY_MS, addDays, birthDateFromAnimal, formatDate } = require('./dates');
+const { COMPACT_LIST_THRESHOLD, compactListBlocks } = require('./blockKit');
+
+const WEEK_MS = 7 * DAY_MS;
+
+// In display order
+const SPAY_NEUTER_GROUPS = [
+  { key: 'available', label: 'Listed as Available while unaltered', emoji: ':no_entry:' },
+  { key: 'eligible', label: 'Old enough for surgery', emoji: ':hospital:' },
+  { key: 'unknownAge', label: 'Age unknown', emoji: ':grey_question:' },
+  { key: 'tooYoung', label: 'Too young for surgery', emoji: ':baby_bottle:' },
+];
+
+const isAltered = (animal) => String(animal.Altered || '').trim().toLowerCase() === 'yes';
+
+const isListedAvailable = (animal) => /^available/i.test(String(animal.Status || '').trim());
+
+// "9 weeks", "5 months", "3 years"
+const ageText = (ageWeeks) => {
+  if (ageWeeks < 16) return `${ageWeeks} weeks`;
+  const months = Math.floor((ageWeeks * 7) / 30.44);
+  if (months < 24) return `${months} months`;
+  return `${Math.floor(months / 12)} years`;
+};
+
+// { altered, available, birthDate, ageWeeks, eligible, eligibleFrom, group }.
+// `eligible` is null when there is no DOB or Age to go on.
+const evaluateSpayNeuter = (animal, { now = new Date(), minAgeWeeks }) => {
+  const birthDate = birthDateFromAnimal(animal, now);
+  const ageWeeks = birthDate ? Math.max(0, Math.floor((now - birthDate) / WEEK_MS)) : null;
+  const eligibleFrom = birthDate ? addDays(birthDate, minAgeWeeks * 7) : null;
+  const eligible = eligibleFrom ? eligibleFrom <= now : null;
+  const available = isListedAvailable(animal);
+
+  let group = null;
+  if (!isAltered(animal)) {
+    if (available) group = 'available';
+    else if (eligible === null) group = 'unknownAge';
+    else group = eligible ? 'eligible' : 'tooYoung';
+  }
+
+  return {
+    altered: isAltered(animal),
+    alteredValue: String(animal.Altered || '').trim() || 'blank',
+    available,
+    birthDate,
+    ageWeeks,
+    eligible,
+    eligibleFrom,
+    group,
+  };
+};
+
+// ---------- Slack payload ----------
+
+// "*Rosie* (211073874) – 3 years, old enough now · Altered: Unknown"
+const dogLine = ({ name, animalId, spayNeuter }) => {
+  const { ageWeeks, eligible, eligibleFrom, alteredValue } = spayNeuter;
+  const age =
+    eligible === null
+      ? 'no date of birth in Shelterluv'
+      : eligible
+        ? `${ageText(ageWeeks)}, old enough now`
+        : `${ageText(ageWeeks)}, eligible from ${formatDate(eligibleFrom)}`;
+  const altered = alteredValue === 'No' ? '' : ` · Altered: ${alteredValue}`;
+  return `*${name}* (${animalId}) – ${age}${altered}`;
+};
+
+// `dogs` is [{ name, animalId, spayNeuter }] for unaltered dogs. Oldest first
+// in each group; too-young dogs by the date they become eligible.
+const buildSpayNeuterPayload = (dogs, { minAgeWeeks }) => {
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `${dogs.length} dogs not yet spayed/neutered`,
+        emoji: true,
+      },
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `Dogs can't be adopted out unaltered. Surgery from ${minAgeWeeks} weeks old.`,
+        },
+      ],
+    },
+  ];
+
+  for (const { key, label, emoji } of SPAY_NEUTER_GROUPS) {
+    const inGroup = dogs
+      .filter((dog) => dog.spayNeuter.group === key)
+      .sort(
+        (a, b) =>
+          (a.spayNeuter.birthDate || 0) - (b.spayNeuter.birthDate || 0) ||
+          a.name.localeCompare(b.name),
+      );
+    if (inGroup.length === 0) continue;
+
+    const lines = inGroup.map(dogLine);
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text:
+          `${emoji} *${label}* (${inGroup.length})` +
+          (lines.length > COMPACT_LIST_THRESHOLD ? '' : `\n${lines.join('\n')}`),
+      },
+    });
+    if (lines.length > COMPACT_LIST_THRESHOLD) blocks.push(...compactListBlocks(lines));
+  }
+
+  blocks.push({ type: 'divider' });
+
+  return {
+    text: `Shelterluv spay/neuter check – ${dogs.length} dogs unaltered`,
+    blocks,
+  };
+};
+
+module.exports = {
+  SPAY_NEUTER_GROUPS,
+  evaluateSpayNeuter,
+  buildSpayNeuterPayload,
+};
@@ -0,0 +1,56 @@
+// Species we track vaccines for, keyed by our own short key. `type` is the
+// Shelterluv animal Type; `coreTypes` are the core vaccine families every
+// animal of that species is checked against, in report order
+// (vaccines.coreTypes in rescue.config.json).
+
+const { getRescueConfig } = require('./rescueConfig');
+
+const { coreTypes } = getRescueConfig().vaccines;
+
+const SPECIES = {
+  dog: {
+    key: 'dog',
+    type: 'Dog',
+    label: 'Dog',
+    plural: 'dogs',
+    emoji: ':dog:',
+    coreTypes: coreTypes.dog,
+  },
+  cat: {
+    key: 'cat',
+    type: 'Cat',
+    label: 'Cat',
+    plural: 'cats',
+    emoji: ':cat:',
+    coreTypes: coreTypes.cat,
+  },
+};
+
+const DEFAULT_SPECIES = 'dog';
+
+// Species entry for a Shelterluv animal, or null when we don't track it
+const speciesForAnimal = (animal) =>
+  Object.values(SPECIES).find((s) => s.type === animal.Type) || null;
+
+const getSpecies = (key = DEFAULT_SPECIES) => {
+  const species = SPECIES[key];
+  if (!species) throw new Error(`Unknown species "${key}"`);
+  return species;
+};
+
+// Label for a core family key across all species
+const coreTypeLabel = (key) => {
+  for (const species of Object.values(SPECIES)) {
+    const type = species.coreTypes.find((t) => t.key === key);
+    if (type) return type.label;
+  }
+  return key;
+};
+
+module.exports = {
+  SPECIES,
+  DEFAULT_SPECIES,
+  speciesForAnimal,
+  getSpecies,
+  coreTypeLabel,
+};
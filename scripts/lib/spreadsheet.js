@@ -0,0 +1,218 @@
+// CSV and XLSX writers for tabular reports. `rows` is an array of arrays of
+// cells: strings, numbers, Dates or null. The first row is the header.
+//
+// The XLSX is the smallest workbook Excel, Numbers, LibreOffice and Google
+// Sheets all open: one sheet of inline strings, zipped with zlib, so no
+// spreadsheet package is needed.
+
+const zlib = require('zlib');
+const { DAY_MS, toDateKey } = require('./dates');
+
+// ---------- CSV ----------
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return toDateKey(value);
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RFC 4180 with CRLF line ends. The BOM makes Excel read it as UTF-8.
+const toCsv = (rows) =>
+  `\uFEFF${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+
+// ---------- XLSX ----------
+
+const escapeXml = (text) =>
+  String(text)
+    // Control characters aren't allowed in XML at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// 0 → A, 25 → Z, 26 → AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Excel stores dates as days since 12/30/1899, in local calendar terms
+const excelDate = (date) =>
+  (Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) -
+    Date.UTC(1899, 11, 30)) /
+  DAY_MS;
+
+// Cell styles, by index into cellXfs in styles.xml
+const STYLE = { header: 1, date: 2 };
+
+const xlsxCell = (value, ref, header) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (value instanceof Date) return `<c r="${ref}" s="${STYLE.date}"><v>${excelDate(value)}</v></c>`;
+  if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+  return (
+    `<c r="${ref}" t="inlineStr"${header ? ` s="${STYLE.header}"` : ''}>` +
+    `<is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+  );
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PKG_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const OFFICE_TYPE = 'application/vnd.openxmlformats-officedocument';
+
+// Width and bottom-right cell of the table, e.g. { width: 16, lastRef: 'P12' }
+const tableSize = (rows) => {
+  const width = Math.max(1, ...rows.map((row) => row.length));
+  return { width, lastRef: `${columnName(width - 1)}${Math.max(1, rows.length)}` };
+};
+
+const sheetXml = (rows) => {
+  const { width, lastRef } = tableSize(rows);
+
+  const rowsXml = rows
+    .map(
+      (row, r) =>
+        `<row r="${r + 1}">` +
+        row.map((value, c) => xlsxCell(value, `${columnName(c)}${r + 1}`, r === 0)).join('') +
+        '</row>',
+    )
+    .join('');
+
+  // Header row frozen and filterable
+  return (
+    `${XML_HEADER}<worksheet xmlns="${MAIN_NS}">` +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '</sheetView></sheetViews>' +
+    `<cols><col min="1" max="${width}" width="18" customWidth="1"/></cols>` +
+    `<sheetData>${rowsXml}</sheetData>` +
+    `<autoFilter ref="A1:${lastRef}"/>` +
+    '</worksheet>'
+  );
+};
+
+const workbookFiles = (rows, sheetName) => ({
+  '[Content_Types].xml':
+    `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    `<Override PartName="/xl/workbook.xml" ContentType="${OFFICE_TYPE}.spreadsheetml.sheet.main+xml"/>` +
+    `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="${OFFICE_TYPE}.spreadsheetml.worksheet+xml"/>` +
+    `<Override PartName="/xl/styles.xml" ContentType="${OFFICE_TYPE}.spreadsheetml.styles+xml"/>` +
+    '</Types>',
+  '_rels/.rels':
+    `${XML_HEADER}<Relationships xmlns="${PKG_REL_NS}">` +
+    `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>',
+  'xl/workbook.xml':
+    `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>',
+  'xl/_rels/workbook.xml.rels':
+    `${XML_HEADER}<Relationships xmlns="${PKG_REL_NS}">` +
+    `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+    `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+    '</Relationships>',
+  // Styles: 0 default, 1 bold header, 2 date (built-in format 14, m/d/yyyy)
+  'xl/styles.xml':
+    `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+    '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+    '<fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+    '</styleSheet>',
+  'xl/worksheets/sheet1.xml': sheetXml(rows),
+});
+
+// Sheet names are at most 31 characters and can't contain []:*?/\
+const safeSheetName = (name) =>
+  String(name || 'Sheet1').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Sheet1';
+
+// ---------- Zip ----------
+
+// Fixed 1/1/1980 timestamps keep the same rows byte-for-byte identical
+const DOS_TIME = 0;
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+const UTF8_NAMES = 0x0800;
+
+// Deflated zip archive of { name: string | Buffer }
+const zip = (files) => {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(DOS_TIME, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(UTF8_NAMES, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt16LE(DOS_TIME, 12);
+    entry.writeUInt16LE(DOS_DATE, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBuf.length, 28);
+    entry.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, compressed);
+    central.push(entry, nameBuf);
+    offset += local.length + nameBuf.length + compressed.length;
+  }
+
+  const centralDir = Buffer.concat(central);
+  const count = Object.keys(files).length;
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDir, end]);
+};
+
+const toXlsx = (rows, { sheetName } = {}) => zip(workbookFiles(rows, safeSheetName(sheetName)));
+
+module.exports = {
+  toCsv,
+  toXlsx,
+  columnName,
+  excelDate,
+};
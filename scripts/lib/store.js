@@ -0,0 +1,36 @@
+// Tiny JSON file store for state that must survive between runs (Slack
+// message timestamps, run history, ...). Files live in STATE_DIR, which
+// defaults to ./state at the repo root; CI restores it from the Actions cache.
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_DIR =
+  process.env.STATE_DIR || path.join(__dirname, '..', '..', 'state');
+
+const statePath = (name) => path.join(STATE_DIR, name);
+
+// Returns `fallback` when the file doesn't exist yet
+const readState = (name, fallback = null) => {
+  try {
+    return JSON.parse(fs.readFileSync(statePath(name), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw new Error(`Could not read state file ${name}: ${err.message}`);
+  }
+};
+
+// Write to a temp file first so a crash never leaves half-written JSON
+const writeState = (name, data) => {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const file = statePath(name);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(tmp, file);
+};
+
+module.exports = {
+  STATE_DIR,
+  readState,
+  writeState,
+};
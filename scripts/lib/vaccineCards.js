@@ -0,0 +1,701 @@
+// Slack Block Kit rendering for the vaccine check. Everything here is a thin
+// layer over the result of evaluateVaccineStatus (lib/vaccineStatus.js).
+
+const { formatDate, fromDateKey, unixStringToDate } = require('./dates');
+const { SPECIES, DEFAULT_SPECIES, getSpecies, coreTypeLabel } = require('./species');
+const { ALERT_STATUSES } = require('./acknowledgements');
+const { DIGEST_GROUPS, rankByUrgency, countByFamily } = require('./digest');
+const { COMPACT_LIST_THRESHOLD, compactListBlocks } = require('./blockKit');
+const { getRescueConfig } = require('./rescueConfig');
+const { weightSectionText } = require('./weights');
+
+// ---------- Card identity ----------
+
+// Cards carry metadata with their key (e.g. "dog:211073874") so the daily
+// check can find them in channel history and the app server can rebuild it.
+const CARD_EVENT_TYPE = 'shelterluv_vaccine_card';
+
+const cardKey = (species, animalId) => `${species}:${animalId}`;
+
+const withCardMetadata = (payload, key) => ({
+  ...payload,
+  metadata: { event_type: CARD_EVENT_TYPE, event_payload: { key } },
+});
+
+// Block IDs for a core-type row's buttons: "vaccine|dog:211073874|rabies"
+const vaccineBlockId = (key, typeKey) => `vaccine|${key}|${typeKey}`;
+
+const parseVaccineBlockId = (blockId) => {
+  const [prefix, key, typeKey] = String(blockId || '').split('|');
+  if (prefix !== 'vaccine' || !key || !typeKey) return null;
+  return { cardKey: key, animalId: key.split(':')[1], typeKey };
+};
+
+// ---------- Emoji mapping ----------
+
+// vaccines.statusEmoji in rescue.config.json
+const { statusEmoji: STATUS_EMOJI, upcomingDays } = getRescueConfig().vaccines;
+
+// ---------- Slack payload: formatted ----------
+
+// One line of detail for a core type, e.g. "Last given 1/2/2025. Due in 9 days (3/1/2026)"
+const coreTypeStatusText = (type) => {
+  const { status, reasons, lastGiven, nextDue, daysUntilDue, label } = type;
+  const code = reasons[0]?.code;
+
+  if (code === 'marked_overdue') return '*Marked overdue in Shelterluv.*';
+
+  if (code === 'scheduled') {
+    const lastDateStr = formatDate(lastGiven);
+    const nextDateStr = formatDate(nextDue);
+
+    if (status === 'overdue') {
+      const daysOverdue = Math.max(1, -daysUntilDue);
+      return `Last given ${lastDateStr}. *${daysOverdue} days overdue* (was due ${nextDateStr})`;
+    }
+    if (status === 'needsAttention') {
+      return `Last given ${lastDateStr}. *Due in ${daysUntilDue} days* (${nextDateStr})`;
+    }
+    if (status === 'upcoming') {
+      return `Last given ${lastDateStr}. Due in ${daysUntilDue} days (${nextDateStr})`;
+    }
+    return `Last given ${lastDateStr}. Next due ${nextDateStr}`;
+  }
+
+  if (code === 'missing_schedule') {
+    const { dueDate, description } = type.expected;
+    const when =
+      status === 'overdue'
+        ? `*expected ${formatDate(dueDate)}, ${Math.max(1, -daysUntilDue)} days ago*`
+        : status === 'current'
+          ? `expected due ${formatDate(dueDate)}`
+          : `*expected due ${formatDate(dueDate)}* (in ${daysUntilDue} days)`;
+    return (
+      `Last given ${formatDate(lastGiven)}. ${STATUS_EMOJI.missingSchedule} ` +
+      `*Missing schedule* – ${when} per protocol: ${description}`
+    );
+  }
+
+  if (code === 'not_eligible') {
+    const { date, weeks } = type.eligible;
+    return status === 'notYetDue'
+      ? `Too young – first dose due from ${formatDate(date)} (${weeks} weeks old)`
+      : `*First dose due from ${formatDate(date)}* (in ${daysUntilDue} days, at ${weeks} weeks old)`;
+  }
+
+  if (code === 'not_scheduled') {
+    return `Last given ${formatDate(lastGiven)}. Next due not scheduled`;
+  }
+
+  return `No ${label.toLowerCase()} vaccine on file`;
+};
+
+// ---------- Buttons and acknowledgements ----------
+
+const vaccineActionsBlock = (key, typeKey) => ({
+  type: 'actions',
+  block_id: vaccineBlockId(key, typeKey),
+  elements: [
+    {
+      type: 'button',
+      action_id: 'vaccine_booked',
+      text: { type: 'plain_text', text: 'Appointment booked', emoji: true },
+      value: typeKey,
+    },
+    {
+      type: 'button',
+      action_id: 'vaccine_given',
+      text: { type: 'plain_text', text: 'Given today', emoji: true },
+      style: 'primary',
+      value: typeKey,
+    },
+    {
+      type: 'button',
+      action_id: 'vaccine_snooze',
+      text: { type: 'plain_text', text: 'Snooze', emoji: true },
+      value: typeKey,
+    },
+  ],
+});
+
+const acknowledgementText = (ack) => {
+  const who = `<@${ack.userId}>`;
+  const on = formatDate(new Date(ack.at));
+  if (ack.action === 'booked') return `:calendar: Appointment booked – claimed by ${who} on ${on}`;
+  if (ack.action === 'given') return `:syringe: Given – marked by ${who} on ${on}`;
+  return `${STATUS_EMOJI.snoozed} Snoozed by ${who} until ${formatDate(new Date(ack.until))}`;
+};
+
+// Replaces a row's buttons once someone has acted on them
+const acknowledgementBlock = (key, typeKey, ack) => ({
+  type: 'context',
+  block_id: vaccineBlockId(key, typeKey),
+  elements: [{ type: 'mrkdwn', text: acknowledgementText(ack) }],
+});
+
+// Swap the buttons in an existing message's blocks for the acknowledgement
+const markAcknowledged = (blocks, blockId, ack) => {
+  const parsed = parseVaccineBlockId(blockId);
+  return blocks.map((block) =>
+    block.block_id === blockId
+      ? acknowledgementBlock(parsed.cardKey, parsed.typeKey, ack)
+      : block,
+  );
+};
+
+// "DHPP/DAPP", or "DHPP/DAPP 2 of 4" while a puppy/kitten series is running
+const typeHeading = ({ label, series }) =>
+  series ? `${label} ${series.dose} of ${series.of}` : label;
+
+// One card per animal; `vaccineStatus.species` picks the wording and header.
+// Overdue and needs-attention rows get action buttons unless `interactive`
+// is false, or show who acknowledged them (see applyAcknowledgements).
+// `weight` (evaluateWeight in lib/weights.js) adds the recent weigh-ins.
+const buildSlackPayloadForAnimal = (
+  animal,
+  vaccineStatus,
+  { interactive = true, weight = null } = {},
+) => {
+  const { types, counts, missingTypes, hasAnyHistory, otherVaccines } =
+    vaccineStatus;
+  const species = getSpecies(vaccineStatus.species);
+  const key = cardKey(species.key, animal.animalId);
+
+  // ---------- SUMMARY LINE ----------
+  let summaryLine;
+
+  if (!hasAnyHistory) {
+    summaryLine =
+      ':warning: *No vaccine records on file in Shelterluv.* ' +
+      `Please verify this ${species.key}'s vaccination history.\n` +
+      `- ${counts.missing} core vaccines missing`;
+    if (counts.notYetDue > 0) {
+      summaryLine += `\n- ${counts.notYetDue} not due yet (too young)`;
+    }
+  } else {
+    let overdueText = `– ${counts.overdue} overdue`;
+    if (counts.missing > 0) {
+      overdueText += ` (${counts.missing} missing: ${missingTypes.join(', ')})`;
+    }
+
+    summaryLine =
+      overdueText +
+      '\n' +
+      `- ${counts.needsAttention + counts.upcoming} due within ${upcomingDays} days\n` +
+      `- ${counts.current} current`;
+
+    if (counts.notYetDue > 0) {
+      summaryLine += `\n- ${counts.notYetDue} not due yet (too young)`;
+    }
+    if (counts.missingSchedule > 0) {
+      summaryLine += `\n- ${counts.missingSchedule} missing a schedule in Shelterluv`;
+    }
+    if (counts.snoozed > 0) {
+      summaryLine += `\n- ${counts.snoozed} snoozed`;
+    }
+  }
+
+  const blocks = [];
+
+  // Header
+  blocks.push({
+    type: 'header',
+    text: {
+      type: 'plain_text',
+      text: `${species.emoji} ${animal.name}'s Vaccine Status - animal_id: ${animal.animalId}`,
+      emoji: true,
+    },
+  });
+
+  // Summary with photo
+  const summaryBlock = {
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: summaryLine,
+    },
+  };
+
+  if (animal.photoUrl) {
+    summaryBlock.accessory = {
+      type: 'image',
+      image_url: animal.photoUrl,
+      alt_text: animal.name,
+    };
+  }
+
+  blocks.push(summaryBlock);
+
+  // ---------- CORE VACCINES (last given + next scheduled) ----------
+  for (const type of types) {
+    const emoji = type.snoozed
+      ? STATUS_EMOJI.snoozed
+      : STATUS_EMOJI[type.status] || STATUS_EMOJI.unknown;
+
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${emoji} *${typeHeading(type)}*\n${coreTypeStatusText(type)}\n`,
+      },
+    });
+
+    if (type.ack) {
+      blocks.push(acknowledgementBlock(key, type.key, type.ack));
+    } else if (interactive && ALERT_STATUSES.includes(type.status)) {
+      blocks.push(vaccineActionsBlock(key, type.key));
+    }
+  }
+
+  // ---------- OTHER VACCINES (optional detail) ----------
+  if (otherVaccines.length > 0) {
+    const rows = otherVaccines.map((v) => {
+      const dateStr = v.scheduled_for
+        ? formatDate(unixStringToDate(v.scheduled_for))
+        : v.completed_at
+          ? formatDate(unixStringToDate(v.completed_at))
+          : 'unknown date';
+
+      let statusKey = v.status || 'unknown';
+      if (!STATUS_EMOJI[statusKey]) statusKey = 'unknown';
+      const emoji = STATUS_EMOJI[statusKey];
+
+      return `${emoji} ${v.product || 'Unknown product'} – ${dateStr}`;
+    });
+
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Other Vaccines*\n${rows.join('\n')}\n`,
+      },
+    });
+  }
+
+  // ---------- WEIGHT (recent weigh-ins from lib/weights.js) ----------
+  if (weight) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: weightSectionText(weight) },
+    });
+  }
+
+  blocks.push({ type: 'divider' });
+
+  return {
+    text: `Shelterluv vaccine schedule check – ${animal.name}`,
+    blocks,
+  };
+};
+
+// One all-current animal with its photo
+const summaryRow = (animal, coreCount) => {
+  const block = {
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: `*${animal.name}* — ${coreCount} core vaccines current`,
+    },
+  };
+
+  if (animal.photoUrl) {
+    block.accessory = {
+      type: 'image',
+      image_url: animal.photoUrl,
+      alt_text: animal.name,
+    };
+  }
+
+  return block;
+};
+
+// All-current animals of one species, e.g. "3 cats whose vaccines are all up to date (3 core)".
+// Long lists use the compact layout: names only, ten to a block, no photos.
+const buildSlackSummaryPayload = (animals, speciesKey = DEFAULT_SPECIES) => {
+  const species = getSpecies(speciesKey);
+  const coreCount = species.coreTypes.length;
+
+  const rows =
+    animals.length > COMPACT_LIST_THRESHOLD
+      ? compactListBlocks(animals.map((animal) => `*${animal.name}*`))
+      : animals.map((animal) => summaryRow(animal, coreCount));
+
+  return {
+    text: `Shelterluv vaccine schedule check – ${animals.length} ${species.plural} all current`,
+    blocks: [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: `${animals.length} ${species.plural} whose vaccines are all up to date (${coreCount} core)`,
+          emoji: true,
+        },
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text:
+            `${species.emoji} ${species.label}s with all ${coreCount} core vaccines current ` +
+            `(${species.coreTypes.map((t) => t.label).join(', ')}):`,
+        },
+      },
+      ...rows,
+      { type: 'divider' },
+    ],
+  };
+};
+
+// ---------- Slack payload: what changed since the last run ----------
+
+const speciesEmoji = (key) => (SPECIES[key || DEFAULT_SPECIES] || {}).emoji || '';
+
+const changeRow = ({ name, type }) => `• *${name}* – ${coreTypeLabel(type)}`;
+const animalRow = ({ name, species }) => `• ${speciesEmoji(species)} *${name}*`;
+
+const buildChangesPayload = (changes) => {
+  const {
+    previousDate,
+    newlyOverdue,
+    newlyResolved,
+    stillOverdue,
+    newAnimals,
+    leftCustody,
+  } = changes;
+
+  const title = previousDate
+    ? `What changed since ${formatDate(fromDateKey(previousDate))}`
+    : 'Vaccine check – first tracked run';
+
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: title, emoji: true },
+    },
+  ];
+
+  if (previousDate) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text:
+          `*${STATUS_EMOJI.overdue} Newly overdue:* ${newlyOverdue.length}     ` +
+          `*${STATUS_EMOJI.current} Resolved:* ${newlyResolved.length}     ` +
+          `*:new: New arrivals:* ${newAnimals.length}     ` +
+          `*:wave: Left custody:* ${leftCustody.length}`,
+      },
+    });
+  } else {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '_No previous run to compare against yet — changes will show from tomorrow._',
+      },
+    });
+  }
+
+  const listSection = (heading, rows) => {
+    if (rows.length === 0) return;
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*${heading}*\n${rows.join('\n')}` },
+    });
+  };
+
+  listSection(
+    `${STATUS_EMOJI.overdue} Newly overdue`,
+    newlyOverdue.map(changeRow),
+  );
+  listSection(
+    `${STATUS_EMOJI.current} Resolved`,
+    newlyResolved.map((item) => `${changeRow(item)} (now ${item.status})`),
+  );
+  listSection(':new: New arrivals', newAnimals.map(animalRow));
+  listSection(':wave: Left custody', leftCustody.map(animalRow));
+  listSection(
+    ':hourglass: Still overdue',
+    stillOverdue.map(
+      (item) =>
+        `${changeRow(item)} — ${item.days} days (since ${formatDate(fromDateKey(item.since))})`,
+    ),
+  );
+
+  if (
+    previousDate &&
+    newlyOverdue.length +
+      newlyResolved.length +
+      stillOverdue.length +
+      newAnimals.length +
+      leftCustody.length ===
+      0
+  ) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: '_No changes since the last run._' },
+    });
+  }
+
+  blocks.push({ type: 'divider' });
+
+  return {
+    text: `Shelterluv vaccine check – ${title}`,
+    blocks,
+  };
+};
+
+// ---------- Slack payload: direct message to a foster ----------
+
+// `animals` is [{ name, species, types }] where types are the core-type results
+// the foster hasn't been told about yet
+const buildFosterDmPayload = (foster, animals) => {
+  const names = animals.map((a) => a.name);
+  const title =
+    animals.length === 1
+      ? `Vaccine reminder for ${names[0]}`
+      : `Vaccine reminders for ${names.join(', ')}`;
+
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: title, emoji: true },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text:
+          `Hi ${foster.name.split(' ')[0]}! Shelterluv shows vaccines coming due ` +
+          'for the animals in your care:',
+      },
+    },
+  ];
+
+  for (const animal of animals) {
+    const rows = animal.types.map((type) => {
+      const emoji = STATUS_EMOJI[type.status] || STATUS_EMOJI.unknown;
+      return `${emoji} *${typeHeading(type)}* – ${coreTypeStatusText(type)}`;
+    });
+
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${speciesEmoji(animal.species)} *${animal.name}*\n${rows.join('\n')}`,
+      },
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: 'Please let your foster coordinator know once an appointment is booked or the vaccine is given.',
+      },
+    ],
+  });
+
+  return { text: title, blocks };
+};
+
+// ---------- Slack payload: daily digest ----------
+
+const DIGEST_GROUP_EMOJI = {
+  overdue: STATUS_EMOJI.overdue,
+  needsAttention: STATUS_EMOJI.needsAttention,
+  unknown: STATUS_EMOJI.unknown,
+  upcoming: STATUS_EMOJI.upcoming,
+  notYetDue: STATUS_EMOJI.notYetDue,
+  missingSchedule: STATUS_EMOJI.missingSchedule,
+  snoozed: STATUS_EMOJI.snoozed,
+  current: STATUS_EMOJI.current,
+};
+
+// "12 days overdue", "due today", "due in 5 days"
+const whenText = ({ group, daysUntilDue }) => {
+  if (daysUntilDue === null) return group === 'overdue' ? 'marked overdue' : '–';
+  if (daysUntilDue < 0) return `${-daysUntilDue} days overdue`;
+  if (daysUntilDue === 0) return 'due today';
+  return `due in ${daysUntilDue} days`;
+};
+
+// Monospace table so the columns line up in Slack
+const textTable = (header, rows) => {
+  const widths = header.map((_, i) =>
+    Math.max(...[header, ...rows].map((row) => String(row[i]).length)),
+  );
+  const line = (row) =>
+    row
+      .map((cell, i) => String(cell).padEnd(widths[i]))
+      .join('  ')
+      .trimEnd();
+  return '```\n' + [header, ...rows].map(line).join('\n') + '\n```';
+};
+
+// One parent message for the whole run; the cards go in its thread.
+// `entries` is [{ name, animalId, species, vaccineStatus }] for every animal
+// checked, `failed` the names whose vaccines couldn't be fetched.
+const buildDigestPayload = (entries, { date = new Date(), failed = [] } = {}) => {
+  const ranked = rankByUrgency(entries);
+  const title = `Vaccine digest – ${formatDate(date)}`;
+
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: title, emoji: true },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text:
+          `*${entries.length}* animals checked · *${ranked.length}* need something · ` +
+          `*${entries.length - ranked.length}* all current`,
+      },
+    },
+  ];
+
+  let rank = 0;
+  for (const group of DIGEST_GROUPS) {
+    const inGroup = ranked.filter((entry) => entry.urgency.group === group.key);
+    if (inGroup.length === 0) continue;
+
+    const rows = inGroup.map(({ name, animalId, species, urgency }) => {
+      rank++;
+      return [
+        rank,
+        `${name} (${species})`,
+        animalId,
+        urgency.types.map(typeHeading).join(', '),
+        whenText(urgency),
+      ];
+    });
+
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text:
+          `${DIGEST_GROUP_EMOJI[group.key]} *${group.label}* (${inGroup.length})\n` +
+          textTable(['#', 'Name', 'ID', 'Vaccines', 'When'], rows),
+      },
+    });
+  }
+
+  const familyRows = countByFamily(entries).map(({ label, counts }) => {
+    const parts = [...DIGEST_GROUPS, { key: 'current', short: 'current' }]
+      .filter(({ key }) => counts[key] > 0)
+      .map(({ key, short }) => `${DIGEST_GROUP_EMOJI[key]} ${counts[key]} ${short}`);
+    return `*${label}* – ${parts.join(' · ')}`;
+  });
+  if (familyRows.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*By vaccine*\n${familyRows.join('\n')}` },
+    });
+  }
+
+  const notes = [':thread: Full cards for each animal are in the thread.'];
+  if (failed.length > 0) {
+    notes.push(`${STATUS_EMOJI.needsAttention} Couldn't fetch vaccines for: ${failed.join(', ')}`);
+  }
+  blocks.push({
+    type: 'context',
+    elements: notes.map((text) => ({ type: 'mrkdwn', text })),
+  });
+
+  return {
+    text: `Shelterluv vaccine check – ${title}: ${ranked.length} animals need something`,
+    blocks,
+  };
+};
+
+// ---------- Slack payload: /vaccines overdue ----------
+
+// `entries` is [{ name, animalId, species, types }] with the overdue types
+const buildOverdueListPayload = (entries) => {
+  const title =
+    entries.length === 0
+      ? 'No animals with overdue vaccines'
+      : `${entries.length} animals with overdue vaccines`;
+
+  const rows = [...entries]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ name, animalId, species, types }) => {
+      const labels = types.map((t) =>
+        t.snoozed ? `${t.label} ${STATUS_EMOJI.snoozed}` : t.label,
+      );
+      return `• ${speciesEmoji(species)} *${name}* (${animalId}) – ${labels.join(', ')}`;
+    });
+
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: title, emoji: true },
+    },
+  ];
+  if (rows.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: rows.join('\n') },
+    });
+  }
+
+  return { text: title, blocks };
+};
+
+// ---------- Slack payload: products the taxonomy couldn't classify ----------
+
+const buildUnmatchedProductsPayload = (unmatched) => {
+  const rows = unmatched.map(
+    ({ product, count, animals, species }) =>
+      `• ${species ? `${speciesEmoji(species)} ` : ''}\`${product}\` – ` +
+      `${count} record${count === 1 ? '' : 's'} (${animals.join(', ')})`,
+  );
+
+  return {
+    text: `Shelterluv vaccine check – ${unmatched.length} unclassified vaccine products`,
+    blocks: [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: `${unmatched.length} unclassified vaccine products`,
+          emoji: true,
+        },
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text:
+            'These products matched no rule in `config/vaccineProducts.json`, so they ' +
+            "don't count toward any vaccine family. Add a rule to classify them.",
+        },
+      },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: rows.join('\n') },
+      },
+      { type: 'divider' },
+    ],
+  };
+};
+
+module.exports = {
+  CARD_EVENT_TYPE,
+  STATUS_EMOJI,
+  cardKey,
+  withCardMetadata,
+  parseVaccineBlockId,
+  markAcknowledged,
+  buildSlackPayloadForAnimal,
+  buildSlackSummaryPayload,
+  buildChangesPayload,
+  buildUnmatchedProductsPayload,
+  buildFosterDmPayload,
+  buildOverdueListPayload,
+  buildDigestPayload,
+};
@@ -0,0 +1,221 @@
+// Vaccine protocol engine: the expected next due date for a core family,
+// worked out from the animal's completion history (and age, for puppy and
+// kitten series).
+//
+//   rabies      first dose → 1 year; later doses → 1 year, or 3 years for
+//               3-year labelled products
+//   dhpp_dapp   puppy series every 3–4 weeks while under 16 weeks old, then yearly
+//   bordetella  every 6–12 months
+//   lepto       initial booster 2–4 weeks after the first dose, then yearly
+//   fvrcp       kitten series every 3–4 weeks while under 16 weeks old; adults
+//               a second dose 3–4 weeks after the first, a booster 1 year after
+//               the series, then every 3 years
+//   felv        second dose 3–4 weeks after the first, then yearly
+//
+// Each result has the due date (end of the window) and the date the window
+// opens, plus a short description of the rule that applied.
+//
+// Age rules: FIRST_DOSE_AGE_WEEKS is the youngest age a family is given at, so
+// a young animal with no record isn't flagged before it's eligible, and
+// seriesProgress counts puppy/kitten series doses ("2 of 4").
+
+const { addDays, addMonths, isValidDate } = require('./dates');
+
+const PUPPY_SERIES_END_WEEKS = 16;
+const KITTEN_SERIES_END_WEEKS = 16;
+const WEEK_DAYS = 7;
+const SERIES_INTERVAL_WEEKS = 3;
+const BOOSTER_CADENCE_MONTHS = 11; // doses this far apart are already past the initial series
+
+const FIRST_DOSE_AGE_WEEKS = {
+  rabies: 12,
+  dhpp_dapp: 6,
+  bordetella: 8,
+  lepto: 12,
+  fvrcp: 6,
+  felv: 8,
+};
+
+const SERIES_END_WEEKS = {
+  dhpp_dapp: PUPPY_SERIES_END_WEEKS,
+  fvrcp: KITTEN_SERIES_END_WEEKS,
+};
+
+const THREE_YEAR_RABIES = /\b3\s*-?\s*(yr|year)s?\b|imrab\s*3|rabvac\s*3|defensor\s*3|nobivac\s*3/i;
+
+const ageInWeeks = (dob, date) =>
+  dob ? (date.getTime() - dob.getTime()) / (WEEK_DAYS * 24 * 60 * 60 * 1000) : null;
+
+const result = (windowStart, dueDate, rule, description) => ({
+  windowStart,
+  dueDate,
+  rule,
+  description,
+});
+
+const PROTOCOLS = {
+  rabies: (doses) => {
+    const last = doses[doses.length - 1];
+    if (doses.length > 1 && THREE_YEAR_RABIES.test(last.product || '')) {
+      const due = addMonths(last.date, 36);
+      return result(due, due, 'rabies_3yr', '3-year rabies booster');
+    }
+    const due = addMonths(last.date, 12);
+    return result(
+      due,
+      due,
+      doses.length === 1 ? 'rabies_initial' : 'rabies_1yr',
+      doses.length === 1
+        ? 'rabies booster 1 year after first dose'
+        : '1-year rabies booster',
+    );
+  },
+
+  dhpp_dapp: (doses, { dob }) => {
+    const last = doses[doses.length - 1];
+    const age = ageInWeeks(dob, last.date);
+    if (age !== null && age < PUPPY_SERIES_END_WEEKS) {
+      return result(
+        addDays(last.date, 3 * WEEK_DAYS),
+        addDays(last.date, 4 * WEEK_DAYS),
+        'dhpp_puppy_series',
+        `puppy series dose ${doses.length + 1} (every 3–4 weeks until 16 weeks)`,
+      );
+    }
+    return result(
+      addMonths(last.date, 12),
+      addMonths(last.date, 12),
+      'dhpp_annual',
+      'yearly DHPP booster',
+    );
+  },
+
+  bordetella: (doses) => {
+    const last = doses[doses.length - 1];
+    return result(
+      addMonths(last.date, 6),
+      addMonths(last.date, 12),
+      'bordetella_6_12mo',
+      'Bordetella every 6–12 months',
+    );
+  },
+
+  lepto: (doses) => {
+    const last = doses[doses.length - 1];
+    if (doses.length === 1) {
+      return result(
+        addDays(last.date, 2 * WEEK_DAYS),
+        addDays(last.date, 4 * WEEK_DAYS),
+        'lepto_initial_booster',
+        'Lepto initial booster 2–4 weeks after first dose',
+      );
+    }
+    return result(
+      addMonths(last.date, 12),
+      addMonths(last.date, 12),
+      'lepto_annual',
+      'yearly Lepto booster',
+    );
+  },
+
+  fvrcp: (doses, { dob }) => {
+    const last = doses[doses.length - 1];
+    const age = ageInWeeks(dob, last.date);
+    if (age !== null && age < KITTEN_SERIES_END_WEEKS) {
+      return result(
+        addDays(last.date, 3 * WEEK_DAYS),
+        addDays(last.date, 4 * WEEK_DAYS),
+        'fvrcp_kitten_series',
+        `kitten series dose ${doses.length + 1} (every 3–4 weeks until 16 weeks)`,
+      );
+    }
+    if (doses.length === 1) {
+      return result(
+        addDays(last.date, 3 * WEEK_DAYS),
+        addDays(last.date, 4 * WEEK_DAYS),
+        'fvrcp_initial_booster',
+        'FVRCP second dose 3–4 weeks after first dose',
+      );
+    }
+    const previous = doses[doses.length - 2];
+    if (last.date < addMonths(previous.date, BOOSTER_CADENCE_MONTHS)) {
+      const due = addMonths(last.date, 12);
+      return result(due, due, 'fvrcp_1yr', 'FVRCP booster 1 year after the initial series');
+    }
+    const due = addMonths(last.date, 36);
+    return result(due, due, 'fvrcp_3yr', '3-year FVRCP booster');
+  },
+
+  felv: (doses) => {
+    const last = doses[doses.length - 1];
+    if (doses.length === 1) {
+      return result(
+        addDays(last.date, 3 * WEEK_DAYS),
+        addDays(last.date, 4 * WEEK_DAYS),
+        'felv_initial_booster',
+        'FeLV second dose 3–4 weeks after first dose',
+      );
+    }
+    return result(
+      addMonths(last.date, 12),
+      addMonths(last.date, 12),
+      'felv_annual',
+      'yearly FeLV booster',
+    );
+  },
+};
+
+const sortedDoses = (completions) =>
+  (completions || [])
+    .filter((c) => isValidDate(c.date))
+    .sort((a, b) => a.date.getTime() - b.date.getTime());
+
+// completions: [{ date: Date, product }] for one family, in any order.
+// Returns null when there is no usable history or no protocol for the family.
+const calculateNextDueDate = (completions, vaccineType, { dob = null } = {}) => {
+  const protocol = PROTOCOLS[vaccineType];
+  if (!protocol) return null;
+
+  const doses = sortedDoses(completions);
+  if (doses.length === 0) return null;
+
+  return protocol(doses, { dob: isValidDate(dob) ? dob : null });
+};
+
+// When an animal is old enough for the first dose: { date, weeks }, or null
+// without a DOB or an age rule for the family
+const eligibleFrom = (vaccineType, dob) => {
+  const weeks = FIRST_DOSE_AGE_WEEKS[vaccineType];
+  if (!weeks || !isValidDate(dob)) return null;
+  return { date: addDays(dob, weeks * WEEK_DAYS), weeks };
+};
+
+// Puppy/kitten series progress while it's still running: { dose, of }. The
+// series ends with a dose at 16 weeks or older, so the total is the doses
+// given plus one every 3 weeks until then.
+const seriesProgress = (completions, vaccineType, { dob = null } = {}) => {
+  const endWeeks = SERIES_END_WEEKS[vaccineType];
+  if (!endWeeks || !isValidDate(dob)) return null;
+
+  const doses = sortedDoses(completions);
+  if (doses.length === 0) return null;
+
+  const age = ageInWeeks(dob, doses[doses.length - 1].date);
+  if (age >= endWeeks) return null;
+
+  const remaining = Math.max(1, Math.ceil((endWeeks - age) / SERIES_INTERVAL_WEEKS));
+  return { dose: doses.length, of: doses.length + remaining };
+};
+
+// Core families a protocol exists for
+const PROTOCOL_FAMILIES = Object.keys(PROTOCOLS);
+
+module.exports = {
+  PROTOCOL_FAMILIES,
+  PUPPY_SERIES_END_WEEKS,
+  KITTEN_SERIES_END_WEEKS,
+  FIRST_DOSE_AGE_WEEKS,
+  calculateNextDueDate,
+  eligibleFrom,
+  seriesProgress,
+};
@@ -0,0 +1,360 @@
+// Vaccine status engine: pure functions that turn an animal's Shelterluv
+// vaccine lists into a per-core-type status. No I/O, no Slack — the daily
+// check and the Slack cards are both thin layers over evaluateVaccineStatus.
+// Everything takes a species key ('dog' by default, see lib/species.js) that
+// picks the core families and the product classifier.
+
+const { DAY_MS, unixStringToDate, isValidDate, formatDate } = require('./dates');
+const {
+  calculateNextDueDate,
+  eligibleFrom,
+  seriesProgress,
+} = require('./vaccineProtocols');
+const { loadTaxonomy, createClassifier } = require('./vaccineTaxonomy');
+const { DEFAULT_SPECIES, getSpecies } = require('./species');
+const { getRescueConfig } = require('./rescueConfig');
+
+// Due windows from rescue.config.json (30 and 14 days by default)
+const { upcomingDays, needsAttentionDays } = getRescueConfig().vaccines;
+const DAYS_BEFORE_DUE = upcomingDays; // how far ahead to look (outer window)
+const TWO_WEEKS_BEFORE_DUE = needsAttentionDays; // "needs attention" window
+const STALE_SCHEDULE_DAYS = 7;
+const SUPERSEDED_AFTER_MS = 180 * DAY_MS; // ~6 months
+
+// Core vaccine families for dogs (kept for callers that predate cats)
+const CORE_TYPES = getSpecies('dog').coreTypes;
+
+const taxonomy = loadTaxonomy();
+const classifiers = {};
+
+// Classify vaccine product into families (config/vaccineProducts.json) —
+// returns an array since combo products (e.g. DAPP/L4) cover multiple core
+// types simultaneously, or ['other'] when no rule matches.
+const classifyVaccineType = (product, species = DEFAULT_SPECIES) => {
+  if (!classifiers[species]) classifiers[species] = createClassifier(taxonomy, species);
+  return classifiers[species](product);
+};
+
+const isCoreProduct = (product, species) =>
+  classifyVaccineType(product, species).some((t) =>
+    getSpecies(species).coreTypes.some((c) => c.key === t),
+  );
+
+const sharesType = (a, b) => a.some((t) => b.includes(t));
+
+// ---------- Date classification (for scheduled vaccines) ----------
+
+const classifyByDueWindow = (scheduledForStr, now = new Date()) => {
+  const date = unixStringToDate(scheduledForStr);
+  if (!date) return { status: 'unknown', diffDays: null, date: null };
+
+  const diffMs = date.getTime() - now.getTime();
+  const diffDays = diffMs / DAY_MS;
+
+  if (diffDays < 0) {
+    return { status: 'overdue', diffDays, date };
+  }
+
+  if (diffDays <= TWO_WEEKS_BEFORE_DUE) {
+    return { status: 'needsAttention', diffDays, date };
+  }
+
+  if (diffDays <= DAYS_BEFORE_DUE) {
+    return { status: 'upcoming', diffDays, date };
+  }
+
+  return { status: 'current', diffDays, date };
+};
+
+// ---------- Scheduled-vaccine cleanup ----------
+
+// Shelterluv keeps scheduled entries around that no longer mean anything:
+//  - stale: scheduled before, or within 7 days after, the most recent
+//    completion of the same type — the same vaccination event with bad data
+//  - superseded: another scheduled entry of the same type exists more than
+//    6 months later — that entry is the real next due date
+// Returns { kept, removed } where each removed entry says why.
+const filterScheduledVaccines = (
+  allVaccines = [],
+  scheduledVaccines = [],
+  species = DEFAULT_SPECIES,
+) => {
+  const classify = (product) => classifyVaccineType(product, species);
+  const kept = [];
+  const removed = [];
+
+  for (const scheduledVax of scheduledVaccines) {
+    const types = classify(scheduledVax.product);
+    const scheduledDate = unixStringToDate(scheduledVax.scheduled_for);
+
+    // Most recent completed vaccine of an overlapping type
+    const mostRecentCompleted = allVaccines
+      .filter(
+        (v) =>
+          sharesType(classify(v.product), types) &&
+          v.completed_at &&
+          v.status !== 'scheduled',
+      )
+      .map((v) => unixStringToDate(v.completed_at))
+      .filter(isValidDate)
+      .sort((a, b) => b.getTime() - a.getTime())[0];
+
+    if (scheduledDate && mostRecentCompleted) {
+      const diffDays =
+        (scheduledDate.getTime() - mostRecentCompleted.getTime()) / DAY_MS;
+
+      if (diffDays < STALE_SCHEDULE_DAYS) {
+        removed.push({
+          vaccine: scheduledVax,
+          types,
+          reason: 'stale',
+          message:
+            `scheduled ${formatDate(scheduledDate)} but already completed ` +
+            `${formatDate(mostRecentCompleted)} (${Math.abs(Math.round(diffDays))} days apart)`,
+        });
+        continue;
+      }
+    }
+
+    if (scheduledDate) {
+      const hasLaterEntry = scheduledVaccines.some((other) => {
+        if (other.id === scheduledVax.id) return false;
+        if (!sharesType(classify(other.product), types)) return false;
+        const otherDate = unixStringToDate(other.scheduled_for);
+        return (
+          otherDate &&
+          otherDate.getTime() - scheduledDate.getTime() > SUPERSEDED_AFTER_MS
+        );
+      });
+
+      if (hasLaterEntry) {
+        removed.push({
+          vaccine: scheduledVax,
+          types,
+          reason: 'superseded',
+          message: `scheduled ${formatDate(scheduledDate)}, a later entry exists`,
+        });
+        continue;
+      }
+    }
+
+    kept.push(scheduledVax);
+  }
+
+  return { kept, removed };
+};
+
+// ---------- Per-type status ----------
+
+// Evaluate one core family. `reasons[0].code` is the deciding rule:
+//   marked_overdue    Shelterluv lists an overdue dose newer than the last completion
+//   scheduled         status comes from the earliest scheduled dose
+//   missing_schedule  completed before, nothing scheduled; status comes from
+//                     the protocol's expected due date
+//   not_scheduled     completed before, nothing scheduled, no protocol applies
+//   not_eligible      no history, but the animal is too young for a first dose;
+//                     status is notYetDue (or upcoming/needsAttention when
+//                     the eligible date is close)
+//   no_record         no history for this family at all
+const evaluateCoreType = (
+  { key, label },
+  { all, scheduled, overdue, now, dob, species },
+) => {
+  const ofType = (list) =>
+    list.filter((v) => classifyVaccineType(v.product, species).includes(key));
+
+  const historyForType = ofType(all);
+  const scheduledDates = ofType(scheduled)
+    .map((v) => unixStringToDate(v.scheduled_for))
+    .filter(isValidDate)
+    .sort((a, b) => a.getTime() - b.getTime());
+
+  const completions = historyForType
+    .filter((v) => v.completed_at)
+    .map((v) => ({ date: unixStringToDate(v.completed_at), product: v.product }))
+    .filter((c) => isValidDate(c.date))
+    .sort((a, b) => b.date.getTime() - a.date.getTime());
+  const lastGiven = completions[0]?.date || null;
+
+  const nextDue = scheduledDates[0] || null;
+  const hasFutureScheduled = scheduledDates.some(
+    (d) => d.getTime() >= now.getTime(),
+  );
+
+  const base = {
+    key,
+    label,
+    lastGiven,
+    nextDue,
+    daysUntilDue: null,
+    missingSchedule: false,
+    series: seriesProgress(completions, key, { dob }),
+  };
+
+  const markedOverdue = ofType(overdue).find((v) => {
+    if (!lastGiven) return true;
+    const overdueDate = unixStringToDate(v.scheduled_for);
+    return !overdueDate || lastGiven < overdueDate;
+  });
+  const overdueInHistory =
+    !lastGiven && historyForType.find((v) => v.status === 'overdue');
+
+  if (!hasFutureScheduled && (overdueInHistory || markedOverdue)) {
+    const vaccine = markedOverdue || overdueInHistory;
+    return {
+      ...base,
+      status: 'overdue',
+      reasons: [
+        {
+          code: 'marked_overdue',
+          message: `Shelterluv marks ${vaccine.product || label} overdue`,
+        },
+      ],
+    };
+  }
+
+  if (nextDue) {
+    const { status, diffDays } = classifyByDueWindow(
+      nextDue.getTime() / 1000,
+      now,
+    );
+    return {
+      ...base,
+      status,
+      daysUntilDue: Math.ceil(diffDays),
+      reasons: [
+        {
+          code: 'scheduled',
+          message: `Earliest scheduled dose is ${formatDate(nextDue)}`,
+        },
+      ],
+    };
+  }
+
+  const expected = calculateNextDueDate(completions, key, { dob });
+
+  if (expected) {
+    const { status, diffDays } = classifyByDueWindow(
+      expected.dueDate.getTime() / 1000,
+      now,
+    );
+    return {
+      ...base,
+      status,
+      nextDue: expected.dueDate,
+      daysUntilDue: Math.ceil(diffDays),
+      missingSchedule: true,
+      expected,
+      reasons: [
+        {
+          code: 'missing_schedule',
+          message:
+            `Nothing scheduled in Shelterluv; expected due ${formatDate(expected.dueDate)} ` +
+            `(${expected.description})`,
+        },
+      ],
+    };
+  }
+
+  const eligible = !lastGiven && eligibleFrom(key, dob);
+
+  if (eligible && eligible.date > now) {
+    const { status, diffDays } = classifyByDueWindow(
+      eligible.date.getTime() / 1000,
+      now,
+    );
+    return {
+      ...base,
+      status: status === 'current' ? 'notYetDue' : status,
+      nextDue: eligible.date,
+      daysUntilDue: Math.ceil(diffDays),
+      eligible,
+      reasons: [
+        {
+          code: 'not_eligible',
+          message:
+            `Too young; first dose due from ${formatDate(eligible.date)} ` +
+            `(${eligible.weeks} weeks old)`,
+        },
+      ],
+    };
+  }
+
+  if (lastGiven) {
+    return {
+      ...base,
+      status: 'current',
+      reasons: [
+        {
+          code: 'not_scheduled',
+          message: `Last given ${formatDate(lastGiven)}; nothing scheduled`,
+        },
+      ],
+    };
+  }
+
+  return {
+    ...base,
+    status: 'unknown',
+    reasons: [
+      { code: 'no_record', message: `No ${label.toLowerCase()} vaccine on file` },
+    ],
+  };
+};
+
+// Full status for one animal. Stale/superseded scheduled entries are dropped
+// first; they are returned in `removedScheduled` so callers can log them.
+const evaluateVaccineStatus = ({
+  all = [],
+  scheduled = [],
+  overdue = [],
+  now = new Date(),
+  dob = null,
+  species = DEFAULT_SPECIES,
+} = {}) => {
+  const { coreTypes } = getSpecies(species);
+  const { kept, removed } = filterScheduledVaccines(all, scheduled, species);
+  const context = { all, scheduled: kept, overdue, now, dob, species };
+
+  const types = coreTypes.map((type) => evaluateCoreType(type, context));
+
+  const countOf = (status) => types.filter((t) => t.status === status).length;
+  const counts = {
+    overdue: countOf('overdue'),
+    needsAttention: countOf('needsAttention'),
+    upcoming: countOf('upcoming'),
+    current: countOf('current'),
+    missing: countOf('unknown'),
+    notYetDue: countOf('notYetDue'),
+    missingSchedule: types.filter((t) => t.missingSchedule).length,
+  };
+
+  return {
+    species,
+    coreCount: coreTypes.length,
+    types,
+    counts,
+    missingTypes: types.filter((t) => t.status === 'unknown').map((t) => t.label),
+    allCoreCurrent:
+      counts.overdue === 0 &&
+      counts.needsAttention === 0 &&
+      counts.upcoming === 0 &&
+      counts.missing === 0 &&
+      counts.notYetDue === 0 &&
+      counts.missingSchedule === 0,
+    hasAnyHistory: all.length > 0,
+    otherVaccines: all.filter((v) => !isCoreProduct(v.product, species)),
+    scheduled: kept,
+    removedScheduled: removed,
+  };
+};
+
+module.exports = {
+  CORE_TYPES,
+  DAYS_BEFORE_DUE,
+  TWO_WEEKS_BEFORE_DUE,
+  classifyVaccineType,
+  classifyByDueWindow,
+  filterScheduledVaccines,
+  evaluateVaccineStatus,
+};
@@ -0,0 +1,164 @@
+// Vaccine product taxonomy: maps Shelterluv product strings to vaccine
+// families using the rules in config/vaccineProducts.json, so a new product
+// from the vet only needs a config change.
+//
+// Each species has its own families and rules (a "4-way" product means
+// something different for a cat than for a dog). Rules are checked
+// case-insensitively and every matching rule contributes its families, so
+// combo products (e.g. DAPP/L4) land in several families.
+//   { "match": "regex", "pattern": "rabies|rabvac", "families": ["rabies"] }
+//   { "match": "exact", "pattern": "Vanguard Plus 5/L4", "families": ["dhpp_dapp", "lepto"] }
+//
+// Version 1 files (a single top-level families/rules list) are still read
+// and treated as the dog taxonomy.
+
+const fs = require('fs');
+const path = require('path');
+
+const SUPPORTED_VERSIONS = [1, 2];
+const DEFAULT_SPECIES = 'dog';
+const MATCH_TYPES = ['regex', 'exact'];
+const OTHER = 'other';
+
+const DEFAULT_CONFIG_PATH =
+  process.env.VACCINE_PRODUCTS_CONFIG ||
+  path.join(__dirname, '..', '..', 'config', 'vaccineProducts.json');
+
+const normalize = (product) => String(product || '').trim().toLowerCase();
+
+// Validate and compile one species' families and rules, collecting problems
+const compileSpecies = (section, prefix, errors) => {
+  const families = Array.isArray(section.families) ? section.families : [];
+  if (families.length === 0) errors.push(`${prefix}families must be a non-empty array`);
+
+  const rules = Array.isArray(section.rules) ? section.rules : [];
+  if (!Array.isArray(section.rules)) errors.push(`${prefix}rules must be an array`);
+
+  const compiled = rules.map((rule, i) => {
+    const where = `${prefix}rules[${i}]`;
+    if (!MATCH_TYPES.includes(rule.match)) {
+      errors.push(`${where}.match must be one of ${MATCH_TYPES.join(', ')}`);
+    }
+    if (typeof rule.pattern !== 'string' || rule.pattern === '') {
+      errors.push(`${where}.pattern must be a non-empty string`);
+    }
+    if (!Array.isArray(rule.families) || rule.families.length === 0) {
+      errors.push(`${where}.families must be a non-empty array`);
+    } else {
+      for (const family of rule.families) {
+        if (!families.includes(family)) {
+          errors.push(`${where}.families: unknown family "${family}"`);
+        }
+      }
+    }
+
+    let test = () => false;
+    if (rule.match === 'regex' && typeof rule.pattern === 'string') {
+      try {
+        const regex = new RegExp(rule.pattern, 'i');
+        test = (product) => regex.test(product);
+      } catch (err) {
+        errors.push(`${where}.pattern is not a valid regex: ${err.message}`);
+      }
+    } else if (rule.match === 'exact' && typeof rule.pattern === 'string') {
+      const expected = normalize(rule.pattern);
+      test = (product) => product === expected;
+    }
+
+    return { test, families: rule.families || [] };
+  });
+
+  return { families, rules: compiled };
+};
+
+// Validate the parsed config and compile its rules. Throws with every problem
+// listed so a bad edit is obvious at startup.
+const compileTaxonomy = (config, source = 'vaccine products config') => {
+  const errors = [];
+
+  if (!config || typeof config !== 'object') {
+    throw new Error(`${source}: expected a JSON object`);
+  }
+  if (!SUPPORTED_VERSIONS.includes(config.version)) {
+    errors.push(
+      `version must be one of ${SUPPORTED_VERSIONS.join(', ')} (got ${config.version})`,
+    );
+  }
+
+  const species = {};
+  if (config.version === 1) {
+    species[DEFAULT_SPECIES] = compileSpecies(config, '', errors);
+  } else if (config.version === 2) {
+    const sections =
+      config.species && typeof config.species === 'object' ? config.species : {};
+    if (Object.keys(sections).length === 0) {
+      errors.push('species must be an object with at least one species');
+    }
+    for (const [key, section] of Object.entries(sections)) {
+      species[key] = compileSpecies(section || {}, `species.${key}.`, errors);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return { version: config.version, species };
+};
+
+const loadTaxonomy = (configPath = DEFAULT_CONFIG_PATH) => {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read vaccine products config ${configPath}: ${err.message}`);
+  }
+  return compileTaxonomy(config, configPath);
+};
+
+// Returns a classify(product) function for one species: families in config
+// order, or ['other']. A species missing from the config classifies nothing.
+const createClassifier = (taxonomy, species = DEFAULT_SPECIES) => {
+  const section = taxonomy.species[species] || { families: [], rules: [] };
+
+  return (product) => {
+    const p = normalize(product);
+    const matched = new Set();
+
+    for (const rule of section.rules) {
+      if (rule.test(p)) rule.families.forEach((f) => matched.add(f));
+    }
+
+    const types = section.families.filter((f) => matched.has(f));
+    return types.length > 0 ? types : [OTHER];
+  };
+};
+
+// Every product string the classifier couldn't place, with how many records
+// and which animals carry it. `vaccineLists` is [{ animalName, vaccines }].
+const findUnmatchedProducts = (classify, vaccineLists) => {
+  const unmatched = new Map();
+
+  for (const { animalName, vaccines } of vaccineLists) {
+    for (const v of vaccines || []) {
+      if (!classify(v.product).includes(OTHER)) continue;
+      const product = String(v.product || '').trim() || '(no product name)';
+      const entry = unmatched.get(product) || { product, count: 0, animals: new Set() };
+      entry.count++;
+      if (animalName) entry.animals.add(animalName);
+      unmatched.set(product, entry);
+    }
+  }
+
+  return [...unmatched.values()]
+    .map((e) => ({ ...e, animals: [...e.animals].sort() }))
+    .sort((a, b) => b.count - a.count || a.product.localeCompare(b.product));
+};
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  compileTaxonomy,
+  loadTaxonomy,
+  createClassifier,
+  findUnmatchedProducts,
+};
@@ -0,0 +1,112 @@
+// Numbers for the weekly summary that need more than this week's data:
+// week-over-week trends (from a history of past weeks in STATE_DIR) and
+// length of stay for the dogs in care.
+//
+// History shape:
+//   { weeks: [{ date: 'YYYY-MM-DD', newIntakes, adoptions, needsFoster, inCare,
+//               averageStayDays, medianStayDays }] }
+
+const { daysBetween, daysInCustodyOf, unixStringToDate } = require('./dates');
+
+const WEEKLY_STATE_FILE = 'weekly-history.json';
+const MAX_WEEKS = 104;
+const TRAILING_WEEKS = 4;
+const LONGEST_WAITING_COUNT = 5;
+
+// Counts compared week over week, in display order
+const TREND_METRICS = [
+  { key: 'newIntakes', label: 'New intakes' },
+  { key: 'adoptions', label: 'Adoptions' },
+  { key: 'needsFoster', label: 'Still needs foster' },
+];
+
+// ---------- Week history ----------
+
+// Earlier weeks, newest first. A run less than a week before `dateKey` is a
+// rerun of the same week and is not compared against.
+const priorWeeks = (history, dateKey) =>
+  (history?.weeks || [])
+    .filter((w) => daysBetween(w.date, dateKey) >= 7)
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+// Add this week's numbers, replacing a run from the same week
+const recordWeek = (history, week) => {
+  const weeks = (history?.weeks || []).filter((w) => {
+    const days = daysBetween(w.date, week.date);
+    return days >= 7 || days < 0;
+  });
+  weeks.push(week);
+  weeks.sort((a, b) => a.date.localeCompare(b.date));
+  return { weeks: weeks.slice(-MAX_WEEKS) };
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// { key, label, value, previous, change, trailingAverage } per metric;
+// previous/change/trailingAverage are null until there is history
+const compareWeeks = (history, week) => {
+  const prior = priorWeeks(history, week.date);
+  const trailing = prior.slice(0, TRAILING_WEEKS);
+
+  return TREND_METRICS.map(({ key, label }) => {
+    const value = week[key];
+    const previous = prior.length > 0 ? prior[0][key] : null;
+    const values = trailing.map((w) => w[key]).filter((v) => Number.isFinite(v));
+
+    return {
+      key,
+      label,
+      value,
+      previous: Number.isFinite(previous) ? previous : null,
+      change: Number.isFinite(previous) ? value - previous : null,
+      trailingAverage:
+        values.length > 0 ? round1(values.reduce((a, b) => a + b, 0) / values.length) : null,
+      trailingWeeks: values.length,
+    };
+  });
+};
+
+// ---------- Length of stay ----------
+
+const median = (sorted) => {
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Days in care since LastIntakeUnixTime for the given in-custody animals,
+// measured to `asOf` (the end of the reported period). Animals without an
+// intake time, or taken in after `asOf`, are left out of the numbers.
+const lengthOfStay = (animals, asOf = new Date()) => {
+  const stays = animals
+    .map((animal) => {
+      const intake = unixStringToDate(animal.LastIntakeUnixTime);
+      if (!intake || intake > asOf) return null;
+      return {
+        name: animal.Name || 'Unknown',
+        animalId: animal['Internal-ID'] || animal.ID,
+        intakeDate: intake,
+        days: daysInCustodyOf(animal, asOf),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.days - a.days);
+
+  const days = stays.map((s) => s.days).sort((a, b) => a - b);
+
+  return {
+    count: stays.length,
+    averageDays:
+      days.length > 0 ? round1(days.reduce((a, b) => a + b, 0) / days.length) : null,
+    medianDays: median(days),
+    longest: stays.slice(0, LONGEST_WAITING_COUNT),
+  };
+};
+
+module.exports = {
+  WEEKLY_STATE_FILE,
+  TREND_METRICS,
+  recordWeek,
+  compareWeeks,
+  lengthOfStay,
+};
@@ -0,0 +1,175 @@
+// Weight tracking for in-custody animals. Shelterluv only has today's
+// CurrentWeightPounds, so each vaccine check records it here and flags animals
+// whose weight changed by more than weights.changePercent within
+// weights.windowDays (rescue.config.json). Weight loss in a foster is often
+// the first sign of a problem.
+//
+// State shape (weight-history.json):
+//   { animals: { [animalId]: { name, species, lastSeen: 'YYYY-MM-DD',
+//                              readings: [{ date: 'YYYY-MM-DD', pounds: 45 }] } } }
+//
+// A reading is only added when the weight differs from the last one, so the
+// list is a record of weigh-ins rather than one entry per run.
+
+const { formatDate, toDateKey, fromDateKey, daysBetween } = require('./dates');
+const { COMPACT_LIST_THRESHOLD, compactListBlocks } = require('./blockKit');
+
+const MAX_READINGS = 50;
+// Animals out of custody this long are dropped from the history
+const RETENTION_DAYS = 180;
+
+const LOSS_EMOJI = ':chart_with_downwards_trend:';
+const GAIN_EMOJI = ':chart_with_upwards_trend:';
+
+// Pounds as a number, or null for blank and nonsense values
+const parseWeight = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const pounds = Number(String(value).trim());
+  return Number.isFinite(pounds) && pounds > 0 ? pounds : null;
+};
+
+// "45 lb", "9.5 lb"
+const poundsText = (pounds) => `${Math.round(pounds * 10) / 10} lb`;
+
+// Add today's weights. `animals` is [{ animalId, name, species, pounds }];
+// animals without a weight only have their lastSeen updated. A second
+// reading on the same day replaces the first.
+const recordWeights = (history, animals, dateKey) => {
+  const entries = { ...(history?.animals || {}) };
+
+  for (const { animalId, name, species, pounds } of animals) {
+    const previous = entries[animalId];
+    let readings = previous?.readings || [];
+    const last = readings[readings.length - 1];
+
+    if (pounds !== null && (!last || last.pounds !== pounds)) {
+      readings = readings.filter((r) => r.date !== dateKey);
+      readings = [...readings, { date: dateKey, pounds }].slice(-MAX_READINGS);
+    }
+    entries[animalId] = { name, species, lastSeen: dateKey, readings };
+  }
+
+  for (const [animalId, entry] of Object.entries(entries)) {
+    if (daysBetween(entry.lastSeen, dateKey) > RETENTION_DAYS) delete entries[animalId];
+  }
+
+  return { animals: entries };
+};
+
+// Change from the weight at the start of the window (or the first reading,
+// for animals first weighed inside it) to the latest reading.
+// { from, to, days, percent } or null when there's nothing to compare.
+const weightChange = (readings, { todayKey, windowDays }) => {
+  if (readings.length < 2) return null;
+  const start = fromDateKey(todayKey);
+  start.setDate(start.getDate() - windowDays);
+  const startKey = toDateKey(start);
+
+  const to = readings[readings.length - 1];
+  const before = readings.filter((r) => r.date <= startKey);
+  const from = before.length > 0 ? before[before.length - 1] : readings[0];
+  if (from === to) return null;
+
+  return {
+    from,
+    to,
+    days: daysBetween(from.date, to.date),
+    percent: ((to.pounds - from.pounds) / from.pounds) * 100,
+  };
+};
+
+// { current, readings (latest first, at most historyReadings), change, flagged }
+// for one animal's history entry, or null when it has never been weighed
+const evaluateWeight = (entry, { todayKey, changePercent, windowDays, historyReadings }) => {
+  const readings = entry?.readings || [];
+  if (readings.length === 0) return null;
+
+  const change = weightChange(readings, { todayKey, windowDays });
+  return {
+    current: readings[readings.length - 1].pounds,
+    readings: readings.slice(-historyReadings).reverse(),
+    change,
+    flagged: Boolean(change) && Math.abs(change.percent) > changePercent,
+  };
+};
+
+// Biggest losses first, then gains, biggest first
+const byChange = (a, b) =>
+  Math.sign(a.weight.change.percent) - Math.sign(b.weight.change.percent) ||
+  Math.abs(b.weight.change.percent) - Math.abs(a.weight.change.percent) ||
+  a.name.localeCompare(b.name);
+
+// "down 12% in 28 days (50 lb → 44 lb)"
+const changeText = ({ from, to, days, percent }) =>
+  `${percent < 0 ? 'down' : 'up'} ${Math.abs(Math.round(percent))}% in ${days} days ` +
+  `(${poundsText(from.pounds)} → ${poundsText(to.pounds)})`;
+
+// ---------- Slack blocks ----------
+
+// Section for an animal's vaccine card: the change when flagged, then the
+// last few readings
+const weightSectionText = (weight) => {
+  const history = weight.readings
+    .map((r) => `${poundsText(r.pounds)} on ${formatDate(fromDateKey(r.date))}`)
+    .join(' · ');
+  const lines = ['*Weight*'];
+  if (weight.flagged) {
+    const emoji = weight.change.percent < 0 ? LOSS_EMOJI : GAIN_EMOJI;
+    lines.push(`${emoji} *${changeText(weight.change)}*`);
+  }
+  lines.push(history);
+  return lines.join('\n');
+};
+
+// `animals` is [{ name, animalId, species, weight }] for flagged animals
+const buildWeightAlertPayload = (animals, { changePercent, windowDays }) => {
+  const lines = [...animals]
+    .sort(byChange)
+    .map(({ name, animalId, weight }) => {
+      const emoji = weight.change.percent < 0 ? LOSS_EMOJI : GAIN_EMOJI;
+      return `${emoji} *${name}* (${animalId}) – ${changeText(weight.change)}`;
+    });
+
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `${animals.length} animals with a significant weight change`,
+        emoji: true,
+      },
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text:
+            `Weight changed by more than ${changePercent}% within ${windowDays} days. ` +
+            'Recent weigh-ins are on each card.',
+        },
+      ],
+    },
+  ];
+
+  if (lines.length > COMPACT_LIST_THRESHOLD) {
+    blocks.push(...compactListBlocks(lines));
+  } else {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } });
+  }
+  blocks.push({ type: 'divider' });
+
+  return {
+    text: `Shelterluv weight check – ${animals.length} animals with a significant change`,
+    blocks,
+  };
+};
+
+module.exports = {
+  parseWeight,
+  recordWeights,
+  weightChange,
+  evaluateWeight,
+  weightSectionText,
+  buildWeightAlertPayload,
+};
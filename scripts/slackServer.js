@@ -0,0 +1,341 @@
+require('dotenv').config();
+
+// Small HTTP service for Slack's interactivity requests and slash commands.
+// Point the Slack app at:
+//   Interactivity Request URL        http(s)://<host>/slack/actions
+//   /vaccines slash command URL      http(s)://<host>/slack/commands
+//
+// It shares STATE_DIR with the daily check: button clicks are recorded there
+// and picked up by the next `pnpm check`.
+
+// rescue.config.json is loaded before the other modules, which read it, so a
+// bad config stops the server with its list of problems
+const { getRescueConfig } = require('./lib/rescueConfig');
+
+try {
+  getRescueConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const http = require('http');
+const { createShelterluvClient } = require('./lib/shelterluv');
+const { createSlackClient } = require('./lib/slack');
+const { readState, writeState } = require('./lib/store');
+const { readRawBody, verifySlackSignature } = require('./lib/slackRequests');
+const { splitPayload } = require('./lib/blockKit');
+const {
+  ACK_STATE_FILE,
+  ACK_ACTIONS,
+  DEFAULT_SNOOZE_DAYS,
+  recordAcknowledgement,
+  applyAcknowledgements,
+} = require('./lib/acknowledgements');
+const {
+  fetchInCustodyAnimals,
+  photoUrlOf,
+  evaluateAnimal,
+  findAnimals,
+} = require('./lib/animals');
+const {
+  parseVaccineBlockId,
+  markAcknowledged,
+  withCardMetadata,
+  buildSlackPayloadForAnimal,
+  buildOverdueListPayload,
+} = require('./lib/vaccineCards');
+
+const SHELTERLUV_API_KEY = process.env.SHELTERLUV_API_KEY;
+const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
+const SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET;
+const PORT = Number(process.env.PORT || 3000);
+const SNOOZE_DAYS = Number(process.env.SNOOZE_DAYS || DEFAULT_SNOOZE_DAYS);
+
+if (!SHELTERLUV_API_KEY) {
+  console.error('Missing SHELTERLUV_API_KEY env var');
+}
+if (!SLACK_BOT_TOKEN) {
+  console.error('Missing SLACK_BOT_TOKEN env var');
+}
+if (!SLACK_SIGNING_SECRET) {
+  console.error('Missing SLACK_SIGNING_SECRET env var');
+}
+if (!Number.isFinite(SNOOZE_DAYS) || SNOOZE_DAYS <= 0) {
+  console.error('SNOOZE_DAYS must be a positive number of days');
+}
+if (
+  !SHELTERLUV_API_KEY ||
+  !SLACK_BOT_TOKEN ||
+  !SLACK_SIGNING_SECRET ||
+  !Number.isFinite(SNOOZE_DAYS) ||
+  SNOOZE_DAYS <= 0
+) {
+  process.exit(1);
+}
+
+const shelterluv = createShelterluvClient({ apiKey: SHELTERLUV_API_KEY });
+// Failures are logged per request, so there's no end-of-run report
+const slack = createSlackClient({ token: SLACK_BOT_TOKEN, trackFailures: false });
+
+// More matches than this get a list to pick from instead of cards
+const MAX_CARDS_PER_REPLY = 3;
+
+// ---------- Helpers ----------
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Delayed reply to a slash command; response URLs need no token. A reply
+// over Block Kit limits is sent as numbered parts after the first.
+const respond = async (responseUrl, payload) => {
+  for (const [index, part] of splitPayload(payload).entries()) {
+    const res = await fetch(responseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        response_type: 'ephemeral',
+        replace_original: index === 0,
+        ...part,
+      }),
+      signal: AbortSignal.timeout(15000),
+    });
+    if (!res.ok) throw new Error(`response_url returned ${res.status}`);
+  }
+};
+
+const ephemeral = (text) => ({ response_type: 'ephemeral', text });
+
+// ---------- Interactivity: vaccine card buttons ----------
+
+// Record the click, then update the card to show who handled it. Slack wants
+// an answer within 3 seconds, so the message update runs after responding.
+const handleActions = async (rawBody) => {
+  const payload = JSON.parse(new URLSearchParams(rawBody).get('payload') || '{}');
+  if (payload.type !== 'block_actions') return { status: 200, body: {} };
+
+  const updates = [];
+  const acks = readState(ACK_STATE_FILE, { items: {} });
+
+  for (const action of payload.actions || []) {
+    const parsed = parseVaccineBlockId(action.block_id);
+    if (!parsed || !ACK_ACTIONS[action.action_id]) continue;
+
+    const ack = recordAcknowledgement(acks, {
+      animalId: parsed.animalId,
+      typeKey: parsed.typeKey,
+      actionId: action.action_id,
+      user: payload.user,
+      snoozeDays: SNOOZE_DAYS,
+    });
+    console.log(
+      `${ack.userName} marked ${parsed.typeKey} for ${parsed.cardKey} as ${ack.action}`,
+    );
+    updates.push({ blockId: action.block_id, cardKey: parsed.cardKey, ack });
+  }
+
+  if (updates.length === 0) return { status: 200, body: {} };
+  writeState(ACK_STATE_FILE, acks);
+
+  const followUp = async () => {
+    const { message, container } = payload;
+    if (!message || !container?.channel_id) return;
+
+    let blocks = message.blocks || [];
+    for (const { blockId, ack } of updates) {
+      blocks = markAcknowledged(blocks, blockId, ack);
+    }
+
+    await slack.updateMessage(
+      container.channel_id,
+      container.message_ts,
+      withCardMetadata({ text: message.text, blocks }, updates[0].cardKey),
+    );
+  };
+
+  return { status: 200, body: {}, followUp };
+};
+
+// ---------- Slash command: /vaccines ----------
+
+const USAGE =
+  'Usage: `/vaccines <name>`, `/vaccines <animal ID>` or `/vaccines overdue`';
+
+const lookupOverdue = async (animals, acks, now) => {
+  const results = await shelterluv.fetchVaccinesForAnimals(
+    animals.map((a) => a.vaccineAnimalId),
+  );
+  const entries = [];
+  const failed = [];
+
+  animals.forEach((animal, index) => {
+    const result = results[index];
+    if (result.error) {
+      failed.push(animal.Name);
+      return;
+    }
+    const status = applyAcknowledgements(
+      evaluateAnimal(animal, result, now),
+      acks,
+      animal.vaccineAnimalId,
+      now,
+    );
+    const overdue = status.types.filter((t) => t.status === 'overdue');
+    if (overdue.length > 0) {
+      entries.push({
+        name: animal.Name,
+        animalId: animal.vaccineAnimalId,
+        species: animal.species,
+        types: overdue,
+      });
+    }
+  });
+
+  const payload = buildOverdueListPayload(entries);
+  if (failed.length > 0) {
+    payload.blocks.push({
+      type: 'context',
+      elements: [
+        { type: 'mrkdwn', text: `:warning: Couldn't fetch vaccines for: ${failed.join(', ')}` },
+      ],
+    });
+  }
+  return payload;
+};
+
+const lookupAnimals = async (matches, acks, now) => {
+  const results = await shelterluv.fetchVaccinesForAnimals(
+    matches.map((a) => a.vaccineAnimalId),
+  );
+
+  const blocks = matches.flatMap((animal, index) => {
+    const result = results[index];
+    if (result.error) {
+      return [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `:warning: Couldn't fetch vaccines for *${animal.Name}*: ${result.error.message}`,
+          },
+        },
+      ];
+    }
+
+    const status = applyAcknowledgements(
+      evaluateAnimal(animal, result, now),
+      acks,
+      animal.vaccineAnimalId,
+      now,
+    );
+    // Ephemeral messages can't be updated, so no buttons here
+    return buildSlackPayloadForAnimal(
+      { animalId: animal.vaccineAnimalId, name: animal.Name, photoUrl: photoUrlOf(animal) },
+      status,
+      { interactive: false },
+    ).blocks;
+  });
+
+  return {
+    text: `Vaccine status for ${matches.map((a) => a.Name).join(', ')}`,
+    blocks,
+  };
+};
+
+const lookupVaccines = async (query) => {
+  const now = new Date();
+  const animals = await fetchInCustodyAnimals(shelterluv, { quiet: true });
+  const acks = readState(ACK_STATE_FILE, { items: {} });
+
+  if (query.toLowerCase() === 'overdue') return lookupOverdue(animals, acks, now);
+
+  const matches = findAnimals(animals, query);
+  if (matches.length === 0) {
+    return ephemeral(`No animal in custody matches "${query}". ${USAGE}`);
+  }
+  if (matches.length > MAX_CARDS_PER_REPLY) {
+    const rows = matches.map((a) => `• *${a.Name}* – \`/vaccines ${a.vaccineAnimalId}\``);
+    return ephemeral(`${matches.length} animals match "${query}":\n${rows.join('\n')}`);
+  }
+  return lookupAnimals(matches, acks, now);
+};
+
+// Acknowledge within Slack's 3 seconds, then answer through response_url once
+// Shelterluv has been queried
+const handleCommands = async (rawBody) => {
+  const params = Object.fromEntries(new URLSearchParams(rawBody));
+  const query = String(params.text || '').trim();
+
+  if (!query || query.toLowerCase() === 'help') {
+    return { status: 200, body: ephemeral(USAGE) };
+  }
+
+  console.log(`${params.user_name || params.user_id} ran ${params.command} ${query}`);
+
+  const followUp = async () => {
+    let reply;
+    try {
+      reply = await lookupVaccines(query);
+    } catch (err) {
+      console.error(`Lookup for "${query}" failed:`, err.message);
+      reply = ephemeral(`:warning: Couldn't look up "${query}": ${err.message}`);
+    }
+    await respond(params.response_url, reply);
+  };
+
+  return {
+    status: 200,
+    body: ephemeral(`Looking up vaccines for "${query}"…`),
+    followUp,
+  };
+};
+
+// ---------- Server ----------
+
+const routes = {
+  '/slack/actions': handleActions,
+  '/slack/commands': handleCommands,
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const route = routes[pathname];
+
+  if (req.method !== 'POST' || !route) {
+    return sendJson(res, 404, { error: 'not_found' });
+  }
+
+  let result;
+  try {
+    const rawBody = await readRawBody(req);
+    const verified = verifySlackSignature({
+      signingSecret: SLACK_SIGNING_SECRET,
+      timestamp: req.headers['x-slack-request-timestamp'],
+      signature: req.headers['x-slack-signature'],
+      body: rawBody,
+    });
+    if (!verified) {
+      console.warn(`Rejected ${pathname} request with an invalid signature`);
+      return sendJson(res, 401, { error: 'invalid_signature' });
+    }
+
+    result = await route(rawBody);
+  } catch (err) {
+    console.error(`Failed to handle ${pathname}:`, err);
+    return sendJson(res, 500, { error: 'internal_error' });
+  }
+
+  sendJson(res, result.status, result.body);
+
+  if (result.followUp) {
+    result.followUp().catch((err) => {
+      console.error(`Follow-up for ${pathname} failed:`, err.message);
+    });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Slack app server listening on port ${server.address().port}`);
+});
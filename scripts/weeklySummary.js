@@ -1,106 +1,141 @@
 require('dotenv').config();
 
+// rescue.config.json is loaded before the other modules, which read it, so a
+// bad config stops the run with its list of problems
+const { getRescueConfig, resolveChannel } = require('./lib/rescueConfig');
+
+let RESCUE_CONFIG;
+try {
+  RESCUE_CONFIG = getRescueConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const { parseArgs } = require('util');
+const { formatDate, toDateKey } = require('./lib/dates');
+const { createShelterluvClient } = require('./lib/shelterluv');
+const { createSlackClient } = require('./lib/slack');
+const { readState, writeState } = require('./lib/store');
+const { resolvePeriod, lastDayOf } = require('./lib/periods');
+const { OUTCOME_TYPES, collectOutcomes } = require('./lib/outcomes');
+const { COMPACT_LIST_THRESHOLD, compactListBlocks } = require('./lib/blockKit');
+const {
+  WEEKLY_STATE_FILE,
+  recordWeek,
+  compareWeeks,
+  lengthOfStay,
+} = require('./lib/weeklyStats');
+
 const SHELTERLUV_API_KEY = process.env.SHELTERLUV_API_KEY;
 const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
-const SLACK_CHANNEL_ID = process.env.SLACK_WEEKLY_CHANNEL_ID;
+
+// --dry-run renders the summary without posting; --preview-dir writes it as
+// a JSON file instead of stdout. --period / --from / --to pick the range
+// reported (see lib/periods.js); the default is the last 7 days.
+const { values: args } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    'preview-dir': { type: 'string' },
+    period: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+  },
+});
+const DRY_RUN = args['dry-run'];
+
+let PERIOD;
+try {
+  PERIOD = resolvePeriod({ period: args.period, from: args.from, to: args.to });
+} catch (err) {
+  console.error(err.message);
+}
+
+// Monthly, quarterly and yearly summaries go to their own channel when one is
+// set, otherwise to the weekly channel
+const periodChannel = PERIOD ? resolveChannel(RESCUE_CONFIG, PERIOD.channel) : null;
+const weeklyChannel = resolveChannel(RESCUE_CONFIG, 'weekly');
+const SLACK_CHANNEL_ID = PERIOD ? periodChannel.id || weeklyChannel.id : null;
+
+// Boarding locations; a dog there and not in foster still needs a foster
+const NEEDS_FOSTER_LOCATIONS = new Set(
+  RESCUE_CONFIG.weeklySummary.needsFosterLocations.map((loc) => loc.toLowerCase()),
+);
+
+// Only the default weekly run is tracked for week-over-week trends
+const TRACK_WEEK = PERIOD && PERIOD.key === 'week' && !PERIOD.custom;
 
 if (!SHELTERLUV_API_KEY) {
   console.error('Missing SHELTERLUV_API_KEY env var');
 }
-if (!SLACK_BOT_TOKEN) {
+if (!SLACK_BOT_TOKEN && !DRY_RUN) {
   console.error('Missing SLACK_BOT_TOKEN env var');
 }
-if (!SLACK_CHANNEL_ID) {
-  console.error(
-    'Missing SLACK_WEEKLY_CHANNEL_ID (or SLACK_CHANNEL_ID) env var',
-  );
+if (PERIOD && !SLACK_CHANNEL_ID && !DRY_RUN) {
+  const where =
+    PERIOD.channel === 'weekly'
+      ? weeklyChannel.from
+      : `${periodChannel.from} (or ${weeklyChannel.from})`;
+  console.error(`Missing ${where}`);
 }
-if (!SHELTERLUV_API_KEY || !SLACK_BOT_TOKEN || !SLACK_CHANNEL_ID) {
+if (
+  !SHELTERLUV_API_KEY ||
+  !PERIOD ||
+  (!DRY_RUN && (!SLACK_BOT_TOKEN || !SLACK_CHANNEL_ID))
+) {
   process.exit(1);
 }
 
-const ONE_WEEK_MS = 7 * 24 * 60 * 60 * 1000;
-
-// Convert Shelterluv unix-string (seconds) to JS Date
-const unixStringToDate = (str) => {
-  if (!str) return null;
-  const seconds = Number(str);
-  if (!Number.isFinite(seconds) || seconds === 0) return null;
-  return new Date(seconds * 1000);
-};
-
-// Format date as M/D/YYYY
-const formatDate = (date) => {
-  if (!date || isNaN(date.getTime())) return 'unknown date';
-  return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
-};
-
 // ---------- Shelterluv API ----------
 
-const fetchAnimals = async (statusType, since = 0, sortByUpdated = false) => {
-  const limit = 100;
-  let offset = 0;
-  const all = [];
-
-  while (true) {
-    const statusParam = statusType
-      ? `&status_type=${encodeURIComponent(statusType)}`
-      : '';
-    const sortParam = sortByUpdated ? '&sort=updated_at' : '';
-    const url = `https://new.shelterluv.com/api/v1/animals?since=${since}${statusParam}${sortParam}&limit=${limit}&offset=${offset}`;
-
-    const res = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Authorization: `Bearer ${SHELTERLUV_API_KEY}`,
-        Accept: 'application/json',
-      },
-    });
-
-    if (!res.ok) {
-      const text = await res.text();
-      console.error(
-        `Shelterluv animals API error (${statusType}):`,
-        res.status,
-        text,
-      );
-      throw new Error(`Animals API request failed with ${res.status}`);
+const shelterluv = createShelterluvClient({ apiKey: SHELTERLUV_API_KEY });
+
+// Attach the animal record to each outcome from collectOutcomes, fetching
+// any not in `knownAnimals`. Only dogs are kept, like the rest of the summary.
+const resolveOutcomes = async (found, knownAnimals) => {
+  const byId = new Map(knownAnimals.map((animal) => [String(animal['Internal-ID']), animal]));
+
+  const lookup = async (animalId) => {
+    if (!byId.has(animalId)) {
+      try {
+        byId.set(animalId, await shelterluv.fetchAnimal(animalId));
+      } catch (err) {
+        console.warn(`Could not fetch animal ${animalId} for its outcome:`, err.message);
+        byId.set(animalId, null);
+      }
     }
+    return byId.get(animalId);
+  };
 
-    const json = await res.json();
-    const batch = Array.isArray(json.animals) ? json.animals : json;
-
-    if (!Array.isArray(batch) || batch.length === 0) break;
-
-    all.push(...batch);
-
-    if (json.has_more === false || batch.length < limit) break;
-
-    offset += limit;
+  const resolved = {};
+  for (const [key, rows] of Object.entries(found)) {
+    resolved[key] = [];
+    for (const row of rows) {
+      const animal = await lookup(row.animalId);
+      if (animal && animal.Type === 'Dog') resolved[key].push({ ...row, animal });
+    }
   }
-
-  return all;
+  return resolved;
 };
 
 // ---------- Slack ----------
 
-const postToSlack = async (payload) => {
-  const res = await fetch('https://slack.com/api/chat.postMessage', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${SLACK_BOT_TOKEN}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({ channel: SLACK_CHANNEL_ID, ...payload }),
-  });
-  const json = await res.json();
-  if (!json.ok) throw new Error(json.error);
-  return json;
-};
+const slack = createSlackClient({
+  token: SLACK_BOT_TOKEN,
+  dryRun: DRY_RUN,
+  previewDir: args['preview-dir'],
+});
+
+// Long summaries are split into numbered parts in the first message's thread
+const postToSlack = (payload) => slack.postMessageParts(SLACK_CHANNEL_ID, payload);
 
-// Build a simple dog-list section block (with optional first photo)
+// Build a simple dog-list section block (with optional first photo). Long
+// lists use the compact layout: names only, ten to a block.
 const dogListBlock = (dogs) => {
   if (dogs.length === 0) return null;
+  if (dogs.length > COMPACT_LIST_THRESHOLD) {
+    return compactListBlocks(dogs.map((dog) => `• *${dog.Name || 'Unknown'}*`));
+  }
 
   const blocks = [];
   for (const dog of dogs) {
@@ -120,21 +155,97 @@ const dogListBlock = (dogs) => {
   return blocks;
 };
 
+// "+2 vs last week · 4-week avg 3.5"
+const trendText = ({ change, trailingAverage, trailingWeeks }) => {
+  if (change === null) return 'first tracked week';
+  const vsLast =
+    change === 0
+      ? 'no change vs last week'
+      : `${change > 0 ? '+' : '−'}${Math.abs(change)} vs last week`;
+  return `${vsLast} · ${trailingWeeks}-week avg ${trailingAverage}`;
+};
+
+const trendsBlock = (trends) => ({
+  type: 'section',
+  text: {
+    type: 'mrkdwn',
+    text:
+      '*:chart_with_upwards_trend: Week over week*\n' +
+      trends
+        .map((t) => `• ${t.label}: *${t.value}* (${trendText(t)})`)
+        .join('\n'),
+  },
+});
+
+const lengthOfStayBlocks = (stay) => {
+  if (stay.count === 0) return [];
+
+  const rows = stay.longest.map(
+    (dog, i) =>
+      `${i + 1}. *${dog.name}* – ${dog.days} days (since ${formatDate(dog.intakeDate)})`,
+  );
+
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text:
+          `*:hourglass: Length of stay* (${stay.count} dogs in care)\n` +
+          `Average ${stay.averageDays} days · Median ${stay.medianDays} days`,
+      },
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*Longest waiting*\n${rows.join('\n')}` },
+    },
+  ];
+};
+
+// "Adopted 3 · Transferred out 1 · … · Returned after adoption 1 :warning:"
+const outcomeCountsText = (outcomes) =>
+  OUTCOME_TYPES.map(({ key, label, followUp }) => {
+    const count = outcomes[key].length;
+    return `${label} ${count}${followUp && count > 0 ? ' :warning:' : ''}`;
+  }).join(' · ');
+
+// Returns get a line each with the date, flagged for a follow-up call
+const followUpBlock = (rows) => ({
+  type: 'section',
+  text: {
+    type: 'mrkdwn',
+    text:
+      ':warning: _Please follow up with the adopter and update the record._\n' +
+      rows
+        .map(
+          ({ animal, date }) =>
+            `• *${animal.Name || 'Unknown'}* – returned ${formatDate(date)}`,
+        )
+        .join('\n'),
+  },
+});
+
+// `period` is from resolvePeriod; its heading and noun ("week", "month", …)
+// title the message and its sections. `outcomes` maps each OUTCOME_TYPES key
+// to [{ animal, date }].
 const buildWeeklySummaryPayload = ({
   newIntakes,
   needsFoster,
-  adoptions,
-  weekStart,
-  weekEnd,
+  outcomes,
+  period,
+  trends = [],
+  stay = null,
 }) => {
-  const dateRange = `${formatDate(weekStart)} – ${formatDate(weekEnd)}`;
+  const dateRange = `${formatDate(period.start)} – ${formatDate(lastDayOf(period))}`;
+  const thisPeriod = `This ${period.noun[0].toUpperCase()}${period.noun.slice(1)}`;
+  const adoptions = outcomes.adoption;
   const blocks = [];
 
   blocks.push({
     type: 'header',
     text: {
       type: 'plain_text',
-      text: `Weekly Rescue Summary: ${dateRange}`,
+      text: `${period.heading}: ${dateRange}`,
       emoji: true,
     },
   });
@@ -146,10 +257,14 @@ const buildWeeklySummaryPayload = ({
       text:
         `*:dog: New intakes:* ${newIntakes.length}     ` +
         `*:paw_prints: Adoptions:* ${adoptions.length}     ` +
-        `*:sos: Still needs foster:* ${needsFoster.length}`,
+        `*:sos: Still needs foster:* ${needsFoster.length}\n` +
+        `*Outcomes:* ${outcomeCountsText(outcomes)}`,
     },
   });
 
+  if (trends.length > 0) blocks.push(trendsBlock(trends));
+  if (stay) blocks.push(...lengthOfStayBlocks(stay));
+
   blocks.push({ type: 'divider' });
 
   // New intakes
@@ -157,13 +272,13 @@ const buildWeeklySummaryPayload = ({
     type: 'section',
     text: {
       type: 'mrkdwn',
-      text: `*:dog: New Dogs This Week (${newIntakes.length})*`,
+      text: `*:dog: New Dogs ${thisPeriod} (${newIntakes.length})*`,
     },
   });
   if (newIntakes.length === 0) {
     blocks.push({
       type: 'section',
-      text: { type: 'mrkdwn', text: '_No new intakes this week._' },
+      text: { type: 'mrkdwn', text: `_No new intakes this ${period.noun}._` },
     });
   } else {
     const intakeBlocks = dogListBlock(newIntakes);
@@ -172,25 +287,32 @@ const buildWeeklySummaryPayload = ({
 
   blocks.push({ type: 'divider' });
 
-  // Adoptions
-  blocks.push({
-    type: 'section',
-    text: {
-      type: 'mrkdwn',
-      text: `*:paw_prints: Adopted This Week (${adoptions.length})*`,
-    },
-  });
-  if (adoptions.length === 0) {
+  // Outcomes: adoptions always, the others when there were any
+  for (const { key, title, emoji, followUp } of OUTCOME_TYPES) {
+    const rows = outcomes[key];
+    if (key !== 'adoption' && rows.length === 0) continue;
+
     blocks.push({
       type: 'section',
-      text: { type: 'mrkdwn', text: '_No adoptions this week._' },
+      text: {
+        type: 'mrkdwn',
+        text: `*${emoji} ${title} ${thisPeriod} (${rows.length})*`,
+      },
     });
-  } else {
-    const adoptionBlocks = dogListBlock(adoptions);
-    if (adoptionBlocks) blocks.push(...adoptionBlocks);
-  }
+    if (rows.length === 0) {
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: `_No adoptions this ${period.noun}._` },
+      });
+    } else if (followUp) {
+      blocks.push(followUpBlock(rows));
+    } else {
+      const outcomeBlocks = dogListBlock(rows.map((row) => row.animal));
+      if (outcomeBlocks) blocks.push(...outcomeBlocks);
+    }
 
-  blocks.push({ type: 'divider' });
+    blocks.push({ type: 'divider' });
+  }
 
   // Still needs foster
   blocks.push({
@@ -211,7 +333,7 @@ const buildWeeklySummaryPayload = ({
   }
 
   return {
-    text: `Weekly Rescue Summary: ${dateRange}`,
+    text: `${period.heading}: ${dateRange}`,
     blocks,
   };
 };
@@ -219,58 +341,92 @@ const buildWeeklySummaryPayload = ({
 // ---------- Main ----------
 
 async function main() {
-  console.log('Running weekly rescue summary...');
+  console.log(
+    `Running ${PERIOD.heading.toLowerCase()} for ${formatDate(PERIOD.start)} – ${formatDate(lastDayOf(PERIOD))}...`,
+  );
 
   const now = new Date();
-  const weekStart = new Date(now.getTime() - ONE_WEEK_MS);
-  const weekStartTimestamp = Math.floor(weekStart.getTime() / 1000);
+  const startTimestamp = Math.floor(PERIOD.start.getTime() / 1000);
+  const endTimestamp = Math.floor(PERIOD.end.getTime() / 1000);
+  const inPeriod = (unixTime) => {
+    const time = Number(unixTime);
+    return time >= startTimestamp && time < endTimestamp;
+  };
 
   // Fetch data in parallel.
   // sort=updated_at makes `since` filter on LastUpdatedUnixTime rather than
-  // intake time, so recently-adopted dogs (updated this week) are included.
-  const [inCustodyDogs, updatedThisWeek] = await Promise.all([
-    fetchAnimals('in custody'),
-    fetchAnimals(null, weekStartTimestamp, true),
+  // intake time, so dogs with an outcome in the period are included.
+  const [inCustodyDogs, updatedSinceStart, events] = await Promise.all([
+    shelterluv.fetchAnimals({ statusType: 'in custody', since: 0 }),
+    shelterluv.fetchAnimals({ since: startTimestamp, sortByUpdated: true }),
+    shelterluv.fetchEvents({ since: startTimestamp }),
   ]);
 
-  const newIntakes = updatedThisWeek.filter(
-    (dog) => dog.Type === 'Dog' && Number(dog.LastIntakeUnixTime) >= weekStartTimestamp,
+  const newIntakes = updatedSinceStart.filter(
+    (dog) => dog.Type === 'Dog' && inPeriod(dog.LastIntakeUnixTime),
   );
 
-  // Adoptions: dogs updated this week whose status changed to "Healthy in Home"
-  const adoptions = updatedThisWeek.filter(
-    (dog) => dog.Type === 'Dog' && dog.Status === 'Healthy in Home',
+  // Outcomes (adoptions, transfers, returns, …) from the event log
+  const outcomes = await resolveOutcomes(
+    collectOutcomes(events, PERIOD),
+    [...inCustodyDogs, ...updatedSinceStart],
   );
+  const adoptions = outcomes.adoption;
+  const returns = outcomes.returnAfterAdoption;
 
   // Still needs foster: dogs at boarding locations (not yet in a foster home)
-  const NEEDS_FOSTER_LOCATIONS = new Set([
-    'paradise pet resort',
-    "love's legacy rescue",
-  ]);
   const needsFoster = inCustodyDogs.filter((dog) => {
     const loc = (dog.CurrentLocation?.Tier1 || '').toLowerCase();
     return !dog.InFoster && NEEDS_FOSTER_LOCATIONS.has(loc);
   });
 
   console.log(
-    `Summary — new intakes: ${newIntakes.length}, still needs foster: ${needsFoster.length}, adoptions: ${adoptions.length}`,
+    `Summary — new intakes: ${newIntakes.length}, still needs foster: ${needsFoster.length}, adoptions: ${adoptions.length}, returns: ${returns.length}`,
   );
 
+  // Length of stay counts every dog in care, fostered or not, up to the end
+  // of the period (now, unless --to asks for a past one)
+  const stay = lengthOfStay(
+    inCustodyDogs.filter((dog) => dog.Type === 'Dog'),
+    PERIOD.end < now ? PERIOD.end : now,
+  );
+  const week = {
+    date: toDateKey(now),
+    newIntakes: newIntakes.length,
+    adoptions: adoptions.length,
+    needsFoster: needsFoster.length,
+    inCare: stay.count,
+    averageStayDays: stay.averageDays,
+    medianStayDays: stay.medianDays,
+  };
+  const history = readState(WEEKLY_STATE_FILE, { weeks: [] });
+  const trends = TRACK_WEEK ? compareWeeks(history, week) : [];
+
   const payload = buildWeeklySummaryPayload({
     newIntakes,
     needsFoster,
-    adoptions,
-    weekStart,
-    weekEnd: now,
+    outcomes,
+    period: PERIOD,
+    trends,
+    stay,
   });
 
   try {
-    await postToSlack(payload);
-    console.log('Weekly summary posted to Slack.');
+    const { parts } = await postToSlack(payload);
+    const partsNote = parts.length > 0 ? ` (${parts.length + 1} parts)` : '';
+    console.log(
+      DRY_RUN
+        ? `[dry-run] ${PERIOD.heading} rendered${partsNote}; nothing was posted.`
+        : `${PERIOD.heading} posted to Slack${partsNote}.`,
+    );
   } catch (err) {
-    console.error('Failed to post weekly summary to Slack:', err.message);
+    console.error(`Failed to post ${PERIOD.heading.toLowerCase()} to Slack:`, err.message);
+    slack.reportFailures();
     process.exit(1);
   }
+
+  // Only weeks that were actually posted become the baseline for trends
+  if (TRACK_WEEK && !DRY_RUN) writeState(WEEKLY_STATE_FILE, recordWeek(history, week));
 }
 
 main().catch((err) => {
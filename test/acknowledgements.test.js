@@ -0,0 +1,87 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  recordAcknowledgement,
+  applyAcknowledgements,
+} = require('../scripts/lib/acknowledgements');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const user = { id: 'U1', username: 'sam' };
+
+const statusWith = (types) => ({
+  types: types.map(([key, status]) => ({ key, status })),
+  counts: { overdue: 0 },
+});
+
+describe('acknowledgements', () => {
+  it('records who acted and snoozes for the configured days', () => {
+    const acks = { items: {} };
+    const ack = recordAcknowledgement(acks, {
+      animalId: '42',
+      typeKey: 'rabies',
+      actionId: 'vaccine_snooze',
+      user,
+      now: NOW,
+      snoozeDays: 3,
+    });
+
+    assert.equal(ack.action, 'snoozed');
+    assert.equal(ack.userName, 'sam');
+    assert.equal(ack.until, '2026-03-04T12:00:00.000Z');
+    assert.equal(acks.items['42:rabies'], ack);
+  });
+
+  it('rejects unknown actions', () => {
+    assert.throws(
+      () => recordAcknowledgement({ items: {} }, { animalId: '1', typeKey: 'rabies', actionId: 'nope', user }),
+      /Unknown vaccine action/,
+    );
+  });
+
+  it('attaches acks only to alert rows and counts active snoozes', () => {
+    const acks = { items: {} };
+    for (const [typeKey, actionId] of [
+      ['rabies', 'vaccine_snooze'],
+      ['bordetella', 'vaccine_booked'],
+      ['lepto', 'vaccine_given'],
+    ]) {
+      recordAcknowledgement(acks, { animalId: '42', typeKey, actionId, user, now: NOW });
+    }
+
+    const result = applyAcknowledgements(
+      statusWith([
+        ['rabies', 'overdue'],
+        ['bordetella', 'needsAttention'],
+        ['lepto', 'current'],
+      ]),
+      acks,
+      '42',
+      NOW,
+    );
+
+    assert.equal(result.types[0].snoozed, true);
+    assert.equal(result.types[1].ack.action, 'booked');
+    assert.equal(result.types[1].snoozed, false);
+    assert.equal(result.types[2].ack, undefined);
+    assert.equal(result.counts.snoozed, 1);
+  });
+
+  it('drops a snooze once it expires', () => {
+    const acks = { items: {} };
+    recordAcknowledgement(acks, {
+      animalId: '42',
+      typeKey: 'rabies',
+      actionId: 'vaccine_snooze',
+      user,
+      now: NOW,
+      snoozeDays: 1,
+    });
+
+    const later = new Date(NOW.getTime() + 2 * 24 * 60 * 60 * 1000);
+    const result = applyAcknowledgements(statusWith([['rabies', 'overdue']]), acks, '42', later);
+
+    assert.equal(result.types[0].ack, undefined);
+    assert.equal(result.counts.snoozed, 0);
+  });
+});
@@ -0,0 +1,29 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { findAnimals } = require('../scripts/lib/animals');
+
+const ANIMALS = [
+  { ID: '33', vaccineAnimalId: '211073874', Name: 'Rosie' },
+  { ID: '34', vaccineAnimalId: '211073876', Name: 'Remy' },
+  { ID: '35', vaccineAnimalId: '211073877', Name: 'Rosie Mae' },
+];
+
+const names = (animals) => animals.map((a) => a.Name);
+
+describe('findAnimals', () => {
+  it('matches the Shelterluv animal ID or internal ID', () => {
+    assert.deepEqual(names(findAnimals(ANIMALS, '211073876')), ['Remy']);
+    assert.deepEqual(names(findAnimals(ANIMALS, '33')), ['Rosie']);
+  });
+
+  it('prefers an exact name over partial matches', () => {
+    assert.deepEqual(names(findAnimals(ANIMALS, ' rosie ')), ['Rosie']);
+    assert.deepEqual(names(findAnimals(ANIMALS, 'mae')), ['Rosie Mae']);
+    assert.deepEqual(names(findAnimals(ANIMALS, 'r')), ['Rosie', 'Remy', 'Rosie Mae']);
+  });
+
+  it('returns nothing for an empty query', () => {
+    assert.deepEqual(findAnimals(ANIMALS, ''), []);
+  });
+});
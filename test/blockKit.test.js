@@ -0,0 +1,80 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  MAX_BLOCKS,
+  MAX_SECTION_TEXT,
+  splitText,
+  fitBlock,
+  compactListBlocks,
+  splitPayload,
+} = require('../scripts/lib/blockKit');
+
+const section = (text) => ({ type: 'section', text: { type: 'mrkdwn', text } });
+const lines = (count, prefix = 'row') =>
+  Array.from({ length: count }, (_, i) => `${prefix} ${i} ${'x'.repeat(40)}`);
+
+describe('splitText', () => {
+  it('splits at line breaks under the limit', () => {
+    const pieces = splitText(lines(200).join('\n'));
+    assert.ok(pieces.length > 1);
+    assert.ok(pieces.every((p) => p.length <= MAX_SECTION_TEXT));
+    assert.equal(pieces.join('\n'), lines(200).join('\n'));
+  });
+
+  it('closes and reopens a code block cut in two', () => {
+    const pieces = splitText(['*Table*', '```', ...lines(200), '```'].join('\n'));
+    for (const piece of pieces) {
+      assert.equal(piece.split('```').length - 1, 2, piece.slice(0, 40));
+    }
+  });
+
+  it('cuts a single over-long line', () => {
+    const pieces = splitText('y'.repeat(7000));
+    assert.ok(pieces.every((p) => p.length <= MAX_SECTION_TEXT));
+    assert.equal(pieces.join(''), 'y'.repeat(7000));
+  });
+});
+
+describe('fitBlock', () => {
+  it('splits a long section and keeps the photo on the first piece', () => {
+    const blocks = fitBlock({
+      ...section(lines(200).join('\n')),
+      accessory: { type: 'image', image_url: 'https://example.org/a.jpg', alt_text: 'a' },
+    });
+    assert.ok(blocks.length > 1);
+    assert.ok(blocks[0].accessory);
+    assert.ok(blocks.slice(1).every((b) => !b.accessory));
+  });
+
+  it('spreads more than ten fields over several sections', () => {
+    const [block] = compactListBlocks(lines(10));
+    const blocks = fitBlock({ ...block, fields: [...block.fields, ...block.fields] });
+    assert.deepEqual(blocks.map((b) => b.fields.length), [10, 10]);
+  });
+});
+
+describe('splitPayload', () => {
+  it('leaves a payload that fits alone', () => {
+    const payload = { text: 'hi', blocks: [section('one')] };
+    assert.deepEqual(splitPayload(payload), [payload]);
+  });
+
+  it('numbers the parts and keeps metadata on the first', () => {
+    const payload = {
+      text: 'Summary',
+      metadata: { event_type: 't', event_payload: { key: 'k' } },
+      blocks: lines(120).map(section),
+    };
+    const parts = splitPayload(payload);
+
+    assert.equal(parts.length, 3);
+    assert.ok(parts.every((p) => p.blocks.length <= MAX_BLOCKS));
+    assert.deepEqual(parts[0].metadata, payload.metadata);
+    assert.equal(parts[1].metadata, undefined);
+    assert.equal(parts[2].text, 'Summary (part 3 of 3)');
+    assert.match(JSON.stringify(parts[0].blocks.at(-1)), /Part 1 of 3/);
+    assert.match(JSON.stringify(parts[1].blocks[0]), /Part 2 of 3/);
+    assert.equal(parts.flatMap((p) => p.blocks).length, 120 + 3);
+  });
+});
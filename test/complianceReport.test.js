@@ -0,0 +1,182 @@
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const { describe, it } = require('node:test');
+
+const {
+  statusLabel,
+  buildComplianceRows,
+  buildComplianceReport,
+} = require('../scripts/lib/complianceReport');
+const { toCsv, columnName, excelDate } = require('../scripts/lib/spreadsheet');
+
+const type = (key, status, extra = {}) => ({
+  key,
+  status,
+  lastGiven: null,
+  nextDue: null,
+  missingSchedule: false,
+  ...extra,
+});
+
+const dog = (animalId, name, types, animal = {}) => ({
+  animalId,
+  name,
+  species: 'dog',
+  animal: { CurrentLocation: {}, ...animal },
+  vaccineStatus: types && { types },
+});
+
+// { name: Buffer } for each entry of a zip, from its local file headers
+const unzip = (buffer) => {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + size));
+    assert.equal(zlib.crc32(files[name]), buffer.readUInt32LE(offset + 14), name);
+    offset = start + size;
+  }
+  return files;
+};
+
+describe('compliance report', () => {
+  it('labels statuses with snoozes and missing schedules', () => {
+    assert.equal(statusLabel(type('rabies', 'overdue')), 'Overdue');
+    assert.equal(statusLabel(type('rabies', 'needsAttention')), 'Due within 14 days');
+    assert.equal(
+      statusLabel(type('rabies', 'current', { missingSchedule: true })),
+      'Current (no schedule)',
+    );
+    assert.equal(
+      statusLabel(type('lepto', 'upcoming', { snoozed: true })),
+      'Due within 30 days (snoozed)',
+    );
+  });
+
+  it('has one row per dog, by name, with every core vaccine', () => {
+    const rows = buildComplianceRows([
+      dog('2', 'Rosie', [
+        type('rabies', 'overdue', { lastGiven: new Date(2023, 9, 14) }),
+        type('dhpp_dapp', 'current', {
+          lastGiven: new Date(2026, 3, 1),
+          nextDue: new Date(2027, 3, 1),
+        }),
+      ], {
+        InFoster: true,
+        AssociatedPerson: {
+          RelationshipType: 'foster',
+          FirstName: 'Jessica',
+          LastName: 'Schwarz',
+        },
+        CurrentLocation: { Tier1: 'Foster Home' },
+      }),
+      dog('1', 'Biscuit', null),
+      { ...dog('3', 'Miso', []), species: 'cat' },
+    ]);
+
+    assert.equal(rows.length, 3);
+    assert.deepEqual(rows[0].slice(0, 7), [
+      'Animal ID',
+      'Name',
+      'Foster',
+      'Location',
+      'Rabies status',
+      'Rabies last given',
+      'Rabies next due',
+    ]);
+    assert.equal(rows[0].length, 4 + 4 * 3);
+
+    assert.deepEqual(rows[1].slice(0, 5), [
+      '1',
+      'Biscuit',
+      '',
+      '',
+      'Not checked (Shelterluv error)',
+    ]);
+    assert.deepEqual(rows[2].slice(0, 10), [
+      '2',
+      'Rosie',
+      'Jessica Schwarz',
+      'Foster Home',
+      'Overdue',
+      new Date(2023, 9, 14),
+      null,
+      'Current',
+      new Date(2026, 3, 1),
+      new Date(2027, 3, 1),
+    ]);
+    // Bordetella and Lepto weren't evaluated
+    assert.deepEqual(rows[2].slice(10), ['', null, null, '', null, null]);
+  });
+
+  it('leaves the foster blank for a dog back in the shelter', () => {
+    const rows = buildComplianceRows([
+      dog('4', 'Ocean', [], {
+        InFoster: false,
+        AssociatedPerson: { RelationshipType: 'foster', FirstName: 'Chloe', LastName: 'Bell' },
+        CurrentLocation: { Tier1: 'Happy Tails Boarding' },
+      }),
+    ]);
+
+    assert.deepEqual(rows[1].slice(0, 4), ['4', 'Ocean', '', 'Happy Tails Boarding']);
+  });
+
+  it('writes CSV that spreadsheets open safely', () => {
+    const csv = toCsv([
+      ['Name', 'Foster', 'Due'],
+      ['Rosie', 'Schwarz, "Jess"', new Date(2026, 9, 28)],
+      ['=HYPERLINK("x")', null, null],
+    ]);
+
+    assert.equal(
+      csv,
+      '\uFEFFName,Foster,Due\r\n' +
+        'Rosie,"Schwarz, ""Jess""",2026-10-28\r\n' +
+        '"\'=HYPERLINK(""x"")",,\r\n',
+    );
+  });
+
+  it('writes an XLSX workbook with text IDs and real dates', () => {
+    const now = new Date(2026, 9, 18);
+    const report = buildComplianceReport(
+      [
+        dog('211073874', 'Rosie & Co', [
+          type('rabies', 'overdue', { lastGiven: new Date(2023, 9, 14) }),
+        ]),
+      ],
+      now,
+    );
+
+    assert.equal(report.dogs, 1);
+    assert.deepEqual(
+      report.files.map((f) => f.filename),
+      ['vaccine-compliance-2026-10-18.csv', 'vaccine-compliance-2026-10-18.xlsx'],
+    );
+
+    const files = unzip(report.files[1].content);
+    assert.deepEqual(Object.keys(files).sort(), [
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/workbook.xml',
+      'xl/worksheets/sheet1.xml',
+    ]);
+
+    const sheet = files['xl/worksheets/sheet1.xml'].toString('utf8');
+    assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">211073874<\/t>/);
+    assert.match(sheet, /<t xml:space="preserve">Rosie &amp; Co<\/t>/);
+    const lastGiven = excelDate(new Date(2023, 9, 14));
+    assert.match(sheet, new RegExp(`<c r="F2" s="2"><v>${lastGiven}</v></c>`));
+    assert.match(sheet, /<autoFilter ref="A1:P2"\/>/);
+  });
+
+  it('numbers columns and dates the way Excel does', () => {
+    assert.deepEqual([0, 25, 26, 701, 702].map(columnName), ['A', 'Z', 'AA', 'ZZ', 'AAA']);
+    assert.equal(excelDate(new Date(1900, 0, 1)), 2);
+    assert.equal(excelDate(new Date(2026, 9, 18)), 46313);
+  });
+});
@@ -0,0 +1,58 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { rankByUrgency, countByFamily } = require('../scripts/lib/digest');
+
+// types: [key, status, daysUntilDue?, extra?]
+const entry = (name, types) => ({
+  name,
+  animalId: name.toLowerCase(),
+  species: 'dog',
+  vaccineStatus: {
+    types: types.map(([key, status, daysUntilDue, extra = {}]) => ({
+      key,
+      status,
+      daysUntilDue,
+      ...extra,
+    })),
+  },
+});
+
+describe('rankByUrgency', () => {
+  const entries = [
+    entry('Soon', [['rabies', 'needsAttention', 3]]),
+    entry('Marked', [['rabies', 'overdue']]),
+    entry('Late', [['rabies', 'overdue', -2], ['lepto', 'overdue', -20]]),
+    entry('Fine', [['rabies', 'current']]),
+    entry('Sooner', [['lepto', 'needsAttention', 1], ['rabies', 'upcoming', 20]]),
+    entry('Napping', [['rabies', 'overdue', -5, { snoozed: true }]]),
+  ];
+
+  it('orders by status group, then most overdue / due soonest', () => {
+    assert.deepEqual(
+      rankByUrgency(entries).map((e) => e.name),
+      ['Late', 'Marked', 'Sooner', 'Soon', 'Napping'],
+    );
+  });
+
+  it('keeps only the types in the animal\'s most urgent group', () => {
+    const [late] = rankByUrgency(entries);
+    assert.equal(late.urgency.group, 'overdue');
+    assert.equal(late.urgency.daysUntilDue, -20);
+    assert.deepEqual(late.urgency.types.map((t) => t.key), ['rabies', 'lepto']);
+  });
+});
+
+describe('countByFamily', () => {
+  it('counts animals per core family and group', () => {
+    const families = countByFamily([
+      entry('A', [['rabies', 'overdue', -1], ['lepto', 'current']]),
+      entry('B', [['rabies', 'current'], ['lepto', 'current', 90, { missingSchedule: true }]]),
+    ]);
+
+    assert.deepEqual(families, [
+      { key: 'rabies', label: 'Rabies', counts: { overdue: 1, current: 1 } },
+      { key: 'lepto', label: 'Lepto', counts: { current: 1, missingSchedule: 1 } },
+    ]);
+  });
+});
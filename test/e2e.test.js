@@ -0,0 +1,1049 @@
+// End-to-end runs of the report scripts against the local Shelterluv and
+// Slack stand-ins in test/mocks — no network access or real tokens needed.
+
+const assert = require('node:assert/strict');
+const { execFile, spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+} = require('node:test');
+
+const { startShelterluvMock } = require('./mocks/shelterluv');
+const { startSlackMock } = require('./mocks/slack');
+const { computeSignature } = require('../scripts/lib/slackRequests');
+const { toDateKey } = require('../scripts/lib/dates');
+
+const ROOT = path.join(__dirname, '..');
+const CHANNEL = 'C0VACCINES';
+const WEEKLY_CHANNEL = 'C0WEEKLY';
+const MICROCHIP_CHANNEL = 'C0CHIPS';
+const MARKETING_CHANNEL = 'C0MARKETING';
+const SIGNING_SECRET = 'test-signing-secret';
+
+let shelterluv;
+let slack;
+let stateDir;
+
+const scriptEnv = (env) => ({
+  ...process.env,
+  SHELTERLUV_API_KEY: 'test-shelterluv-key',
+  SLACK_BOT_TOKEN: 'xoxb-test',
+  SLACK_CHANNEL_ID: CHANNEL,
+  SLACK_WEEKLY_CHANNEL_ID: WEEKLY_CHANNEL,
+  SLACK_MICROCHIP_CHANNEL_ID: MICROCHIP_CHANNEL,
+  SLACK_MARKETING_CHANNEL_ID: MARKETING_CHANNEL,
+  SHELTERLUV_API_BASE_URL: shelterluv.url,
+  SLACK_API_BASE_URL: slack.url,
+  STATE_DIR: stateDir,
+  ...env,
+});
+
+const run = (file, args, env) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      file,
+      args,
+      { cwd: ROOT, timeout: 30000, env: scriptEnv(env) },
+      (err, stdout, stderr) => {
+        if (err) {
+          err.message += `\n${stdout}\n${stderr}`;
+          return reject(err);
+        }
+        return resolve({ stdout, stderr });
+      },
+    );
+  });
+
+const runScript = (script, args = [], env = {}) =>
+  run(process.execPath, [path.join(ROOT, 'scripts', script), ...args], env);
+
+// Run a workflow step's `run: |` block with bash, as Actions does (`env` has
+// the step's inputs; unset ones are empty strings). `pnpm <script> …` goes to a
+// stand-in that, like pnpm 10, appends every argument (a `--` included) to
+// the package.json script.
+const runWorkflowStep = (workflow, stepName, env = {}) => {
+  const yaml = fs.readFileSync(path.join(ROOT, '.github', 'workflows', workflow), 'utf8');
+  const lines = yaml.split('\n');
+  const start = lines.findIndex((line) => line.trim() === `- name: ${stepName}`);
+  const runAt = lines.findIndex((line, i) => i > start && line.trim() === 'run: |');
+  const indent = lines[runAt + 1].match(/^ */)[0];
+  const body = [];
+  for (const line of lines.slice(runAt + 1)) {
+    if (line.trim() && !line.startsWith(indent)) break;
+    body.push(line.slice(indent.length));
+  }
+
+  const binDir = path.join(stateDir, 'bin');
+  fs.mkdirSync(binDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(binDir, 'pnpm'),
+    '#!/bin/sh\n' +
+      'cmd=$(node -p "require(\'./package.json\').scripts[process.argv[1]]" "$1")\n' +
+      'shift\n' +
+      'exec sh -c "$cmd \\"\\$@\\"" pnpm "$@"\n',
+    { mode: 0o755 },
+  );
+
+  return run('bash', ['--noprofile', '--norc', '-e', '-c', body.join('\n')], {
+    PATH: `${binDir}${path.delimiter}${process.env.PATH}`,
+    ...env,
+  });
+};
+
+// Start the long-running Slack app server; resolves once it is listening
+const startAppServer = (env = {}) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT, 'scripts', 'slackServer.js')], {
+      cwd: ROOT,
+      env: {
+        ...process.env,
+        SLACK_BOT_TOKEN: 'xoxb-test',
+        SLACK_SIGNING_SECRET: SIGNING_SECRET,
+        SLACK_API_BASE_URL: slack.url,
+        SHELTERLUV_API_KEY: 'test-shelterluv-key',
+        SHELTERLUV_API_BASE_URL: shelterluv.url,
+        STATE_DIR: stateDir,
+        PORT: '0',
+        ...env,
+      },
+    });
+    let output = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`App server did not start:\n${output}`));
+    }, 10000);
+    const onData = (chunk) => {
+      output += chunk;
+      const match = output.match(/listening on port (\d+)/);
+      if (match) {
+        clearTimeout(timer);
+        resolve({
+          url: `http://127.0.0.1:${match[1]}`,
+          stop: () =>
+            new Promise((r) => {
+              child.once('exit', r);
+              child.kill();
+            }),
+        });
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+  });
+
+// POST a form body signed like Slack does
+const postSigned = (url, body, { secret = SIGNING_SECRET } = {}) => {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Slack-Request-Timestamp': timestamp,
+      'X-Slack-Signature': computeSignature(secret, timestamp, body),
+    },
+    body,
+  });
+};
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting');
+    await new Promise((r) => setTimeout(r, 50));
+  }
+};
+
+const headerOf = (payload) =>
+  payload.blocks?.find((b) => b.type === 'header')?.text.text;
+
+before(async () => {
+  shelterluv = await startShelterluvMock();
+  slack = await startSlackMock();
+});
+
+after(async () => {
+  await shelterluv.close();
+  await slack.close();
+});
+
+beforeEach(() => {
+  stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shelterluv-state-'));
+  slack.reset({ clearMessages: true });
+});
+
+afterEach(() => {
+  fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+describe('checkVaccines.js', () => {
+  it('posts a changes report, per-species summaries and cards for animals needing attention', async () => {
+    await runScript('checkVaccines.js');
+
+    const posts = slack.callsTo('chat.postMessage').map((c) => c.params);
+    assert.equal(posts[0].channel, CHANNEL);
+    assert.match(headerOf(posts[0]), /first tracked run/);
+    assert.equal(headerOf(posts[1]), '2 dogs whose vaccines are all up to date (4 core)');
+    assert.equal(headerOf(posts[2]), '1 cats whose vaccines are all up to date (3 core)');
+    assert.match(JSON.stringify(posts[2].blocks), /Miso/);
+
+    assert.match(headerOf(posts[3]), /^1 unclassified vaccine products/);
+    assert.match(JSON.stringify(posts[3].blocks), /Nobivac Intra-Trac3.*Remy/);
+
+    const cardHeaders = posts.slice(4).map(headerOf);
+    assert.deepEqual(cardHeaders, [
+      ":dog: Rosie's Vaccine Status - animal_id: 211073874",
+      ":dog: Luna's Vaccine Status - animal_id: 211143384",
+      ":cat: Pepper's Vaccine Status - animal_id: 211600002",
+    ]);
+
+    const rosie = JSON.stringify(posts[4].blocks);
+    assert.match(rosie, /Rabies.*Marked overdue/);
+    assert.match(rosie, /Bordetella.*Due in \d+ days/);
+    assert.equal(posts[4].metadata.event_payload.key, 'dog:211073874');
+
+    const pepper = JSON.stringify(posts[6].blocks);
+    assert.match(pepper, /FVRCP/);
+    assert.match(pepper, /1 missing: FeLV/);
+    assert.doesNotMatch(pepper, /Lepto|Bordetella/);
+    assert.equal(posts[6].metadata.event_payload.key, 'cat:211600002');
+  });
+
+  it('updates existing cards in place on the next run and removes dogs that left custody', async () => {
+    await runScript('checkVaccines.js');
+    const firstPosts = slack.callsTo('chat.postMessage').length;
+    slack.reset();
+
+    const animals = JSON.parse(
+      fs.readFileSync(path.join(__dirname, 'fixtures', 'animals.json'), 'utf8'),
+    ).animals;
+    shelterluv.setAnimals(animals.filter((a) => a.Name !== 'Luna'));
+
+    try {
+      await runScript('checkVaccines.js');
+    } finally {
+      shelterluv.setAnimals(animals);
+    }
+
+    // Only the changes report is reposted; everything else is updated
+    assert.equal(firstPosts, 7);
+    assert.equal(slack.callsTo('chat.postMessage').length, 1);
+    assert.equal(slack.callsTo('chat.update').length, 5);
+    assert.equal(slack.callsTo('chat.delete').length, 2);
+
+    const remaining = slack.messages
+      .filter((m) => m.channel === CHANNEL)
+      .map((m) => m.metadata.event_payload.key)
+      .sort();
+    assert.deepEqual(remaining, [
+      'cat:211600002',
+      'changes',
+      'dog:211073874',
+      'summary:cat',
+      'summary:dog',
+      'unmatched-products',
+    ]);
+  });
+
+  it('retries transient Shelterluv failures instead of dropping the dog', async () => {
+    shelterluv.failNext(/^\/animals\/211073874\/vaccines$/, 2, 502);
+
+    await runScript('checkVaccines.js');
+
+    const headers = slack.callsTo('chat.postMessage').map((c) => headerOf(c.params));
+    assert.ok(headers.some((h) => h.startsWith(":dog: Rosie's Vaccine Status")));
+  });
+
+  it('waits out Slack rate limits and retries', async () => {
+    slack.failNext('chat.postMessage', 2, { status: 429, retryAfter: 1 });
+
+    const { stderr } = await runScript('checkVaccines.js');
+
+    assert.match(stderr, /Slack chat\.postMessage rate limited; retrying in 1000ms/);
+    // 7 messages plus the 2 rate-limited attempts
+    assert.equal(slack.callsTo('chat.postMessage').length, 9);
+    assert.equal(slack.messages.filter((m) => m.channel === CHANNEL).length, 7);
+  });
+
+  it('reports Slack calls that failed for good and fails the run', async () => {
+    slack.failNext('chat.postMessage', 1, { error: 'invalid_blocks' });
+
+    await assert.rejects(runScript('checkVaccines.js'), (err) => {
+      assert.match(err.message, /1 Slack calls failed for good/);
+      assert.match(err.message, /chat\.postMessage C0VACCINES .*: invalid_blocks/);
+      return true;
+    });
+    // The other messages still went out
+    assert.equal(slack.messages.filter((m) => m.channel === CHANNEL).length, 6);
+  });
+
+  it('stops at startup with every problem in a bad rescue config', async () => {
+    const configFile = path.join(stateDir, 'rescue.config.json');
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({ version: 1, vaccines: { upcomingDays: 0, statusEmoji: { late: ':x:' } } }),
+    );
+
+    await assert.rejects(
+      runScript('checkVaccines.js', [], { RESCUE_CONFIG_FILE: configFile }),
+      (err) => {
+        assert.match(err.message, /Invalid .*rescue\.config\.json:/);
+        assert.match(err.message, /vaccines\.upcomingDays must be a positive whole number/);
+        assert.match(err.message, /vaccines\.statusEmoji\.late is not a known setting/);
+        assert.doesNotMatch(err.message, /at .*\.js:\d+/);
+        return true;
+      },
+    );
+    assert.equal(slack.callsTo('chat.postMessage').length, 0);
+  });
+
+  it('makes no Slack writes in dry-run mode', async () => {
+    const { stdout } = await runScript('checkVaccines.js', ['--dry-run']);
+
+    assert.equal(slack.callsTo('chat.postMessage').length, 0);
+    assert.equal(slack.callsTo('chat.delete').length, 0);
+    assert.match(stdout, /Block Kit Builder: https:\/\/app\.slack\.com\/block-kit-builder#/);
+  });
+});
+
+describe('checkVaccines.js spay/neuter list', () => {
+  const fixtureAnimals = () =>
+    JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'animals.json'), 'utf8'))
+      .animals;
+
+  // Luna's surgery isn't recorded, Remy is on hold waiting for his, and Sammy
+  // is a young puppy
+  const withUnalteredDogs = () =>
+    fixtureAnimals().map((animal) => {
+      if (animal.Name === 'Luna') return { ...animal, Altered: 'Unknown' };
+      if (animal.Name === 'Remy') return { ...animal, Altered: 'No', Status: 'Hold - Surgery' };
+      if (animal.Name === 'Sammy') {
+        return { ...animal, Altered: 'No', Status: 'Hold', DOBUnixTime: 'now-40d' };
+      }
+      return animal;
+    });
+
+  const spayNeuterMessages = () =>
+    slack.messages.filter((m) => m.metadata?.event_payload.key === 'spay-neuter');
+
+  const writeConfig = (spayNeuter) => {
+    const configFile = path.join(stateDir, 'rescue.config.json');
+    fs.writeFileSync(configFile, JSON.stringify({ version: 1, spayNeuter }));
+    return configFile;
+  };
+
+  beforeEach(() => shelterluv.setAnimals(withUnalteredDogs()));
+  afterEach(() => shelterluv.setAnimals(fixtureAnimals()));
+
+  it('lists unaltered dogs next to the vaccine report, available ones first', async () => {
+    const { stderr } = await runScript('checkVaccines.js');
+
+    const [message] = spayNeuterMessages();
+    assert.equal(headerOf(message), '3 dogs not yet spayed/neutered');
+    const text = JSON.stringify(message.blocks);
+    assert.match(
+      text,
+      /Listed as Available while unaltered\* \(1\)\\n\*Luna\* \(211143384\) – \d+ years, old enough now · Altered: Unknown/,
+    );
+    assert.match(text, /Old enough for surgery\* \(1\)\\n\*Remy\* \(211073876\) – \d+ years/);
+    assert.match(text, /Too young for surgery\* \(1\)\\n\*Sammy\* .* – 5 weeks, eligible from /);
+    assert.ok(text.indexOf('Listed as Available') < text.indexOf('Too young'));
+    assert.match(stderr, /Luna \(211143384\) is listed as available but not spayed\/neutered/);
+  });
+
+  it('only refreshes a weekly list on its weekday', async () => {
+    const today = new Date().toLocaleDateString('en-US', { weekday: 'long' });
+    const otherDay = today === 'Monday' ? 'Tuesday' : 'Monday';
+
+    await runScript('checkVaccines.js', [], {
+      RESCUE_CONFIG_FILE: writeConfig({ cadence: 'weekly', weekday: otherDay }),
+    });
+    assert.equal(spayNeuterMessages().length, 0);
+
+    await runScript('checkVaccines.js', [], {
+      RESCUE_CONFIG_FILE: writeConfig({ cadence: 'weekly', weekday: today }),
+    });
+    assert.equal(spayNeuterMessages().length, 1);
+    const { ts } = spayNeuterMessages()[0];
+
+    slack.reset();
+    shelterluv.setAnimals(fixtureAnimals());
+    await runScript('checkVaccines.js', [], {
+      RESCUE_CONFIG_FILE: writeConfig({ cadence: 'weekly', weekday: otherDay }),
+    });
+    // Kept as it was until the next weekly run
+    assert.equal(spayNeuterMessages()[0].ts, ts);
+    assert.ok(!slack.callsTo('chat.update').some((c) => c.params.ts === ts));
+  });
+});
+
+describe('checkVaccines.js weight tracking', () => {
+  const daysAgoKey = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    return toDateKey(date);
+  };
+
+  const weightAlerts = () =>
+    slack.messages.filter((m) => m.metadata?.event_payload.key === 'weight-alerts');
+
+  it('records weights and flags big changes with a card for each animal', async () => {
+    // Rosie weighs 45 lb today and Sammy 65 lb; Remy's 60 lb is unchanged
+    fs.writeFileSync(
+      path.join(stateDir, 'weight-history.json'),
+      JSON.stringify({
+        animals: {
+          211073874: {
+            name: 'Rosie',
+            species: 'dog',
+            lastSeen: daysAgoKey(1),
+            readings: [{ date: daysAgoKey(60), pounds: 52 }],
+          },
+          211494197: {
+            name: 'Sammy',
+            species: 'dog',
+            lastSeen: daysAgoKey(1),
+            readings: [{ date: daysAgoKey(10), pounds: 55 }],
+          },
+          211073876: {
+            name: 'Remy',
+            species: 'dog',
+            lastSeen: daysAgoKey(1),
+            readings: [{ date: daysAgoKey(10), pounds: 60 }],
+          },
+        },
+      }),
+    );
+
+    const { stderr } = await runScript('checkVaccines.js');
+
+    const [alert] = weightAlerts();
+    assert.equal(headerOf(alert), '2 animals with a significant weight change');
+    assert.match(
+      JSON.stringify(alert.blocks),
+      /\*Rosie\* \(211073874\) – down 13% in 60 days \(52 lb → 45 lb\)\\n.*\*Sammy\* \(211494197\) – up 18% in 10 days/,
+    );
+    assert.match(stderr, /Rosie \(211073874\) weight changed -13%/);
+
+    // Sammy's vaccines are all current, but he gets a card for the weigh-ins
+    const cardOf = (key) => slack.messages.find((m) => m.metadata?.event_payload.key === key);
+    assert.match(JSON.stringify(cardOf('dog:211073874').blocks), /45 lb on .* · 52 lb on /);
+    assert.ok(cardOf('dog:211494197'));
+    assert.equal(cardOf('dog:211073876'), undefined);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(stateDir, 'weight-history.json'), 'utf8'));
+    assert.deepEqual(saved.animals['211073874'].readings, [
+      { date: daysAgoKey(60), pounds: 52 },
+      { date: daysAgoKey(0), pounds: 45 },
+    ]);
+    assert.equal(saved.animals['211073876'].readings.length, 1);
+    assert.deepEqual(saved.animals['211600001'].readings, [{ date: daysAgoKey(0), pounds: 9 }]);
+  });
+
+  it('posts no weight alert on a first run', async () => {
+    await runScript('checkVaccines.js');
+    assert.equal(weightAlerts().length, 0);
+    assert.ok(fs.existsSync(path.join(stateDir, 'weight-history.json')));
+  });
+});
+
+describe('checkVaccines.js --layout digest', () => {
+  const topLevel = () =>
+    slack.messages.filter((m) => m.channel === CHANNEL && !m.thread_ts);
+
+  it('posts one ranked digest with the cards in its thread', async () => {
+    await runScript('checkVaccines.js', ['--layout', 'digest']);
+
+    const [digest, ...replies] = slack.callsTo('chat.postMessage').map((c) => c.params);
+    assert.match(headerOf(digest), /^Vaccine digest – /);
+    assert.equal(digest.thread_ts, undefined);
+    assert.equal(topLevel().length, 1);
+
+    const digestText = JSON.stringify(digest.blocks);
+    assert.match(digestText, /Overdue\* \(1\)/);
+    assert.match(digestText, /1 +Rosie \(dog\) +211073874 +Rabies/);
+    assert.match(digestText, /\*By vaccine\*/);
+
+    const ts = topLevel()[0].ts;
+    assert.ok(replies.every((r) => r.thread_ts === ts));
+    const cardKeys = replies
+      .map((r) => r.metadata.event_payload.key)
+      .filter((key) => /^(dog|cat):/.test(key));
+    assert.equal(cardKeys[0], 'dog:211073874');
+    assert.equal(cardKeys.length, 3);
+  });
+
+  it('updates the same day\'s digest and thread in place', async () => {
+    await runScript('checkVaccines.js', ['--layout', 'digest']);
+    slack.reset();
+
+    await runScript('checkVaccines.js', ['--layout', 'digest']);
+
+    assert.equal(slack.callsTo('chat.postMessage').length, 0);
+    assert.equal(slack.callsTo('chat.delete').length, 0);
+    assert.equal(slack.callsTo('chat.update').length, 8);
+  });
+
+  it('moves top-level cards into the digest thread when switching layouts', async () => {
+    await runScript('checkVaccines.js');
+    await runScript('checkVaccines.js', [], { VACCINE_LAYOUT: 'digest' });
+
+    assert.equal(topLevel().length, 1);
+    assert.match(topLevel()[0].metadata.event_payload.key, /^digest:\d{4}-\d{2}-\d{2}$/);
+  });
+});
+
+describe('checkVaccines.js --upload-report', () => {
+  const reportArgs = () => ['--upload-report', '--report-dir', path.join(stateDir, 'reports')];
+
+  it('writes the CSV and XLSX compliance report and shares both in one message', async () => {
+    await runScript('checkVaccines.js', reportArgs());
+
+    const files = fs.readdirSync(path.join(stateDir, 'reports')).sort();
+    assert.equal(files.length, 2);
+    assert.match(files[0], /^vaccine-compliance-\d{4}-\d{2}-\d{2}\.csv$/);
+    assert.match(files[1], /^vaccine-compliance-\d{4}-\d{2}-\d{2}\.xlsx$/);
+
+    const csv = fs.readFileSync(path.join(stateDir, 'reports', files[0]), 'utf8');
+    const lines = csv.replace(/^\uFEFF/, '').trim().split('\r\n');
+    assert.match(lines[0], /^Animal ID,Name,Foster,Location,Rabies status,/);
+    assert.equal(lines.length, 5);
+    assert.match(lines[3], /^211073874,Rosie,Jessica Schwarz,,Overdue,2023-10-14,,Current,/);
+    assert.ok(!csv.includes('Pepper'), 'cats are not in the dog report');
+
+    const [upload] = slack.callsTo('files.completeUploadExternal').map((c) => c.params);
+    assert.equal(upload.channel_id, CHANNEL);
+    assert.equal(upload.thread_ts, undefined);
+    assert.match(upload.initial_comment, /Vaccine compliance report for .* \(4 dogs\)/);
+    assert.deepEqual(
+      Object.values(slack.uploads).map((u) => [u.filename, u.content.length]),
+      files.map((f) => [f, fs.statSync(path.join(stateDir, 'reports', f)).size]),
+    );
+  });
+
+  it('shares the report in the digest thread in the digest layout', async () => {
+    await runScript('checkVaccines.js', [...reportArgs(), '--layout', 'digest']);
+
+    const digest = slack.messages.find((m) => m.channel === CHANNEL && !m.thread_ts);
+    const [upload] = slack.callsTo('files.completeUploadExternal').map((c) => c.params);
+    assert.equal(upload.thread_ts, digest.ts);
+  });
+
+  it('only previews the upload in a dry run', async () => {
+    const { stdout } = await runScript('checkVaccines.js', [...reportArgs(), '--dry-run']);
+
+    assert.match(stdout, /\[dry-run\] #\d+ files\.uploadV2 → C0VACCINES/);
+    assert.equal(slack.callsTo('files.getUploadURLExternal').length, 0);
+    assert.equal(fs.readdirSync(path.join(stateDir, 'reports')).length, 2);
+  });
+});
+
+describe('checkVaccines.js --notify-fosters', () => {
+  let mappingFile;
+
+  before(() => {
+    slack.users.push({ id: 'U0JESSICA', profile: { email: 'jessica@example.org' } });
+  });
+
+  beforeEach(() => {
+    mappingFile = path.join(stateDir, 'fosters.json');
+    fs.writeFileSync(
+      mappingFile,
+      JSON.stringify({
+        version: 1,
+        fosters: [{ name: 'Jessica Schwarz', email: 'jessica@example.org' }],
+      }),
+    );
+  });
+
+  it('DMs a foster about their animals once per quiet period', async () => {
+    const env = { FOSTER_MAPPING_FILE: mappingFile };
+
+    await runScript('checkVaccines.js', ['--notify-fosters'], env);
+
+    const dms = slack
+      .callsTo('chat.postMessage')
+      .map((c) => c.params)
+      .filter((p) => p.channel === 'U0JESSICA');
+    assert.equal(dms.length, 1);
+    assert.equal(headerOf(dms[0]), 'Vaccine reminder for Rosie');
+    const body = JSON.stringify(dms[0].blocks);
+    assert.match(body, /Rabies/);
+    assert.match(body, /Bordetella/);
+    assert.doesNotMatch(body, /DHPP/);
+
+    slack.reset();
+    const { stdout } = await runScript('checkVaccines.js', ['--notify-fosters'], env);
+
+    assert.equal(
+      slack.callsTo('chat.postMessage').filter((c) => c.params.channel === 'U0JESSICA').length,
+      0,
+    );
+    assert.match(stdout, /Foster DMs — sent: 0/);
+  });
+
+  it('does not fail a dry run whose Slack lookups are refused', async () => {
+    slack.failNext('users.lookupByEmail', 1, { error: 'not_authed' });
+
+    const { stdout } = await runScript(
+      'checkVaccines.js',
+      ['--notify-fosters', '--dry-run'],
+      { FOSTER_MAPPING_FILE: mappingFile },
+    );
+
+    assert.equal(slack.callsTo('users.lookupByEmail').length, 1);
+    assert.doesNotMatch(stdout, /failed for good/);
+  });
+
+  it('sends no DMs without the flag', async () => {
+    await runScript('checkVaccines.js', [], { FOSTER_MAPPING_FILE: mappingFile });
+
+    assert.equal(slack.callsTo('users.lookupByEmail').length, 0);
+    assert.ok(
+      slack.callsTo('chat.postMessage').every((c) => c.params.channel === CHANNEL),
+    );
+  });
+});
+
+describe('slackServer.js interactivity', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startAppServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  const rosieCard = () =>
+    slack.messages.find((m) => m.metadata?.event_payload?.key === 'dog:211073874');
+
+  const clickBody = (card, actionId, blockId) =>
+    new URLSearchParams({
+      payload: JSON.stringify({
+        type: 'block_actions',
+        user: { id: 'U0COORD', username: 'coordinator' },
+        container: { channel_id: card.channel, message_ts: card.ts },
+        message: { ts: card.ts, text: card.text, blocks: card.blocks },
+        actions: [{ action_id: actionId, block_id: blockId, value: 'rabies' }],
+      }),
+    }).toString();
+
+  it('puts buttons on alert rows and records a snooze from them', async () => {
+    await runScript('checkVaccines.js');
+
+    const card = rosieCard();
+    const actionBlocks = card.blocks.filter((b) => b.type === 'actions');
+    assert.deepEqual(
+      actionBlocks.map((b) => b.block_id),
+      ['vaccine|dog:211073874|rabies', 'vaccine|dog:211073874|bordetella'],
+    );
+
+    slack.reset();
+    const res = await postSigned(
+      `${server.url}/slack/actions`,
+      clickBody(card, 'vaccine_snooze', 'vaccine|dog:211073874|rabies'),
+    );
+    assert.equal(res.status, 200);
+
+    await waitFor(() => slack.callsTo('chat.update').length === 1);
+    const update = slack.callsTo('chat.update')[0].params;
+    assert.equal(update.ts, card.ts);
+    assert.equal(update.metadata.event_payload.key, 'dog:211073874');
+    assert.match(JSON.stringify(update.blocks), /Snoozed by <@U0COORD> until/);
+
+    const acks = JSON.parse(fs.readFileSync(path.join(stateDir, 'vaccine-acks.json'), 'utf8'));
+    assert.equal(acks.items['211073874:rabies'].action, 'snoozed');
+
+    // The next run keeps the snooze on the card instead of the buttons
+    slack.reset();
+    await runScript('checkVaccines.js');
+    const rerendered = JSON.stringify(rosieCard().blocks);
+    assert.match(rerendered, /:zzz: \*Rabies\*/);
+    assert.match(rerendered, /1 snoozed/);
+    assert.equal(rosieCard().blocks.filter((b) => b.type === 'actions').length, 1);
+  });
+
+  it('rejects requests with a bad signature', async () => {
+    const res = await postSigned(`${server.url}/slack/actions`, 'payload=%7B%7D', {
+      secret: 'wrong-secret',
+    });
+    assert.equal(res.status, 401);
+    assert.equal(slack.calls.length, 0);
+  });
+});
+
+describe('slackServer.js /vaccines command', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startAppServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  const runCommand = async (text) => {
+    const body = new URLSearchParams({
+      command: '/vaccines',
+      text,
+      user_id: 'U0COORD',
+      response_url: `${slack.url}/response/cmd`,
+    }).toString();
+    const res = await postSigned(`${server.url}/slack/commands`, body);
+    assert.equal(res.status, 200);
+    const ack = await res.json();
+    assert.equal(ack.response_type, 'ephemeral');
+
+    await waitFor(() => slack.callsTo('response/cmd').length === 1);
+    return slack.callsTo('response/cmd')[0].params;
+  };
+
+  it('replies with the status card for an animal by name', async () => {
+    const reply = await runCommand('rosie');
+
+    assert.equal(reply.response_type, 'ephemeral');
+    assert.match(headerOf(reply), /Rosie's Vaccine Status - animal_id: 211073874/);
+    assert.equal(reply.blocks.filter((b) => b.type === 'actions').length, 0);
+    assert.equal(slack.callsTo('chat.postMessage').length, 0);
+  });
+
+  it('looks animals up by ID', async () => {
+    const reply = await runCommand('211073876');
+    assert.match(headerOf(reply), /Remy's Vaccine Status/);
+  });
+
+  it('lists overdue animals', async () => {
+    const reply = await runCommand('overdue');
+    assert.match(reply.text, /animals? with overdue vaccines/);
+    assert.match(JSON.stringify(reply.blocks), /\*Rosie\* \(211073874\)/);
+  });
+
+  it('says when nothing matches', async () => {
+    const reply = await runCommand('Nobody');
+    assert.match(reply.text, /No animal in custody matches "Nobody"/);
+  });
+
+  it('answers help without a lookup', async () => {
+    const res = await postSigned(
+      `${server.url}/slack/commands`,
+      new URLSearchParams({ command: '/vaccines', text: '' }).toString(),
+    );
+    assert.match((await res.json()).text, /Usage/);
+  });
+});
+
+describe('checkMicrochips.js', () => {
+  const fixtureAnimals = () =>
+    JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'animals.json'), 'utf8'))
+      .animals;
+
+  // Luna gets a second chip, Sammy's chip loses its issuer, and Remy only
+  // arrived last week
+  const withChipProblems = () =>
+    fixtureAnimals().map((animal) => {
+      if (animal.Name === 'Luna') {
+        return {
+          ...animal,
+          Microchips: [
+            ...animal.Microchips,
+            { Id: '985112012156999', Issuer: 'Home Again', ImplantUnixTime: '0' },
+          ],
+        };
+      }
+      if (animal.Name === 'Sammy') {
+        return { ...animal, Microchips: [{ ...animal.Microchips[0], Issuer: '' }] };
+      }
+      if (animal.Name === 'Remy') return { ...animal, LastIntakeUnixTime: 'now-7d' };
+      return animal;
+    });
+
+  afterEach(() => shelterluv.setAnimals(fixtureAnimals()));
+
+  it('posts a summary and a card per animal with a chip problem, escalated first', async () => {
+    shelterluv.setAnimals(withChipProblems());
+
+    await runScript('checkMicrochips.js');
+
+    const posts = slack.callsTo('chat.postMessage').map((c) => c.params);
+    assert.ok(posts.every((p) => p.channel === MICROCHIP_CHANNEL));
+    assert.match(headerOf(posts[0]), /^Microchip check – /);
+
+    const summary = JSON.stringify(posts[0].blocks);
+    assert.match(summary, /6 of 6 animals in custody need attention/);
+    assert.match(summary, /No microchip: \*4\*/);
+    assert.match(summary, /No chip after 30 days: \*3\*/);
+    assert.match(summary, /Chip with no issuer: \*1\*/);
+    assert.match(summary, /More than one chip: \*1\*/);
+
+    assert.deepEqual(posts.slice(1).map(headerOf), [
+      ":dog: Rosie's Microchip Status - animal_id: 211073874",
+      ":cat: Miso's Microchip Status - animal_id: 211600001",
+      ":cat: Pepper's Microchip Status - animal_id: 211600002",
+      ":dog: Sammy's Microchip Status - animal_id: 211494197",
+      ":dog: Luna's Microchip Status - animal_id: 211143384",
+      ":dog: Remy's Microchip Status - animal_id: 211073876",
+    ]);
+    assert.match(JSON.stringify(posts[1].blocks), /No microchip after \d+ days in custody/);
+    assert.match(JSON.stringify(posts[4].blocks), /Chip with no issuer.*no issuer/);
+    assert.match(
+      JSON.stringify(posts[5].blocks),
+      /More than one chip.*985112012156342.*985112012156999/,
+    );
+    assert.doesNotMatch(JSON.stringify(posts[6].blocks), /rotating_light/);
+    assert.equal(posts[1].metadata.event_type, 'shelterluv_microchip_card');
+  });
+
+  it('updates cards in place and removes them once the animal is chipped', async () => {
+    await runScript('checkMicrochips.js');
+    slack.reset();
+
+    shelterluv.setAnimals(
+      fixtureAnimals().map((animal) =>
+        animal.Name === 'Rosie'
+          ? { ...animal, Microchips: [{ Id: '985112000000001', Issuer: 'Home Again' }] }
+          : animal,
+      ),
+    );
+    await runScript('checkMicrochips.js');
+
+    assert.equal(slack.callsTo('chat.postMessage').length, 0);
+    assert.equal(slack.callsTo('chat.update').length, 4);
+    assert.equal(slack.callsTo('chat.delete').length, 1);
+    const remaining = slack.messages
+      .filter((m) => m.channel === MICROCHIP_CHANNEL)
+      .map((m) => m.metadata.event_payload.key)
+      .sort();
+    assert.deepEqual(remaining, [
+      'cat:211600001',
+      'cat:211600002',
+      'dog:211073876',
+      'summary',
+    ]);
+  });
+
+  it('needs its own channel', async () => {
+    await assert.rejects(
+      runScript('checkMicrochips.js', [], { SLACK_MICROCHIP_CHANNEL_ID: '' }),
+      /Missing SLACK_MICROCHIP_CHANNEL_ID env var/,
+    );
+  });
+});
+
+describe('auditListings.js', () => {
+  it('posts the ranked listings that need work with a CSV of every score', async () => {
+    const { stdout } = await runScript('auditListings.js');
+
+    const [post] = slack.callsTo('chat.postMessage').map((c) => c.params);
+    assert.equal(post.channel, MARKETING_CHANNEL);
+    assert.match(headerOf(post), /^Adoption listing audit – /);
+    const text = JSON.stringify(post.blocks);
+    assert.match(text, /6 of 6 Available listings need work \(average score 63\/100\)/);
+    assert.match(text, /No cover photo: \*2\*/);
+
+    // Lowest score first; ties go to the longest stay
+    const ranked = text.match(/\*(\w+)\* \(\d+\) – \d+\/100/g).map((m) => m.split('*')[1]);
+    assert.deepEqual(ranked, ['Miso', 'Pepper', 'Luna', 'Remy', 'Rosie', 'Sammy']);
+    assert.match(text, /\*Luna\* \(211143384\) – 65\/100 · \d+ days · Short description \(0 chars\), No video/);
+    assert.match(stdout, /Listings — Available: 6, complete: 0, need work: 6/);
+
+    const [upload] = slack.callsTo('files.completeUploadExternal').map((c) => c.params);
+    assert.equal(upload.channel_id, MARKETING_CHANNEL);
+    assert.equal(upload.thread_ts, slack.messages.find((m) => m.channel === MARKETING_CHANNEL).ts);
+    const [csv] = Object.values(slack.uploads);
+    assert.match(csv.filename, /^listing-audit-\d{4}-\d{2}-\d{2}\.csv$/);
+    const lines = csv.content.toString('utf8').replace(/^\uFEFF/, '').trim().split('\r\n');
+    assert.equal(lines.length, 7);
+    assert.match(lines[0], /^Animal ID,Name,Species,Status,Score,Days in custody,/);
+    assert.match(lines[3], /^211143384,Luna,Dog,Available In-Foster,65,\d+,0,12,,Yes,/);
+  });
+
+  it('leaves out animals that are not listed as Available', async () => {
+    const animals = JSON.parse(
+      fs.readFileSync(path.join(__dirname, 'fixtures', 'animals.json'), 'utf8'),
+    ).animals;
+    shelterluv.setAnimals(
+      animals.map((a) => (a.Name === 'Miso' ? { ...a, Status: 'Hold - Medical' } : a)),
+    );
+
+    try {
+      await runScript('auditListings.js');
+    } finally {
+      shelterluv.setAnimals(animals);
+    }
+
+    const text = JSON.stringify(slack.callsTo('chat.postMessage')[0].params.blocks);
+    assert.match(text, /5 of 5 Available listings need work/);
+    assert.doesNotMatch(text, /Miso/);
+  });
+
+  it('only previews the post and the CSV in a dry run', async () => {
+    const { stdout } = await runScript('auditListings.js', ['--dry-run'], {
+      SLACK_BOT_TOKEN: '',
+    });
+
+    assert.match(stdout, /\[dry-run\] #\d+ files\.uploadV2 → C0MARKETING/);
+    assert.equal(slack.callsTo('chat.postMessage').length, 0);
+    assert.equal(slack.callsTo('files.getUploadURLExternal').length, 0);
+  });
+});
+
+describe('weeklySummary.js', () => {
+  it('posts one summary message to the weekly channel', async () => {
+    await runScript('weeklySummary.js');
+
+    const posts = slack.callsTo('chat.postMessage').map((c) => c.params);
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].channel, WEEKLY_CHANNEL);
+    assert.match(headerOf(posts[0]), /^Weekly Rescue Summary/);
+  });
+
+  it('reports outcomes from the event log and flags returns', async () => {
+    await runScript('weeklySummary.js');
+
+    const text = JSON.stringify(slack.callsTo('chat.postMessage')[0].params.blocks);
+    assert.match(text, /Adopted This Week \(1\)/);
+    assert.match(text, /• \*Biscuit\*/);
+    assert.match(text, /Transferred Out This Week \(1\)/);
+    assert.match(text, /Returned After Adoption This Week \(1\)/);
+    assert.match(text, /Please follow up[^"]*\\n• \*Remy\* – returned/);
+    assert.match(text, /Returned to owner 0 · Died 0 · Returned after adoption 1 :warning:/);
+    // Cats and events outside the week are left out
+    assert.doesNotMatch(text, /Miso/);
+    assert.doesNotMatch(text, /Returned to Owner This Week/);
+  });
+
+  it('shows trends against the stored history and length of stay', async () => {
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const dateKey = (d) =>
+      `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    fs.writeFileSync(
+      path.join(stateDir, 'weekly-history.json'),
+      JSON.stringify({
+        weeks: [{ date: dateKey(weekAgo), newIntakes: 3, adoptions: 0, needsFoster: 0 }],
+      }),
+    );
+
+    await runScript('weeklySummary.js');
+
+    const text = JSON.stringify(slack.callsTo('chat.postMessage')[0].params.blocks);
+    assert.match(text, /New intakes: \*0\* \(−3 vs last week · 1-week avg 3\)/);
+    assert.match(text, /Length of stay\* \(4 dogs in care\)/);
+    assert.match(text, /Longest waiting\*\\n1\. \*Rosie\*/);
+
+    const history = JSON.parse(
+      fs.readFileSync(path.join(stateDir, 'weekly-history.json'), 'utf8'),
+    );
+    assert.equal(history.weeks.length, 2);
+  });
+
+  it('reports a month to its own channel without touching the weekly history', async () => {
+    await runScript('weeklySummary.js', ['--period', 'month', '--from', '2026-03-01'], {
+      SLACK_MONTHLY_CHANNEL_ID: 'C0MONTHLY',
+    });
+
+    const posts = slack.callsTo('chat.postMessage').map((c) => c.params);
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].channel, 'C0MONTHLY');
+    assert.equal(headerOf(posts[0]), 'Monthly Rescue Summary: 3/1/2026 – 3/31/2026');
+
+    const text = JSON.stringify(posts[0].blocks);
+    assert.match(text, /New Dogs This Month \(1\)/);
+    assert.match(text, /• \*Luna\*/);
+    assert.doesNotMatch(text, /Week over week/);
+    assert.equal(fs.existsSync(path.join(stateDir, 'weekly-history.json')), false);
+  });
+
+  it('runs the monthly cron through the workflow step', async () => {
+    await runWorkflowStep('weekly-rescue-summary.yml', 'Run weekly rescue summary script', {
+      SCHEDULE: '0 16 1 * *',
+      PERIOD: '',
+      FROM: '',
+      TO: '',
+      SLACK_MONTHLY_CHANNEL_ID: 'C0MONTHLY',
+    });
+
+    const posts = slack.callsTo('chat.postMessage').map((c) => c.params);
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].channel, 'C0MONTHLY');
+    assert.match(headerOf(posts[0]), /^Monthly Rescue Summary: /);
+  });
+
+  it('takes channels and boarding locations from the rescue config', async () => {
+    const configFile = path.join(stateDir, 'rescue.config.json');
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({
+        version: 1,
+        slack: { channels: { weekly: 'C0BOARD' } },
+        weeklySummary: { needsFosterLocations: ['Happy Tails Boarding'] },
+      }),
+    );
+    const animals = JSON.parse(
+      fs.readFileSync(path.join(__dirname, 'fixtures', 'animals.json'), 'utf8'),
+    ).animals;
+    shelterluv.setAnimals(
+      animals.map((a) =>
+        a.Name === 'Sammy'
+          ? { ...a, InFoster: false, CurrentLocation: { Tier1: 'Happy Tails Boarding' } }
+          : a,
+      ),
+    );
+
+    try {
+      await runScript('weeklySummary.js', [], { RESCUE_CONFIG_FILE: configFile });
+    } finally {
+      shelterluv.setAnimals(animals);
+    }
+
+    const [post] = slack.callsTo('chat.postMessage').map((c) => c.params);
+    assert.equal(post.channel, 'C0BOARD');
+    const text = JSON.stringify(post.blocks);
+    assert.match(text, /Dogs Still Needing a Foster \(1\)/);
+    assert.match(text, /• \*Sammy\*/);
+  });
+
+  it('rejects an unknown period', async () => {
+    await assert.rejects(runScript('weeklySummary.js', ['--period', 'fortnight']), (err) => {
+      assert.match(err.message, /--period must be one of week, month, quarter, year/);
+      return true;
+    });
+    assert.equal(slack.callsTo('chat.postMessage').length, 0);
+  });
+
+  it('lists long weeks compactly within Block Kit limits', async () => {
+    const animals = JSON.parse(
+      fs.readFileSync(path.join(__dirname, 'fixtures', 'animals.json'), 'utf8'),
+    ).animals;
+    const [template] = animals;
+    const intakes = Array.from({ length: 80 }, (_, i) => ({
+      ...template,
+      ID: `9${i}`,
+      'Internal-ID': `99000${i}`,
+      Name: `Pup ${i}`,
+      LastIntakeUnixTime: 'now-1d',
+      LastUpdatedUnixTime: 'now-1d',
+    }));
+    shelterluv.setAnimals([...animals, ...intakes]);
+
+    try {
+      await runScript('weeklySummary.js');
+    } finally {
+      shelterluv.setAnimals(animals);
+    }
+
+    const posts = slack.callsTo('chat.postMessage').map((c) => c.params);
+    assert.equal(posts.length, 1);
+    assert.ok(posts[0].blocks.length <= 50);
+    const fields = posts[0].blocks.flatMap((b) => b.fields || []);
+    assert.ok(fields.some((f) => f.text === '• *Pup 79*'));
+  });
+});
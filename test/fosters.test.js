@@ -0,0 +1,110 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  fosterOf,
+  compileFosterMapping,
+  createFosterDirectory,
+  wasSentRecently,
+  pruneSent,
+} = require('../scripts/lib/fosters');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('fosterOf', () => {
+  it('returns the trimmed foster name', () => {
+    assert.deepEqual(
+      fosterOf({
+        InFoster: true,
+        AssociatedPerson: { FirstName: 'Jackie ', LastName: 'Brazil', RelationshipType: 'foster' },
+      }),
+      { name: 'Jackie Brazil' },
+    );
+  });
+
+  it('ignores animals without a foster', () => {
+    assert.equal(fosterOf({}), null);
+    assert.equal(
+      fosterOf({
+        InFoster: true,
+        AssociatedPerson: { FirstName: 'Ann', RelationshipType: 'adopter' },
+      }),
+      null,
+    );
+  });
+
+  it('ignores a past foster once the animal is back in the shelter', () => {
+    assert.equal(
+      fosterOf({
+        InFoster: false,
+        Status: 'Available In-Shelter',
+        AssociatedPerson: { FirstName: 'Chloe', LastName: 'Bell', RelationshipType: 'foster' },
+      }),
+      null,
+    );
+  });
+});
+
+describe('foster mapping', () => {
+  it('matches names regardless of case and spacing', async () => {
+    const mapping = compileFosterMapping({
+      version: 1,
+      fosters: [{ name: 'Jessica  Schwarz', slackUserId: 'U1' }],
+    });
+    const directory = createFosterDirectory({ slack: null, mapping });
+
+    assert.equal(await directory.resolve('jessica schwarz'), 'U1');
+    assert.equal(await directory.resolve('Someone Else'), null);
+  });
+
+  it('looks emails up once per run', async () => {
+    const lookups = [];
+    const slack = {
+      get: async (method, params) => {
+        lookups.push(params.email);
+        return { ok: true, user: { id: 'U2' } };
+      },
+    };
+    const mapping = compileFosterMapping({
+      version: 1,
+      fosters: [{ name: 'Marinna Radloff', email: 'm@example.org' }],
+    });
+    const directory = createFosterDirectory({ slack, mapping });
+
+    assert.equal(await directory.resolve('Marinna Radloff'), 'U2');
+    assert.equal(await directory.resolve('Marinna Radloff'), 'U2');
+    assert.deepEqual(lookups, ['m@example.org']);
+  });
+
+  it('lists every problem in an invalid mapping', () => {
+    assert.throws(
+      () =>
+        compileFosterMapping(
+          {
+            version: 1,
+            fosters: [{ name: 'A' }, { name: '', slackUserId: 'U1' }, { name: 'a', email: 'x' }],
+          },
+          'test mapping',
+        ),
+      (err) =>
+        /fosters\[0\] needs a slackUserId or an email/.test(err.message) &&
+        /fosters\[1\]\.name/.test(err.message) &&
+        /fosters\[2\]: duplicate name/.test(err.message),
+    );
+  });
+});
+
+describe('quiet period', () => {
+  const sent = { 'a:rabies:overdue': daysAgo(2), 'b:lepto:overdue': daysAgo(9) };
+
+  it('holds back items sent within the quiet period', () => {
+    assert.equal(wasSentRecently(sent, 'a:rabies:overdue', NOW, 7), true);
+    assert.equal(wasSentRecently(sent, 'b:lepto:overdue', NOW, 7), false);
+    assert.equal(wasSentRecently(sent, 'a:rabies:needsAttention', NOW, 7), false);
+  });
+
+  it('prunes entries older than the quiet period', () => {
+    assert.deepEqual(Object.keys(pruneSent(sent, NOW, 7)), ['a:rabies:overdue']);
+  });
+});
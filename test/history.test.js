@@ -0,0 +1,112 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { MAX_RUNS, recordRun, diffRuns } = require('../scripts/lib/history');
+const { addDays, fromDateKey, toDateKey } = require('../scripts/lib/dates');
+
+const dog = (name, statuses) => ({ name, species: 'dog', statuses });
+const run = (date, dogs) => ({ date, dogs });
+
+describe('recordRun', () => {
+  it('replaces an earlier run from the same day and keeps runs in date order', () => {
+    let history = recordRun(null, run('2026-09-02', { 1: dog('Rosie', { rabies: 'current' }) }));
+    history = recordRun(history, run('2026-09-01', { 1: dog('Rosie', { rabies: 'overdue' }) }));
+    history = recordRun(history, run('2026-09-02', { 1: dog('Rosie', { rabies: 'upcoming' }) }));
+
+    assert.deepEqual(
+      history.runs.map((r) => [r.date, r.dogs[1].statuses.rabies]),
+      [
+        ['2026-09-01', 'overdue'],
+        ['2026-09-02', 'upcoming'],
+      ],
+    );
+  });
+
+  it('carries forward dogs whose fetch failed today', () => {
+    let history = recordRun(null, run('2026-09-01', {
+      1: dog('Rosie', { rabies: 'overdue' }),
+      2: dog('Biscuit', { rabies: 'current' }),
+    }));
+    history = recordRun(history, run('2026-09-02', {}), { carryIds: ['1', '3'] });
+
+    assert.deepEqual(Object.keys(history.runs[1].dogs), ['1']);
+    assert.equal(history.runs[1].dogs[1].statuses.rabies, 'overdue');
+  });
+
+  it(`keeps only the last ${MAX_RUNS} runs`, () => {
+    const start = fromDateKey('2026-01-01');
+    let history = null;
+    for (let i = 0; i < MAX_RUNS + 5; i++) {
+      history = recordRun(history, run(toDateKey(addDays(start, i)), {}));
+    }
+
+    assert.equal(history.runs.length, MAX_RUNS);
+    assert.equal(history.runs[0].date, toDateKey(addDays(start, 5)));
+  });
+});
+
+describe('diffRuns', () => {
+  it('reports nothing but the date on a first run', () => {
+    const diff = diffRuns(null, run('2026-09-01', { 1: dog('Rosie', { rabies: 'overdue' }) }));
+
+    assert.equal(diff.previousDate, null);
+    assert.deepEqual(diff.newAnimals, []);
+    assert.deepEqual(diff.leftCustody, []);
+    assert.deepEqual(diff.newlyOverdue.map((i) => i.days), [1]);
+  });
+
+  it('sorts changes into overdue, resolved, new and departed animals', () => {
+    const history = {
+      runs: [
+        run('2026-09-01', {
+          1: dog('Rosie', { rabies: 'needsAttention', lepto: 'overdue' }),
+          2: dog('Biscuit', { rabies: 'current' }),
+          3: dog('Miso', { rabies: 'current' }),
+        }),
+      ],
+    };
+    const diff = diffRuns(
+      history,
+      run('2026-09-02', {
+        1: dog('Rosie', { rabies: 'overdue', lepto: 'current' }),
+        4: { name: 'Tofu', species: 'cat', statuses: { rabies: 'upcoming' } },
+      }),
+      { skippedIds: ['3'] },
+    );
+
+    assert.equal(diff.previousDate, '2026-09-01');
+    assert.deepEqual(diff.newlyOverdue, [
+      { animalId: '1', name: 'Rosie', type: 'rabies', days: 1, since: '2026-09-02' },
+    ]);
+    assert.deepEqual(diff.newlyResolved, [
+      { animalId: '1', name: 'Rosie', type: 'lepto', status: 'current' },
+    ]);
+    assert.deepEqual(diff.stillOverdue, []);
+    assert.deepEqual(diff.newAnimals, [{ animalId: '4', name: 'Tofu', species: 'cat' }]);
+    // Miso's fetch failed today, so only Biscuit left
+    assert.deepEqual(diff.leftCustody, [{ animalId: '2', name: 'Biscuit', species: 'dog' }]);
+  });
+
+  it('counts overdue streaks in calendar days across gaps between runs', () => {
+    const history = {
+      runs: [
+        run('2026-08-28', { 1: dog('Rosie', { rabies: 'current', lepto: 'overdue' }) }),
+        run('2026-08-30', { 1: dog('Rosie', { rabies: 'overdue', lepto: 'overdue' }) }),
+        run('2026-09-01', { 1: dog('Rosie', { rabies: 'overdue', lepto: 'overdue' }) }),
+      ],
+    };
+    const diff = diffRuns(
+      history,
+      run('2026-09-02', { 1: dog('Rosie', { rabies: 'overdue', lepto: 'overdue' }) }),
+    );
+
+    // Longest streak first
+    assert.deepEqual(
+      diff.stillOverdue.map(({ type, days, since }) => ({ type, days, since })),
+      [
+        { type: 'lepto', days: 6, since: '2026-08-28' },
+        { type: 'rabies', days: 4, since: '2026-08-30' },
+      ],
+    );
+  });
+});
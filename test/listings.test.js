@@ -0,0 +1,135 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  isListedAvailable,
+  evaluateListing,
+  buildListingAuditPayload,
+  buildListingAuditRows,
+} = require('../scripts/lib/listings');
+
+const NOW = new Date(2026, 9, 18, 9, 0, 0);
+const daysAgo = (days) => String(Math.floor(NOW.getTime() / 1000) - days * 24 * 60 * 60);
+
+const SETTINGS = { minDescriptionLength: 200, longStayDays: 60 };
+
+const complete = {
+  Status: 'Available In-Foster',
+  CoverPhoto: 'https://example.com/rosie.png',
+  Description: 'x'.repeat(200),
+  Attributes: [{ AttributeName: 'Good with Dogs', Publish: 'Yes' }],
+  Breed: 'Husky, Siberian',
+  AdoptionFeeGroup: { Name: 'Adult dog adoption fee', Price: 400 },
+  Videos: [],
+  LastIntakeUnixTime: daysAgo(30),
+};
+
+const evaluate = (animal) => evaluateListing(animal, { now: NOW, ...SETTINGS });
+
+describe('adoption listing audit', () => {
+  it('only audits animals listed as Available', () => {
+    assert.equal(isListedAvailable({ Status: 'Available In-Foster' }), true);
+    assert.equal(isListedAvailable({ Status: 'available' }), true);
+    assert.equal(isListedAvailable({ Status: 'Hold - Medical' }), false);
+    assert.equal(isListedAvailable({}), false);
+  });
+
+  it('scores each listing and only wants a video after a long stay', () => {
+    assert.deepEqual(evaluate(complete), {
+      score: 100,
+      issues: [],
+      descriptionLength: 200,
+      attributeCount: 1,
+      daysInCustody: 30,
+      longStay: false,
+    });
+
+    const sparse = evaluate({
+      ...complete,
+      CoverPhoto: '',
+      Description: '  Sweet girl.  ',
+      Attributes: [{ AttributeName: 'Not Good with Cats', Publish: 'No' }],
+      Breed: null,
+      AdoptionFeeGroup: null,
+      LastIntakeUnixTime: daysAgo(90),
+    });
+    assert.equal(sparse.score, 0);
+    assert.deepEqual(sparse.issues, [
+      'coverPhoto',
+      'description',
+      'attributes',
+      'breed',
+      'adoptionFee',
+      'video',
+    ]);
+    assert.equal(sparse.descriptionLength, 11);
+
+    const withVideo = evaluate({
+      ...complete,
+      Videos: ['https://example.com/rosie.mp4'],
+      LastIntakeUnixTime: daysAgo(90),
+    });
+    assert.equal(withVideo.score, 100);
+    assert.equal(withVideo.longStay, true);
+  });
+
+  it('ranks the listings that need work and writes every score to the CSV', () => {
+    const animal = (name, overrides) => ({
+      name,
+      animalId: `id-${name}`,
+      species: 'dog',
+      status: 'Available In-Foster',
+      listing: evaluate({ ...complete, ...overrides }),
+    });
+    const animals = [
+      animal('Rosie', {}),
+      animal('Bolt', { Breed: '' }),
+      animal('Luna', { Description: '', LastIntakeUnixTime: daysAgo(100) }),
+      animal('Abby', { Breed: '', LastIntakeUnixTime: daysAgo(45) }),
+    ];
+
+    const payload = buildListingAuditPayload(animals, { ...SETTINGS, date: NOW });
+    assert.equal(payload.blocks[0].text.text, 'Adoption listing audit – 10/18/2026');
+    assert.match(
+      payload.blocks[1].text.text,
+      /^3 of 4 Available listings need work \(average score 86\/100\)/,
+    );
+    assert.equal(
+      payload.blocks[3].text.text,
+      ':heart: *Needs listing love*\n' +
+        ':dog: *Luna* (id-Luna) – 65/100 · 100 days · ' +
+        'Short description (0 chars), No video (long stay)\n' +
+        ':dog: *Abby* (id-Abby) – 90/100 · 45 days · No breed\n' +
+        ':dog: *Bolt* (id-Bolt) – 90/100 · 30 days · No breed',
+    );
+
+    const rows = buildListingAuditRows(animals);
+    assert.equal(rows.length, 5);
+    assert.deepEqual(rows[1], [
+      'id-Luna',
+      'Luna',
+      'Dog',
+      'Available In-Foster',
+      65,
+      100,
+      0,
+      1,
+      '',
+      'Yes',
+      '',
+      '',
+      '',
+      'Yes',
+    ]);
+    assert.equal(rows[4][1], 'Rosie');
+  });
+
+  it('says so when every listing is complete', () => {
+    const payload = buildListingAuditPayload(
+      [{ name: 'Rosie', animalId: '1', species: 'dog', listing: evaluate(complete) }],
+      { ...SETTINGS, date: NOW },
+    );
+    assert.match(payload.blocks[1].text.text, /All 1 Available listings are complete/);
+    assert.equal(payload.blocks.filter((b) => b.type === 'section').length, 1);
+  });
+});
@@ -0,0 +1,65 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { evaluateMicrochips, byUrgency } = require('../scripts/lib/microchips');
+
+const NOW = new Date('2026-10-18T16:00:00Z');
+const daysAgo = (days) => String(Math.floor(NOW.getTime() / 1000) - days * 24 * 60 * 60);
+const chip = (Id, Issuer = 'Home Again') => ({ Id, Issuer, ImplantUnixTime: daysAgo(100) });
+
+const evaluate = (animal) => evaluateMicrochips(animal, { now: NOW, escalateAfterDays: 30 });
+
+describe('microchip check', () => {
+  it('accepts one chip with an issuer', () => {
+    const result = evaluate({
+      Microchips: [chip('985112012156342')],
+      LastIntakeUnixTime: daysAgo(90),
+    });
+
+    assert.deepEqual(result.issues, []);
+    assert.equal(result.escalated, false);
+    assert.equal(result.daysInCustody, 90);
+    assert.equal(result.chips[0].issuer, 'Home Again');
+  });
+
+  it('escalates a missing chip only after the configured days in custody', () => {
+    const recent = evaluate({ Microchips: [], LastIntakeUnixTime: daysAgo(30) });
+    assert.deepEqual(recent.issues, ['noChip']);
+    assert.equal(recent.escalated, false);
+
+    const overdue = evaluate({ Microchips: [], LastIntakeUnixTime: daysAgo(31) });
+    assert.equal(overdue.escalated, true);
+
+    // Without an intake date there is nothing to count from
+    const unknown = evaluate({ LastIntakeUnixTime: null });
+    assert.deepEqual(unknown.issues, ['noChip']);
+    assert.equal(unknown.daysInCustody, null);
+    assert.equal(unknown.escalated, false);
+  });
+
+  it('flags chips with no issuer and animals with several chips', () => {
+    const result = evaluate({
+      Microchips: [chip('985112012156342', ' '), chip('985112012156999'), { Id: '', Issuer: '' }],
+      LastIntakeUnixTime: daysAgo(400),
+    });
+
+    assert.deepEqual(result.issues, ['noIssuer', 'multipleChips']);
+    assert.equal(result.chips.length, 2);
+    assert.equal(result.escalated, false);
+  });
+
+  it('puts escalations first, then the longest in custody', () => {
+    const animal = (name, Microchips, days) => ({
+      name,
+      microchips: evaluate({ Microchips, LastIntakeUnixTime: daysAgo(days) }),
+    });
+    const sorted = [
+      animal('Sammy', [chip('1', '')], 400),
+      animal('Remy', [], 5),
+      animal('Rosie', [], 45),
+      animal('Miso', [], 60),
+    ].sort(byUrgency);
+
+    assert.deepEqual(sorted.map((a) => a.name), ['Miso', 'Rosie', 'Sammy', 'Remy']);
+  });
+});
@@ -0,0 +1,160 @@
+// Local stand-in for the Shelterluv v1 API, served from fixture files.
+//
+//   GET /animals?status_type=&since=&sort=&limit=&offset=   (offset paging + has_more)
+//   GET /animals/:id
+//   GET /animals/:id/vaccines?status=scheduled|overdue
+//   GET /events?since=&limit=&offset=
+//
+// Fixture timestamps may be written relative to the time of the request as
+// "now+10d" / "now-3d", so due-window fixtures never go stale.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const DAY_SECONDS = 24 * 60 * 60;
+
+const resolveRelativeTimes = (value) => {
+  if (Array.isArray(value)) return value.map(resolveRelativeTimes);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, resolveRelativeTimes(v)]),
+    );
+  }
+  const match = typeof value === 'string' && /^now([+-]\d+)d$/.exec(value);
+  if (!match) return value;
+  const seconds = Math.floor(Date.now() / 1000) + Number(match[1]) * DAY_SECONDS;
+  return String(seconds);
+};
+
+const readJson = (file, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const startShelterluvMock = ({
+  fixturesDir = DEFAULT_FIXTURES_DIR,
+  port = 0,
+} = {}) => {
+  let animals = readJson(path.join(fixturesDir, 'animals.json'), {}).animals || [];
+  let events = readJson(path.join(fixturesDir, 'events.json'), {}).events || [];
+  const vaccineOverrides = new Map();
+  const requests = [];
+  const failures = [];
+
+  const vaccinesFor = (animalId) =>
+    vaccineOverrides.get(animalId) ||
+    readJson(path.join(fixturesDir, 'vaccines', `${animalId}.json`), {})
+      .vaccines ||
+    [];
+
+  const inCustody = (animal) => !/adopted|transferred|deceased/i.test(animal.Status || '');
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: url.pathname, query: url.search });
+
+    if (!req.headers.authorization?.startsWith('Bearer ')) {
+      return sendJson(res, 401, { success: 0, error: 'Unauthorized' });
+    }
+
+    const failure = failures.find((f) => f.remaining > 0 && f.pattern.test(url.pathname));
+    if (failure) {
+      failure.remaining--;
+      return sendJson(res, failure.status, { success: 0, error: 'Injected failure' });
+    }
+
+    const vaccinesMatch = /^\/animals\/([^/]+)\/vaccines$/.exec(url.pathname);
+    if (vaccinesMatch) {
+      const status = url.searchParams.get('status');
+      const all = resolveRelativeTimes(vaccinesFor(vaccinesMatch[1]));
+      const vaccines = status ? all.filter((v) => v.status === status) : all;
+      return sendJson(res, 200, { success: 1, vaccines });
+    }
+
+    const animalMatch = /^\/animals\/([^/]+)$/.exec(url.pathname);
+    if (animalMatch) {
+      const animal = resolveRelativeTimes(animals).find(
+        (a) => a['Internal-ID'] === animalMatch[1] || a.ID === animalMatch[1],
+      );
+      if (!animal) return sendJson(res, 404, { success: 0, error: 'Animal not found' });
+      return sendJson(res, 200, animal);
+    }
+
+    if (url.pathname === '/events') {
+      const since = Number(url.searchParams.get('since') || 0);
+      const limit = Number(url.searchParams.get('limit') || 100);
+      const offset = Number(url.searchParams.get('offset') || 0);
+
+      const matching = resolveRelativeTimes(events).filter(
+        (event) => !since || Number(event.Time) >= since,
+      );
+      return sendJson(res, 200, {
+        success: 1,
+        events: matching.slice(offset, offset + limit),
+        has_more: offset + limit < matching.length,
+        total_count: matching.length,
+      });
+    }
+
+    if (url.pathname === '/animals') {
+      const statusType = url.searchParams.get('status_type');
+      const since = Number(url.searchParams.get('since') || 0);
+      const sortByUpdated = url.searchParams.get('sort') === 'updated_at';
+      const limit = Number(url.searchParams.get('limit') || 100);
+      const offset = Number(url.searchParams.get('offset') || 0);
+
+      const matching = resolveRelativeTimes(animals).filter((animal) => {
+        if (statusType === 'in custody' && !inCustody(animal)) return false;
+        const time = Number(
+          sortByUpdated ? animal.LastUpdatedUnixTime : animal.LastIntakeUnixTime,
+        );
+        return !since || time >= since;
+      });
+      const page = matching.slice(offset, offset + limit);
+
+      return sendJson(res, 200, {
+        success: 1,
+        animals: page,
+        has_more: offset + limit < matching.length,
+        total_count: matching.length,
+      });
+    }
+
+    return sendJson(res, 404, { success: 0, error: 'Not found' });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        setAnimals: (list) => {
+          animals = list;
+        },
+        setVaccines: (animalId, list) => vaccineOverrides.set(String(animalId), list),
+        setEvents: (list) => {
+          events = list;
+        },
+        // Make the next `count` requests matching `pattern` fail with `status`
+        failNext: (pattern, count = 1, status = 502) =>
+          failures.push({ pattern, remaining: count, status }),
+        close: () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+};
+
+module.exports = {
+  startShelterluvMock,
+};
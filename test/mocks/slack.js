@@ -0,0 +1,199 @@
+// Local stand-in for the Slack Web API. Every call is recorded in `calls` so
+// tests can assert on what would have been posted; posted messages are kept
+// per channel so conversations.history reflects earlier posts and deletes.
+// Workspace members for users.lookupByEmail can be added to `users`.
+// POSTs to /response/<id> stand in for slash-command response URLs (no token).
+// File uploads go through files.getUploadURLExternal, a POST of the bytes to
+// /upload/<file id> (kept in `uploads`) and files.completeUploadExternal.
+// failNext() injects rate limits (HTTP 429 + Retry-After) or Slack errors.
+
+const http = require('http');
+
+const MOCK_BOT_ID = 'B0MOCKBOT';
+
+const sendJson = (res, body, status = 200, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      if (!data) return resolve({});
+      if ((req.headers['content-type'] || '').includes('application/json')) {
+        return resolve(JSON.parse(data));
+      }
+      return resolve(Object.fromEntries(new URLSearchParams(data)));
+    });
+  });
+
+const startSlackMock = ({ port = 0 } = {}) => {
+  const calls = [];
+  const messages = [];
+  const users = [];
+  const failures = [];
+  const uploads = {};
+  let tsCounter = 0;
+  let fileCounter = 0;
+
+  const nextTs = () => {
+    tsCounter++;
+    return `${1700000000 + tsCounter}.${String(tsCounter).padStart(6, '0')}`;
+  };
+
+  const findMessage = (channel, ts) =>
+    messages.find((m) => m.channel === channel && m.ts === ts);
+
+  const handlers = {
+    'chat.postMessage': (body) => {
+      const message = { ...body, ts: nextTs(), bot_id: MOCK_BOT_ID };
+      messages.push(message);
+      return { ok: true, channel: body.channel, ts: message.ts, message };
+    },
+    'chat.update': (body) => {
+      const message = findMessage(body.channel, body.ts);
+      if (!message) return { ok: false, error: 'message_not_found' };
+      Object.assign(message, body);
+      return { ok: true, channel: body.channel, ts: body.ts };
+    },
+    'chat.delete': (body) => {
+      const index = messages.findIndex(
+        (m) => m.channel === body.channel && m.ts === body.ts,
+      );
+      if (index === -1) return { ok: false, error: 'message_not_found' };
+      messages.splice(index, 1);
+      return { ok: true, channel: body.channel, ts: body.ts };
+    },
+    'users.lookupByEmail': (params) => {
+      const user = users.find((u) => u.profile.email === params.email);
+      return user ? { ok: true, user } : { ok: false, error: 'users_not_found' };
+    },
+    'files.getUploadURLExternal': (params) => {
+      fileCounter++;
+      const fileId = `F0MOCK${fileCounter}`;
+      uploads[fileId] = {
+        filename: params.filename,
+        length: Number(params.length),
+        content: null,
+      };
+      return {
+        ok: true,
+        file_id: fileId,
+        upload_url: `http://127.0.0.1:${server.address().port}/upload/${fileId}`,
+      };
+    },
+    'files.completeUploadExternal': (body) => {
+      const files = body.files || [];
+      if (files.some((f) => !uploads[f.id]?.content)) {
+        return { ok: false, error: 'file_upload_not_found' };
+      }
+      const message = {
+        channel: body.channel_id,
+        text: body.initial_comment || '',
+        files: files.map((f) => ({ id: f.id, title: f.title, name: uploads[f.id].filename })),
+        ts: nextTs(),
+        bot_id: MOCK_BOT_ID,
+      };
+      if (body.thread_ts) message.thread_ts = body.thread_ts;
+      messages.push(message);
+      return { ok: true, files: message.files };
+    },
+    'conversations.history': (params) => ({
+      ok: true,
+      messages: messages
+        .filter((m) => m.channel === params.channel && !m.thread_ts)
+        .slice()
+        .reverse(),
+      has_more: false,
+      response_metadata: { next_cursor: '' },
+    }),
+  };
+
+  // The bytes of an upload; the URL itself is the credential
+  const receiveUpload = (req, res, fileId) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      calls.push({ method: `upload/${fileId}`, params: {} });
+      if (!uploads[fileId]) {
+        res.writeHead(404);
+        return res.end();
+      }
+      uploads[fileId].content = Buffer.concat(chunks);
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      return res.end(`OK - ${uploads[fileId].content.length}`);
+    });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname.startsWith('/upload/')) {
+      return receiveUpload(req, res, url.pathname.slice('/upload/'.length));
+    }
+    const method = url.pathname.replace(/^\/api\//, '').replace(/^\//, '');
+    const params =
+      req.method === 'GET'
+        ? Object.fromEntries(url.searchParams)
+        : await readBody(req);
+
+    calls.push({ method, params });
+
+    if (method.startsWith('response/')) return sendJson(res, { ok: true });
+
+    if (!req.headers.authorization?.startsWith('Bearer ')) {
+      return sendJson(res, { ok: false, error: 'not_authed' });
+    }
+
+    const failure = failures.find((f) => f.remaining > 0 && f.method === method);
+    if (failure) {
+      failure.remaining--;
+      if (failure.status === 429) {
+        return sendJson(res, { ok: false, error: 'ratelimited' }, 429, {
+          'Retry-After': String(failure.retryAfter),
+        });
+      }
+      return sendJson(res, { ok: false, error: failure.error });
+    }
+
+    const handler = handlers[method];
+    if (!handler) return sendJson(res, { ok: false, error: 'unknown_method' });
+
+    return sendJson(res, handler(params));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/api`,
+        calls,
+        messages,
+        users,
+        uploads,
+        callsTo: (method) => calls.filter((c) => c.method === method),
+        // Make the next `count` calls to `method` fail: { status: 429,
+        // retryAfter } for a rate limit, otherwise { error } with ok: false
+        failNext: (method, count = 1, { status = 200, retryAfter = 0, error = 'internal_error' } = {}) =>
+          failures.push({ method, remaining: count, status, retryAfter, error }),
+        // Forget recorded calls; `clearMessages` also empties the channels
+        reset: ({ clearMessages = false } = {}) => {
+          calls.length = 0;
+          failures.length = 0;
+          if (clearMessages) {
+            messages.length = 0;
+            for (const id of Object.keys(uploads)) delete uploads[id];
+          }
+        },
+        close: () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+};
+
+module.exports = {
+  MOCK_BOT_ID,
+  startSlackMock,
+};
@@ -0,0 +1,39 @@
+// Start the Shelterluv and Slack stand-ins for manual offline runs:
+//
+//   pnpm mock
+//   # then, in another shell, with the printed env vars:
+//   pnpm check
+//
+// Slack calls are logged as they arrive instead of being posted anywhere.
+
+const { startShelterluvMock } = require('./shelterluv');
+const { startSlackMock } = require('./slack');
+
+const SHELTERLUV_PORT = Number(process.env.MOCK_SHELTERLUV_PORT || 4010);
+const SLACK_PORT = Number(process.env.MOCK_SLACK_PORT || 4011);
+
+async function main() {
+  const shelterluv = await startShelterluvMock({
+    port: SHELTERLUV_PORT,
+    fixturesDir: process.env.MOCK_FIXTURES_DIR,
+  });
+  const slack = await startSlackMock({ port: SLACK_PORT });
+
+  console.log('Mock servers running. Use these env vars:\n');
+  console.log(`SHELTERLUV_API_BASE_URL=${shelterluv.url}`);
+  console.log(`SLACK_API_BASE_URL=${slack.url}`);
+  console.log('SHELTERLUV_API_KEY=test SLACK_BOT_TOKEN=xoxb-test SLACK_CHANNEL_ID=C0MOCK SLACK_WEEKLY_CHANNEL_ID=C0MOCK SLACK_MICROCHIP_CHANNEL_ID=C0MOCK SLACK_MARKETING_CHANNEL_ID=C0MOCK\n');
+
+  let logged = 0;
+  setInterval(() => {
+    for (const call of slack.calls.slice(logged)) {
+      console.log(`[slack] ${call.method}`, call.params.channel || '', call.params.text || '');
+    }
+    logged = slack.calls.length;
+  }, 250);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { classifyEvent, collectOutcomes } = require('../scripts/lib/outcomes');
+
+const START = new Date('2026-03-02T00:00:00Z');
+const END = new Date('2026-03-09T00:00:00Z');
+const at = (iso) => String(new Date(iso).getTime() / 1000);
+
+const event = (Type, animalId, iso) => ({
+  Type,
+  Time: at(iso),
+  AssociatedRecords: [
+    { Type: 'Person', Id: '5550001' },
+    { Type: 'Animal', Id: animalId },
+  ],
+});
+
+describe('outcome events', () => {
+  it('classifies Shelterluv event types', () => {
+    const types = {
+      'Outcome.Adoption': 'adoption',
+      'Outcome.Transfer': 'transferOut',
+      'Outcome.TransferOut': 'transferOut',
+      'Outcome.ReturnToOwner': 'returnToOwner',
+      'Outcome.RTO': 'returnToOwner',
+      'Outcome.Died': 'died',
+      'Outcome.Euthanasia': 'died',
+      'Intake.AdoptionReturn': 'returnAfterAdoption',
+      'Intake.Stray': null,
+      'Outcome.Foster': null,
+      'Animal.Update': null,
+    };
+    for (const [Type, expected] of Object.entries(types)) {
+      assert.equal(classifyEvent({ Type }), expected, Type);
+    }
+  });
+
+  it('keeps events in the period, one per animal and outcome', () => {
+    const outcomes = collectOutcomes(
+      [
+        event('Outcome.Adoption', '1', '2026-03-03T18:00:00Z'),
+        event('Outcome.Adoption', '1', '2026-03-05T18:00:00Z'),
+        event('Outcome.Adoption', '2', '2026-03-01T18:00:00Z'),
+        event('Outcome.Adoption', '3', '2026-03-09T00:00:00Z'),
+        event('Intake.AdoptionReturn', '1', '2026-03-04T18:00:00Z'),
+        event('Outcome.Transfer', '4', '2026-03-06T18:00:00Z'),
+        { Type: 'Outcome.Died', Time: at('2026-03-06T18:00:00Z'), AssociatedRecords: [] },
+      ],
+      { start: START, end: END },
+    );
+
+    assert.deepEqual(
+      outcomes.adoption.map((o) => [o.animalId, o.date.toISOString()]),
+      [['1', '2026-03-05T18:00:00.000Z']],
+    );
+    assert.deepEqual(outcomes.returnAfterAdoption.map((o) => o.animalId), ['1']);
+    assert.deepEqual(outcomes.transferOut.map((o) => o.animalId), ['4']);
+    assert.deepEqual(outcomes.returnToOwner, []);
+    assert.deepEqual(outcomes.died, []);
+  });
+});
@@ -0,0 +1,64 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { resolvePeriod, lastDayOf } = require('../scripts/lib/periods');
+const { toDateKey } = require('../scripts/lib/dates');
+
+// Local time, like the dates Shelterluv data is compared against
+const NOW = new Date(2026, 9, 18, 9, 0, 0);
+
+const range = (period) => [toDateKey(period.start), toDateKey(lastDayOf(period))];
+
+describe('reporting periods', () => {
+  it('defaults to the last 7 days up to now', () => {
+    const period = resolvePeriod({ now: NOW });
+
+    assert.equal(period.key, 'week');
+    assert.equal(period.heading, 'Weekly Rescue Summary');
+    assert.equal(period.custom, false);
+    assert.equal(period.end, NOW);
+    assert.equal(NOW - period.start, 7 * 24 * 60 * 60 * 1000);
+  });
+
+  it('reports the last complete month, quarter and year', () => {
+    assert.deepEqual(range(resolvePeriod({ period: 'month', now: NOW })), [
+      '2026-09-01',
+      '2026-09-30',
+    ]);
+    assert.deepEqual(range(resolvePeriod({ period: 'quarter', now: NOW })), [
+      '2026-07-01',
+      '2026-09-30',
+    ]);
+    assert.deepEqual(range(resolvePeriod({ period: 'year', now: NOW })), [
+      '2025-01-01',
+      '2025-12-31',
+    ]);
+  });
+
+  it('counts one period from --from or back from --to', () => {
+    const from = resolvePeriod({ period: 'quarter', from: '2026-01-01', now: NOW });
+    assert.deepEqual(range(from), ['2026-01-01', '2026-03-31']);
+    assert.equal(from.custom, true);
+
+    const to = resolvePeriod({ to: '2026-03-31', now: NOW });
+    assert.deepEqual(range(to), ['2026-03-25', '2026-03-31']);
+  });
+
+  it('reports a --from/--to range as a plain summary, up to now at most', () => {
+    const period = resolvePeriod({ from: '2026-10-01', to: '2026-12-31', now: NOW });
+
+    assert.equal(period.key, 'custom');
+    assert.equal(period.heading, 'Rescue Summary');
+    assert.equal(period.channel, 'weekly');
+    assert.equal(period.end, NOW);
+  });
+
+  it('rejects unknown periods and bad dates', () => {
+    assert.throws(() => resolvePeriod({ period: 'fortnight', now: NOW }), /--period must be/);
+    assert.throws(() => resolvePeriod({ from: '10/1/2026', now: NOW }), /--from must be a date/);
+    assert.throws(
+      () => resolvePeriod({ from: '2026-10-10', to: '2026-10-01', now: NOW }),
+      /--from must be before --to/,
+    );
+  });
+});
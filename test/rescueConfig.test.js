@@ -0,0 +1,118 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+
+const {
+  DEFAULTS,
+  compileRescueConfig,
+  loadRescueConfig,
+  resolveChannel,
+} = require('../scripts/lib/rescueConfig');
+
+describe('rescue config', () => {
+  it('ships a rescue.config.json that matches the defaults', () => {
+    const config = loadRescueConfig(path.join(__dirname, '..', 'rescue.config.json'));
+
+    assert.deepEqual(config.vaccines, DEFAULTS.vaccines);
+    assert.deepEqual(config.weeklySummary, DEFAULTS.weeklySummary);
+    assert.deepEqual(config.slack, DEFAULTS.slack);
+    assert.deepEqual(config.microchips, DEFAULTS.microchips);
+    assert.deepEqual(config.spayNeuter, DEFAULTS.spayNeuter);
+    assert.deepEqual(config.weights, DEFAULTS.weights);
+    assert.deepEqual(config.listings, DEFAULTS.listings);
+  });
+
+  it('fills in anything left out with the defaults', () => {
+    const config = compileRescueConfig({
+      version: 1,
+      vaccines: {
+        needsAttentionDays: 7,
+        statusEmoji: { overdue: ':rotating_light:' },
+        coreTypes: { cat: [{ key: 'fvrcp', label: 'FVRCP' }] },
+      },
+      weeklySummary: { needsFosterLocations: ['Happy Tails Boarding'] },
+    });
+
+    assert.equal(config.vaccines.needsAttentionDays, 7);
+    assert.equal(config.vaccines.upcomingDays, 30);
+    assert.equal(config.vaccines.statusEmoji.overdue, ':rotating_light:');
+    assert.equal(config.vaccines.statusEmoji.snoozed, ':zzz:');
+    assert.deepEqual(config.vaccines.coreTypes.cat, [{ key: 'fvrcp', label: 'FVRCP' }]);
+    assert.equal(config.vaccines.coreTypes.dog.length, 4);
+    assert.deepEqual(config.weeklySummary.needsFosterLocations, ['Happy Tails Boarding']);
+    assert.deepEqual(config.slack.channels, DEFAULTS.slack.channels);
+  });
+
+  it('lists every problem in one error', () => {
+    assert.throws(
+      () =>
+        compileRescueConfig(
+          {
+            version: 2,
+            slak: {},
+            slack: { channels: { vaccines: '$lowercase', daily: 'C01' } },
+            vaccines: {
+              needsAttentionDays: 45,
+              statusEmoji: { overdue: 'alert' },
+              coreTypes: { dog: [{ key: 'parvo', label: '' }], horse: [] },
+            },
+            weeklySummary: { needsFosterLocations: 'Paradise Pet Resort' },
+            microchips: { escalateAfterDays: 0 },
+            spayNeuter: { cadence: 'monthly', weekday: 'mon' },
+            weights: { changePercent: '10%', windowDays: 30, historyReadings: 0 },
+            listings: { minDescriptionLength: 200, longStayDays: -1 },
+          },
+          'rescue.config.json',
+        ),
+      (err) => {
+        const problems = err.message.split('\n  - ').slice(1);
+        assert.match(err.message, /^Invalid rescue\.config\.json:/);
+        assert.deepEqual(problems, [
+          'version must be 1 (got 2)',
+          'slak is not a known setting (expected one of version, slack, vaccines, weeklySummary, microchips, spayNeuter, weights, listings)',
+          'slack.channels.daily is not a known setting (expected one of vaccines, weekly, monthly, quarterly, yearly, microchips, marketing)',
+          'slack.channels.vaccines: "$lowercase" is not a valid env var name',
+          'vaccines.needsAttentionDays must not be more than vaccines.upcomingDays',
+          'vaccines.statusEmoji.overdue must be an emoji code like ":warning:"',
+          'vaccines.coreTypes.horse is not a known setting (expected one of dog, cat)',
+          'vaccines.coreTypes.dog[0].key must be one of rabies, dhpp_dapp, bordetella, lepto, fvrcp, felv (got "parvo")',
+          'vaccines.coreTypes.dog[0].label must be a non-empty string',
+          'vaccines.coreTypes.horse must be a non-empty array',
+          'weeklySummary.needsFosterLocations must be an array of location names',
+          'microchips.escalateAfterDays must be a positive whole number of days',
+          'spayNeuter.cadence must be one of daily, weekly',
+          'spayNeuter.weekday must be a day like "Monday"',
+          'weights.changePercent must be a number between 0 and 100',
+          'weights.historyReadings must be a positive whole number',
+          'listings.longStayDays must be a positive whole number of days',
+        ]);
+        return true;
+      },
+    );
+  });
+
+  it('fails when the config file it was pointed at is missing', () => {
+    const missing = path.join(__dirname, 'fixtures', 'no-such-config.json');
+    assert.equal(fs.existsSync(missing), false);
+    assert.throws(() => loadRescueConfig(missing), /Could not read rescue config/);
+  });
+
+  it('reads channels from env vars or takes them as IDs', () => {
+    const config = compileRescueConfig({
+      version: 1,
+      slack: { channels: { weekly: 'C0WEEKLY', monthly: '$BOARD_CHANNEL' } },
+    });
+    const env = { SLACK_CHANNEL_ID: 'C0VACCINES' };
+
+    assert.deepEqual(resolveChannel(config, 'vaccines', env), {
+      id: 'C0VACCINES',
+      from: 'SLACK_CHANNEL_ID env var',
+    });
+    assert.equal(resolveChannel(config, 'weekly', env).id, 'C0WEEKLY');
+    assert.deepEqual(resolveChannel(config, 'monthly', env), {
+      id: null,
+      from: 'BOARD_CHANNEL env var',
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { limitsFor, createRateLimiter } = require('../scripts/lib/slack');
+
+// Fake clock: waiting just moves time forward
+const fakeTime = () => {
+  let now = 0;
+  const waits = [];
+  return {
+    clock: () => now,
+    wait: async (ms) => {
+      waits.push(Math.round(ms));
+      now += ms;
+    },
+    waits,
+  };
+};
+
+describe('Slack rate limiter', () => {
+  it('allows a burst, then paces calls to the tier', async () => {
+    const time = fakeTime();
+    const limiter = createRateLimiter(time);
+    const limits = limitsFor('chat.delete'); // tier 3: 50 per minute
+
+    for (let i = 0; i < 52; i++) await limiter.take('chat.delete', limits);
+
+    assert.deepEqual(time.waits, [1200, 1200]);
+  });
+
+  it('paces chat.postMessage per channel', async () => {
+    const time = fakeTime();
+    const limiter = createRateLimiter(time);
+    const limits = limitsFor('chat.postMessage');
+
+    for (let i = 0; i < 10; i++) await limiter.take('chat.postMessage:C1', limits);
+    await limiter.take('chat.postMessage:C2', limits);
+    assert.deepEqual(time.waits, []);
+
+    await limiter.take('chat.postMessage:C1', limits);
+    assert.deepEqual(time.waits, [1000]);
+  });
+
+  it('holds calls until Retry-After has passed', async () => {
+    const time = fakeTime();
+    const limiter = createRateLimiter(time);
+    const limits = limitsFor('conversations.invite');
+
+    limiter.pause('conversations.invite', limits, 30000);
+    await limiter.take('conversations.invite', limits);
+
+    assert.equal(time.clock() >= 30000, true);
+  });
+});
@@ -0,0 +1,58 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  computeSignature,
+  verifySlackSignature,
+} = require('../scripts/lib/slackRequests');
+
+const SECRET = 'test-signing-secret';
+const NOW = Date.UTC(2026, 2, 1, 12);
+const timestamp = String(NOW / 1000);
+const body = 'payload=%7B%7D';
+
+describe('verifySlackSignature', () => {
+  it('accepts a request signed with the signing secret', () => {
+    const signature = computeSignature(SECRET, timestamp, body);
+    assert.equal(
+      verifySlackSignature({ signingSecret: SECRET, timestamp, signature, body, now: NOW }),
+      true,
+    );
+  });
+
+  it('rejects a wrong secret, a changed body or a missing signature', () => {
+    const signature = computeSignature('other-secret', timestamp, body);
+    assert.equal(
+      verifySlackSignature({ signingSecret: SECRET, timestamp, signature, body, now: NOW }),
+      false,
+    );
+    assert.equal(
+      verifySlackSignature({
+        signingSecret: SECRET,
+        timestamp,
+        signature: computeSignature(SECRET, timestamp, body),
+        body: `${body}x`,
+        now: NOW,
+      }),
+      false,
+    );
+    assert.equal(
+      verifySlackSignature({ signingSecret: SECRET, timestamp, body, now: NOW }),
+      false,
+    );
+  });
+
+  it('rejects requests older than five minutes', () => {
+    const signature = computeSignature(SECRET, timestamp, body);
+    assert.equal(
+      verifySlackSignature({
+        signingSecret: SECRET,
+        timestamp,
+        signature,
+        body,
+        now: NOW + 6 * 60 * 1000,
+      }),
+      false,
+    );
+  });
+});
@@ -0,0 +1,71 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { evaluateSpayNeuter, buildSpayNeuterPayload } = require('../scripts/lib/spayNeuter');
+
+const NOW = new Date(2026, 9, 18, 9, 0, 0);
+const weeksAgo = (weeks) =>
+  String(Math.floor(NOW.getTime() / 1000) - weeks * 7 * 24 * 60 * 60);
+
+const evaluate = (animal) => evaluateSpayNeuter(animal, { now: NOW, minAgeWeeks: 8 });
+
+describe('spay/neuter tracking', () => {
+  it('skips altered dogs and groups the rest', () => {
+    assert.equal(evaluate({ Altered: 'Yes', Status: 'Available In-Foster' }).group, null);
+    assert.equal(evaluate({ Altered: 'yes ', Status: 'Hold' }).group, null);
+
+    const available = evaluate({
+      Altered: 'No',
+      Status: 'Available In-Shelter',
+      DOBUnixTime: weeksAgo(4),
+    });
+    assert.equal(available.group, 'available');
+    assert.equal(available.eligible, false);
+
+    assert.equal(
+      evaluate({ Altered: 'Unknown', Status: 'Hold', DOBUnixTime: weeksAgo(8) }).group,
+      'eligible',
+    );
+    assert.equal(
+      evaluate({ Altered: '', Status: 'Hold', DOBUnixTime: weeksAgo(7) }).group,
+      'tooYoung',
+    );
+    assert.equal(evaluate({ Altered: 'No', Status: 'Hold' }).group, 'unknownAge');
+  });
+
+  it('estimates the age from Age in months when there is no DOB', () => {
+    const result = evaluate({ Altered: 'No', Status: 'Hold', DOBUnixTime: '', Age: 3 });
+
+    assert.equal(result.group, 'eligible');
+    assert.ok(result.ageWeeks >= 12 && result.ageWeeks <= 13);
+  });
+
+  it('lists each group with ages and when too-young dogs become eligible', () => {
+    const dog = (name, animal) => ({
+      name,
+      animalId: name.length,
+      spayNeuter: evaluate({ Status: 'Hold', Altered: 'No', ...animal }),
+    });
+    const payload = buildSpayNeuterPayload(
+      [
+        dog('Pip', { DOBUnixTime: weeksAgo(5) }),
+        dog('Rosie', {
+          Status: 'Available In-Foster',
+          Altered: 'Unknown',
+          DOBUnixTime: weeksAgo(160),
+        }),
+        dog('Remy', { DOBUnixTime: weeksAgo(30) }),
+      ],
+      { minAgeWeeks: 8 },
+    );
+
+    assert.equal(payload.blocks[0].text.text, '3 dogs not yet spayed/neutered');
+    const sections = payload.blocks.filter((b) => b.type === 'section').map((b) => b.text.text);
+    assert.deepEqual(sections, [
+      ':no_entry: *Listed as Available while unaltered* (1)\n' +
+        '*Rosie* (5) – 3 years, old enough now · Altered: Unknown',
+      ':hospital: *Old enough for surgery* (1)\n*Remy* (4) – 6 months, old enough now',
+      ':baby_bottle: *Too young for surgery* (1)\n*Pip* (3) – 5 weeks, eligible from 11/8/2026',
+    ]);
+  });
+});
@@ -0,0 +1,162 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  calculateNextDueDate,
+  eligibleFrom,
+  seriesProgress,
+} = require('../scripts/lib/vaccineProtocols');
+
+const date = (iso) => new Date(`${iso}T12:00:00`);
+const dose = (iso, product = '') => ({ date: date(iso), product });
+const isoDay = (d) => d.toISOString().slice(0, 10);
+
+describe('calculateNextDueDate', () => {
+  it('returns null without usable history or for unknown families', () => {
+    assert.equal(calculateNextDueDate([], 'rabies'), null);
+    assert.equal(calculateNextDueDate([{ date: null }], 'rabies'), null);
+    assert.equal(calculateNextDueDate([dose('2026-01-01')], 'other'), null);
+  });
+
+  describe('rabies', () => {
+    it('boosts 1 year after the first dose, even for a 3-year product', () => {
+      const next = calculateNextDueDate([dose('2025-03-10', 'Rabies 3yr')], 'rabies');
+      assert.equal(isoDay(next.dueDate), '2026-03-10');
+      assert.equal(next.rule, 'rabies_initial');
+    });
+
+    it('uses 3 years after a later 3-year dose', () => {
+      const next = calculateNextDueDate(
+        [dose('2026-03-10', 'Imrab 3'), dose('2025-03-01', 'Rabies 1yr')],
+        'rabies',
+      );
+      assert.equal(isoDay(next.dueDate), '2029-03-10');
+      assert.equal(next.rule, 'rabies_3yr');
+    });
+
+    it('uses 1 year after a later 1-year dose', () => {
+      const next = calculateNextDueDate(
+        [dose('2025-03-01', 'Rabies 1yr'), dose('2026-03-10', 'Rabies 1yr')],
+        'rabies',
+      );
+      assert.equal(isoDay(next.dueDate), '2027-03-10');
+    });
+  });
+
+  describe('dhpp_dapp', () => {
+    const dob = date('2026-01-01');
+
+    it('continues the puppy series every 3–4 weeks while under 16 weeks', () => {
+      const next = calculateNextDueDate(
+        [dose('2026-02-12'), dose('2026-03-05')],
+        'dhpp_dapp',
+        { dob },
+      );
+      assert.equal(next.rule, 'dhpp_puppy_series');
+      assert.equal(isoDay(next.windowStart), '2026-03-26');
+      assert.equal(isoDay(next.dueDate), '2026-04-02');
+    });
+
+    it('moves to a yearly booster once a dose is given at 16 weeks or older', () => {
+      const next = calculateNextDueDate([dose('2026-04-30')], 'dhpp_dapp', { dob });
+      assert.equal(next.rule, 'dhpp_annual');
+      assert.equal(isoDay(next.dueDate), '2027-04-30');
+    });
+
+    it('treats animals with no DOB as adults', () => {
+      const next = calculateNextDueDate([dose('2026-02-12')], 'dhpp_dapp');
+      assert.equal(next.rule, 'dhpp_annual');
+    });
+  });
+
+  it('gives Bordetella a 6–12 month window', () => {
+    const next = calculateNextDueDate([dose('2026-01-31')], 'bordetella');
+    assert.equal(isoDay(next.windowStart), '2026-07-31');
+    assert.equal(isoDay(next.dueDate), '2027-01-31');
+  });
+
+  describe('lepto', () => {
+    it('boosts 2–4 weeks after the first dose', () => {
+      const next = calculateNextDueDate([dose('2026-01-01')], 'lepto');
+      assert.equal(next.rule, 'lepto_initial_booster');
+      assert.equal(isoDay(next.windowStart), '2026-01-15');
+      assert.equal(isoDay(next.dueDate), '2026-01-29');
+    });
+
+    it('is yearly after the initial series', () => {
+      const next = calculateNextDueDate(
+        [dose('2026-01-01'), dose('2026-01-22')],
+        'lepto',
+      );
+      assert.equal(next.rule, 'lepto_annual');
+      assert.equal(isoDay(next.dueDate), '2027-01-22');
+    });
+  });
+
+  describe('fvrcp', () => {
+    const dob = new Date(2026, 0, 1);
+
+    it('continues the kitten series every 3–4 weeks under 16 weeks old', () => {
+      const next = calculateNextDueDate([dose('2026-03-05')], 'fvrcp', { dob });
+      assert.equal(next.rule, 'fvrcp_kitten_series');
+      assert.equal(isoDay(next.dueDate), '2026-04-02');
+    });
+
+    it('gives adults a second dose, a 1-year booster, then every 3 years', () => {
+      assert.equal(
+        calculateNextDueDate([dose('2026-01-01')], 'fvrcp').rule,
+        'fvrcp_initial_booster',
+      );
+
+      const booster = calculateNextDueDate(
+        [dose('2026-01-01'), dose('2026-01-25')],
+        'fvrcp',
+      );
+      assert.equal(booster.rule, 'fvrcp_1yr');
+      assert.equal(isoDay(booster.dueDate), '2027-01-25');
+
+      const threeYear = calculateNextDueDate(
+        [dose('2026-01-01'), dose('2026-01-25'), dose('2027-01-20')],
+        'fvrcp',
+      );
+      assert.equal(threeYear.rule, 'fvrcp_3yr');
+      assert.equal(isoDay(threeYear.dueDate), '2030-01-20');
+    });
+  });
+
+  it('boosts FeLV 3–4 weeks after the first dose, then yearly', () => {
+    assert.equal(
+      calculateNextDueDate([dose('2026-01-01')], 'felv').rule,
+      'felv_initial_booster',
+    );
+    const next = calculateNextDueDate([dose('2026-01-01'), dose('2026-01-25')], 'felv');
+    assert.equal(next.rule, 'felv_annual');
+    assert.equal(isoDay(next.dueDate), '2027-01-25');
+  });
+});
+
+describe('age rules', () => {
+  const dob = new Date(2026, 0, 1, 12);
+
+  it('gives the first-dose date for each family', () => {
+    assert.equal(isoDay(eligibleFrom('rabies', dob).date), '2026-03-26');
+    assert.equal(eligibleFrom('dhpp_dapp', dob).weeks, 6);
+    assert.equal(eligibleFrom('rabies', null), null);
+    assert.equal(eligibleFrom('influenza', dob), null);
+  });
+
+  it('counts series doses until one is given at 16 weeks or older', () => {
+    // 8, 11, 14 and 17 weeks old
+    const series = [dose('2026-02-26'), dose('2026-03-19'), dose('2026-04-09')];
+
+    assert.deepEqual(seriesProgress(series.slice(0, 1), 'dhpp_dapp', { dob }), { dose: 1, of: 4 });
+    assert.deepEqual(seriesProgress(series.slice(0, 2), 'dhpp_dapp', { dob }), { dose: 2, of: 4 });
+    assert.deepEqual(seriesProgress(series, 'fvrcp', { dob }), { dose: 3, of: 4 });
+    assert.equal(
+      seriesProgress([...series, dose('2026-04-30')], 'dhpp_dapp', { dob }),
+      null,
+    );
+    assert.equal(seriesProgress(series, 'dhpp_dapp'), null);
+    assert.equal(seriesProgress(series, 'rabies', { dob }), null);
+  });
+});
@@ -0,0 +1,322 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  classifyVaccineType,
+  classifyByDueWindow,
+  filterScheduledVaccines,
+  evaluateVaccineStatus,
+} = require('../scripts/lib/vaccineStatus');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const DAY_S = 24 * 60 * 60;
+
+// Shelterluv timestamps are unix-second strings
+const daysFromNow = (days) =>
+  String(Math.floor(NOW.getTime() / 1000) + Math.round(days * DAY_S));
+
+let nextId = 1;
+const completed = (product, days) => ({
+  id: String(nextId++),
+  product,
+  status: 'completed',
+  completed_at: daysFromNow(days),
+  scheduled_for: null,
+});
+const scheduled = (product, days) => ({
+  id: String(nextId++),
+  product,
+  status: 'scheduled',
+  completed_at: null,
+  scheduled_for: daysFromNow(days),
+});
+const overdue = (product, days) => ({
+  ...scheduled(product, days),
+  status: 'overdue',
+});
+
+const typeStatus = (result, key) => result.types.find((t) => t.key === key);
+
+describe('classifyVaccineType', () => {
+  it('maps single-family products', () => {
+    assert.deepEqual(classifyVaccineType('Rabies 3yr'), ['rabies']);
+    assert.deepEqual(classifyVaccineType('Imrab 3'), ['rabies']);
+    assert.deepEqual(classifyVaccineType('Vanguard DAPP'), ['dhpp_dapp']);
+    assert.deepEqual(classifyVaccineType('Bordetella Oral'), ['bordetella']);
+    assert.deepEqual(classifyVaccineType('Vanguard L4'), ['lepto']);
+  });
+
+  it('returns every family covered by a combo product', () => {
+    assert.deepEqual(classifyVaccineType('DHPP+L4'), ['dhpp_dapp', 'lepto']);
+    assert.deepEqual(classifyVaccineType('Nobivac DA2PPvL'), ['dhpp_dapp', 'lepto']);
+  });
+
+  it('maps non-core products to their own families', () => {
+    assert.deepEqual(classifyVaccineType('Canine Influenza H3N2'), ['influenza']);
+  });
+
+  it('uses the feline rules for cats', () => {
+    assert.deepEqual(classifyVaccineType('Felocell 3', 'cat'), ['fvrcp']);
+    assert.deepEqual(classifyVaccineType('Purevax Rabies', 'cat'), ['rabies']);
+    assert.deepEqual(classifyVaccineType('Felocell 3'), ['other']);
+  });
+
+  it('falls back to "other" for unknown or missing products', () => {
+    assert.deepEqual(classifyVaccineType('Heartgard Plus'), ['other']);
+    assert.deepEqual(classifyVaccineType(undefined), ['other']);
+  });
+});
+
+describe('classifyByDueWindow', () => {
+  it('buckets a scheduled date relative to now', () => {
+    assert.equal(classifyByDueWindow(daysFromNow(-1), NOW).status, 'overdue');
+    assert.equal(classifyByDueWindow(daysFromNow(0.5), NOW).status, 'needsAttention');
+    assert.equal(classifyByDueWindow(daysFromNow(14), NOW).status, 'needsAttention');
+    assert.equal(classifyByDueWindow(daysFromNow(15), NOW).status, 'upcoming');
+    assert.equal(classifyByDueWindow(daysFromNow(30), NOW).status, 'upcoming');
+    assert.equal(classifyByDueWindow(daysFromNow(31), NOW).status, 'current');
+  });
+
+  it('returns unknown for missing or unparseable dates', () => {
+    assert.deepEqual(classifyByDueWindow(null, NOW), {
+      status: 'unknown',
+      diffDays: null,
+      date: null,
+    });
+    assert.equal(classifyByDueWindow('not-a-date', NOW).status, 'unknown');
+  });
+});
+
+describe('filterScheduledVaccines', () => {
+  it('drops a scheduled entry within 7 days after the last completion as stale', () => {
+    const all = [completed('DHPP', -30)];
+    const stale = scheduled('DHPP', -25);
+
+    const { kept, removed } = filterScheduledVaccines(all, [stale]);
+
+    assert.deepEqual(kept, []);
+    assert.equal(removed[0].reason, 'stale');
+    assert.equal(removed[0].vaccine, stale);
+  });
+
+  it('keeps a scheduled entry 7 or more days after the last completion', () => {
+    const all = [completed('DHPP', -30)];
+    const booster = scheduled('DHPP', -23);
+
+    const { kept, removed } = filterScheduledVaccines(all, [booster]);
+
+    assert.deepEqual(kept, [booster]);
+    assert.deepEqual(removed, []);
+  });
+
+  it('matches stale entries across combo products that share a family', () => {
+    const all = [completed('DHPP+L4', -10)];
+    const stale = scheduled('Vanguard L4', -12);
+
+    const { removed } = filterScheduledVaccines(all, [stale]);
+
+    assert.equal(removed[0].reason, 'stale');
+  });
+
+  it('drops an entry superseded by one more than 6 months later', () => {
+    const early = scheduled('Rabies 3yr', -40);
+    const later = scheduled('Rabies 3yr', 300);
+
+    const { kept, removed } = filterScheduledVaccines([], [early, later]);
+
+    assert.deepEqual(kept, [later]);
+    assert.equal(removed[0].reason, 'superseded');
+    assert.equal(removed[0].vaccine, early);
+  });
+
+  it('keeps both entries when the later one is within 6 months', () => {
+    const first = scheduled('Bordetella', 10);
+    const second = scheduled('Bordetella', 150);
+
+    const { kept } = filterScheduledVaccines([], [first, second]);
+
+    assert.deepEqual(kept, [first, second]);
+  });
+});
+
+describe('evaluateVaccineStatus', () => {
+  it('reports every core type with a status and a deciding reason', () => {
+    const result = evaluateVaccineStatus({
+      all: [
+        completed('Rabies 3yr', -1100),
+        completed('DHPP', -200),
+        completed('Bordetella', -170),
+      ],
+      scheduled: [scheduled('DHPP', 165), scheduled('Bordetella', 10)],
+      overdue: [overdue('Rabies 3yr', -20)],
+      now: NOW,
+    });
+
+    assert.equal(typeStatus(result, 'rabies').status, 'overdue');
+    assert.equal(typeStatus(result, 'rabies').reasons[0].code, 'marked_overdue');
+
+    assert.equal(typeStatus(result, 'dhpp_dapp').status, 'current');
+    assert.equal(typeStatus(result, 'dhpp_dapp').reasons[0].code, 'scheduled');
+
+    const bordetella = typeStatus(result, 'bordetella');
+    assert.equal(bordetella.status, 'needsAttention');
+    assert.equal(bordetella.daysUntilDue, 10);
+
+    assert.equal(typeStatus(result, 'lepto').status, 'unknown');
+    assert.equal(typeStatus(result, 'lepto').reasons[0].code, 'no_record');
+
+    assert.deepEqual(result.counts, {
+      overdue: 1,
+      needsAttention: 1,
+      upcoming: 0,
+      current: 1,
+      missing: 1,
+      notYetDue: 0,
+      missingSchedule: 0,
+    });
+    assert.deepEqual(result.missingTypes, ['Lepto']);
+    assert.equal(result.allCoreCurrent, false);
+  });
+
+  it('ignores a Shelterluv overdue entry when a future dose is scheduled', () => {
+    const result = evaluateVaccineStatus({
+      all: [completed('Rabies', -400)],
+      scheduled: [scheduled('Rabies', 20)],
+      overdue: [overdue('Rabies', -35)],
+      now: NOW,
+    });
+
+    assert.equal(typeStatus(result, 'rabies').status, 'upcoming');
+  });
+
+  it('ignores a Shelterluv overdue entry older than the last completion', () => {
+    const result = evaluateVaccineStatus({
+      all: [completed('Rabies', -10)],
+      overdue: [overdue('Rabies', -40)],
+      now: NOW,
+    });
+
+    assert.equal(typeStatus(result, 'rabies').status, 'current');
+    assert.equal(typeStatus(result, 'rabies').reasons[0].code, 'missing_schedule');
+  });
+
+  it('is all current when every core type is scheduled far out', () => {
+    const result = evaluateVaccineStatus({
+      all: [
+        completed('Rabies 3yr', -100),
+        completed('DAPP', -100),
+        completed('Bordetella', -100),
+        completed('Vanguard L4', -100),
+        completed('Canine Influenza', -100),
+      ],
+      scheduled: [
+        scheduled('Rabies 3yr', 995),
+        scheduled('DAPP', 265),
+        scheduled('Bordetella', 265),
+        scheduled('Vanguard L4', 265),
+      ],
+      now: NOW,
+    });
+
+    assert.equal(result.allCoreCurrent, true);
+    assert.equal(result.otherVaccines.length, 1);
+  });
+
+  it('flags completed types with nothing scheduled as missing a schedule', () => {
+    const result = evaluateVaccineStatus({
+      all: [completed('Rabies', -400), completed('DHPP', -30)],
+      scheduled: [],
+      now: NOW,
+    });
+
+    const rabies = typeStatus(result, 'rabies');
+    assert.equal(rabies.missingSchedule, true);
+    assert.equal(rabies.status, 'overdue');
+    assert.equal(rabies.reasons[0].code, 'missing_schedule');
+
+    const dhpp = typeStatus(result, 'dhpp_dapp');
+    assert.equal(dhpp.missingSchedule, true);
+    assert.equal(dhpp.status, 'current');
+
+    assert.equal(result.counts.missingSchedule, 2);
+    assert.equal(result.allCoreCurrent, false);
+  });
+
+  it('uses the filtered schedule, reporting removed entries', () => {
+    const result = evaluateVaccineStatus({
+      all: [completed('Bordetella', -3)],
+      scheduled: [scheduled('Bordetella', -5)],
+      now: NOW,
+    });
+
+    assert.equal(typeStatus(result, 'bordetella').status, 'current');
+    assert.equal(result.removedScheduled.length, 1);
+  });
+
+  it('checks cats against the feline core families', () => {
+    const result = evaluateVaccineStatus({
+      species: 'cat',
+      all: [
+        completed('Felocell 3 (FVRCP)', -100),
+        completed('Purevax Rabies', -100),
+        completed('Vanguard L4', -100),
+      ],
+      scheduled: [scheduled('FVRCP', 265), scheduled('Purevax Rabies', 265)],
+      now: NOW,
+    });
+
+    assert.deepEqual(
+      result.types.map((t) => t.key),
+      ['fvrcp', 'felv', 'rabies'],
+    );
+    assert.equal(result.coreCount, 3);
+    assert.equal(typeStatus(result, 'fvrcp').status, 'current');
+    assert.equal(typeStatus(result, 'felv').reasons[0].code, 'no_record');
+    assert.deepEqual(result.missingTypes, ['FeLV']);
+    assert.equal(result.otherVaccines.length, 1);
+  });
+
+  describe('young animals', () => {
+    const weeksOld = (weeks) => new Date(NOW.getTime() - weeks * 7 * DAY_S * 1000);
+
+    it('holds back families the animal is too young for, with the date they are due', () => {
+      const result = evaluateVaccineStatus({
+        all: [completed('DHPP', -3)],
+        scheduled: [scheduled('DHPP', 18)],
+        now: NOW,
+        dob: weeksOld(4),
+      });
+
+      const rabies = typeStatus(result, 'rabies');
+      assert.equal(rabies.status, 'notYetDue');
+      assert.equal(rabies.reasons[0].code, 'not_eligible');
+      assert.equal(rabies.eligible.weeks, 12);
+      assert.equal(rabies.daysUntilDue, 56);
+
+      assert.equal(typeStatus(result, 'bordetella').status, 'upcoming');
+      assert.deepEqual(result.missingTypes, []);
+      assert.equal(result.counts.notYetDue, 2);
+      assert.equal(result.allCoreCurrent, false);
+    });
+
+    it('shows the eligible date as upcoming once it is close', () => {
+      const result = evaluateVaccineStatus({ now: NOW, dob: weeksOld(9) });
+
+      assert.equal(typeStatus(result, 'rabies').status, 'upcoming');
+      assert.equal(typeStatus(result, 'bordetella').status, 'unknown');
+      assert.deepEqual(result.missingTypes, ['DHPP/DAPP', 'Bordetella']);
+    });
+
+    it('tracks puppy series progress', () => {
+      const result = evaluateVaccineStatus({
+        all: [completed('DHPP', -21), completed('DHPP', -1)],
+        scheduled: [scheduled('DHPP', 20)],
+        now: NOW,
+        dob: weeksOld(11),
+      });
+
+      assert.deepEqual(typeStatus(result, 'dhpp_dapp').series, { dose: 2, of: 4 });
+      assert.equal(typeStatus(result, 'rabies').series, null);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  compileTaxonomy,
+  loadTaxonomy,
+  createClassifier,
+  findUnmatchedProducts,
+} = require('../scripts/lib/vaccineTaxonomy');
+
+const config = (rules) => ({
+  version: 1,
+  families: ['rabies', 'dhpp_dapp', 'lepto'],
+  rules,
+});
+
+describe('vaccine product taxonomy', () => {
+  it('loads and validates the shipped config', () => {
+    const taxonomy = loadTaxonomy();
+    assert.equal(taxonomy.version, 2);
+    assert.ok(taxonomy.species.dog.families.includes('rabies'));
+    assert.ok(taxonomy.species.cat.families.includes('fvrcp'));
+  });
+
+  it('classifies products with the rules for each species', () => {
+    const taxonomy = loadTaxonomy();
+    const dog = createClassifier(taxonomy, 'dog');
+    const cat = createClassifier(taxonomy, 'cat');
+
+    assert.deepEqual(dog('Purevax Rabies'), ['rabies']);
+    assert.deepEqual(cat('Purevax Rabies'), ['rabies']);
+    assert.deepEqual(cat('Felocell 3 (FVRCP)'), ['fvrcp']);
+    assert.deepEqual(cat('Purevax FeLV'), ['felv']);
+    assert.deepEqual(dog('Felocell 3 (FVRCP)'), ['other']);
+    assert.deepEqual(cat('Vanguard L4'), ['other']);
+    assert.deepEqual(createClassifier(taxonomy, 'rabbit')('Rabies'), ['other']);
+  });
+
+  it('reads a version 1 config as the dog taxonomy', () => {
+    const taxonomy = compileTaxonomy(
+      config([{ match: 'regex', pattern: 'rabies', families: ['rabies'] }]),
+    );
+
+    assert.deepEqual(Object.keys(taxonomy.species), ['dog']);
+    assert.deepEqual(createClassifier(taxonomy)('Rabies'), ['rabies']);
+  });
+
+  it('supports case-insensitive regex and exact rules', () => {
+    const classify = createClassifier(
+      compileTaxonomy(
+        config([
+          { match: 'regex', pattern: '^imrab', families: ['rabies'] },
+          { match: 'exact', pattern: 'Duramune Max 5', families: ['dhpp_dapp'] },
+        ]),
+      ),
+    );
+
+    assert.deepEqual(classify('IMRAB 3 TF'), ['rabies']);
+    assert.deepEqual(classify('  duramune max 5 '), ['dhpp_dapp']);
+    assert.deepEqual(classify('Duramune Max 5/4L'), ['other']);
+  });
+
+  it('lets one product belong to several families, in config order', () => {
+    const classify = createClassifier(
+      compileTaxonomy(
+        config([
+          { match: 'regex', pattern: 'l4', families: ['lepto'] },
+          { match: 'exact', pattern: 'Vanguard Plus 5/L4', families: ['dhpp_dapp', 'lepto'] },
+        ]),
+      ),
+    );
+
+    assert.deepEqual(classify('Vanguard Plus 5/L4'), ['dhpp_dapp', 'lepto']);
+  });
+
+  it('lists every problem in an invalid config', () => {
+    assert.throws(
+      () =>
+        compileTaxonomy(
+          { version: 3, species: { dog: { families: ['rabies'], rules: [] } } },
+          'test config',
+        ),
+      (err) => /version must be one of 1, 2/.test(err.message),
+    );
+
+    assert.throws(
+      () =>
+        compileTaxonomy(
+          {
+            version: 2,
+            species: {
+              dog: { families: ['rabies'], rules: [{ match: 'contains', pattern: 'x', families: ['rabies'] }] },
+              cat: { families: ['fvrcp'], rules: [{ match: 'regex', pattern: '(', families: ['bogus'] }] },
+            },
+          },
+          'test config',
+        ),
+      (err) =>
+        /species\.dog\.rules\[0\]\.match/.test(err.message) &&
+        /species\.cat\.rules\[0\]\.families: unknown family "bogus"/.test(err.message) &&
+        /species\.cat\.rules\[0\]\.pattern is not a valid regex/.test(err.message),
+    );
+  });
+
+  it('reports unmatched products with counts and animals', () => {
+    const classify = createClassifier(
+      compileTaxonomy(config([{ match: 'regex', pattern: 'rabies', families: ['rabies'] }])),
+    );
+
+    const unmatched = findUnmatchedProducts(classify, [
+      { animalName: 'Rosie', vaccines: [{ product: 'Rabies' }, { product: 'Novibac X' }] },
+      { animalName: 'Remy', vaccines: [{ product: 'Novibac X' }, { product: '' }] },
+    ]);
+
+    assert.deepEqual(unmatched, [
+      { product: 'Novibac X', count: 2, animals: ['Remy', 'Rosie'] },
+      { product: '(no product name)', count: 1, animals: ['Remy'] },
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { recordWeek, compareWeeks, lengthOfStay } = require('../scripts/lib/weeklyStats');
+
+const NOW = new Date('2026-03-02T16:00:00Z');
+const daysAgo = (days) => String(Math.floor(NOW.getTime() / 1000) - days * 24 * 60 * 60);
+
+const week = (date, newIntakes, adoptions = 0, needsFoster = 0) => ({
+  date,
+  newIntakes,
+  adoptions,
+  needsFoster,
+});
+
+describe('week-over-week trends', () => {
+  const history = {
+    weeks: [
+      week('2026-01-26', 1),
+      week('2026-02-02', 2),
+      week('2026-02-09', 3),
+      week('2026-02-16', 4),
+      week('2026-02-23', 6, 2, 5),
+    ],
+  };
+
+  it('compares against last week and the trailing 4-week average', () => {
+    const [intakes, adoptions, needsFoster] = compareWeeks(history, week('2026-03-02', 4, 2, 7));
+
+    assert.deepEqual(
+      { change: intakes.change, previous: intakes.previous, avg: intakes.trailingAverage },
+      { change: -2, previous: 6, avg: 3.8 },
+    );
+    assert.equal(adoptions.change, 0);
+    assert.equal(needsFoster.change, 2);
+    assert.equal(intakes.trailingWeeks, 4);
+  });
+
+  it('has no trend on the first tracked week', () => {
+    const [intakes] = compareWeeks({ weeks: [] }, week('2026-03-02', 4));
+    assert.equal(intakes.change, null);
+    assert.equal(intakes.trailingAverage, null);
+  });
+
+  it('ignores a rerun from the same week', () => {
+    const rerun = { weeks: [...history.weeks, week('2026-03-02', 9)] };
+    const [intakes] = compareWeeks(rerun, week('2026-03-04', 4));
+    assert.equal(intakes.previous, 6);
+
+    const recorded = recordWeek(rerun, week('2026-03-04', 4));
+    assert.deepEqual(recorded.weeks.map((w) => w.date).slice(-2), ['2026-02-23', '2026-03-04']);
+  });
+});
+
+describe('lengthOfStay', () => {
+  it('reports average, median and the longest waiting dogs', () => {
+    const stay = lengthOfStay(
+      [
+        { Name: 'A', LastIntakeUnixTime: daysAgo(10) },
+        { Name: 'B', LastIntakeUnixTime: daysAgo(400) },
+        { Name: 'C', LastIntakeUnixTime: daysAgo(30) },
+        { Name: 'D', LastIntakeUnixTime: daysAgo(20) },
+        { Name: 'E', LastIntakeUnixTime: daysAgo(5) },
+        { Name: 'F', LastIntakeUnixTime: daysAgo(90) },
+        { Name: 'No intake' },
+      ],
+      NOW,
+    );
+
+    assert.equal(stay.count, 6);
+    assert.equal(stay.averageDays, 92.5);
+    assert.equal(stay.medianDays, 25);
+    assert.deepEqual(stay.longest.map((d) => d.name), ['B', 'F', 'C', 'D', 'A']);
+    assert.equal(stay.longest[0].days, 400);
+  });
+
+  it('measures to the end of a past period and skips later intakes', () => {
+    const periodEnd = new Date(NOW.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const stay = lengthOfStay(
+      [
+        { Name: 'A', LastIntakeUnixTime: daysAgo(40) },
+        { Name: 'B', LastIntakeUnixTime: daysAgo(100) },
+        { Name: 'Later', LastIntakeUnixTime: daysAgo(10) },
+      ],
+      periodEnd,
+    );
+
+    assert.equal(stay.count, 2);
+    assert.deepEqual(stay.longest.map((d) => [d.name, d.days]), [['B', 70], ['A', 10]]);
+  });
+});
@@ -0,0 +1,115 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  parseWeight,
+  recordWeights,
+  evaluateWeight,
+  weightSectionText,
+  buildWeightAlertPayload,
+} = require('../scripts/lib/weights');
+
+const SETTINGS = { changePercent: 10, windowDays: 30, historyReadings: 3 };
+
+const reading = (date, pounds) => ({ date, pounds });
+
+describe('weight tracking', () => {
+  it('parses Shelterluv weights and ignores blanks', () => {
+    assert.equal(parseWeight('45'), 45);
+    assert.equal(parseWeight(' 9.5 '), 9.5);
+    assert.equal(parseWeight(''), null);
+    assert.equal(parseWeight(null), null);
+    assert.equal(parseWeight('0'), null);
+    assert.equal(parseWeight('heavy'), null);
+  });
+
+  it('records a reading only when the weight changes and drops long-gone animals', () => {
+    const rosie = { animalId: '1', name: 'Rosie', species: 'dog' };
+    let history = recordWeights(null, [{ ...rosie, pounds: 50 }], '2026-09-01');
+    history = recordWeights(history, [{ ...rosie, pounds: 50 }], '2026-09-02');
+    history = recordWeights(history, [{ ...rosie, pounds: 47 }], '2026-09-20');
+    // Re-weighed later the same day
+    history = recordWeights(history, [{ ...rosie, pounds: 46 }], '2026-09-20');
+    history = recordWeights(history, [{ ...rosie, pounds: null }], '2026-09-21');
+
+    assert.deepEqual(history.animals['1'], {
+      name: 'Rosie',
+      species: 'dog',
+      lastSeen: '2026-09-21',
+      readings: [reading('2026-09-01', 50), reading('2026-09-20', 46)],
+    });
+
+    history = recordWeights(history, [], '2027-06-01');
+    assert.deepEqual(history.animals, {});
+  });
+
+  it('compares the latest weight with the weight at the start of the window', () => {
+    const entry = {
+      readings: [
+        reading('2026-06-01', 40),
+        reading('2026-09-10', 50),
+        reading('2026-10-01', 48),
+        reading('2026-10-15', 44),
+      ],
+    };
+    const weight = evaluateWeight(entry, { todayKey: '2026-10-18', ...SETTINGS });
+
+    assert.equal(weight.current, 44);
+    assert.deepEqual(weight.readings.map((r) => r.pounds), [44, 48, 50]);
+    assert.equal(weight.change.from.pounds, 50);
+    assert.equal(weight.change.days, 35);
+    assert.equal(Math.round(weight.change.percent), -12);
+    assert.equal(weight.flagged, true);
+
+    // Steady for months, then a small change
+    const steady = evaluateWeight(
+      { readings: [reading('2026-03-01', 60), reading('2026-10-10', 63)] },
+      { todayKey: '2026-10-18', ...SETTINGS },
+    );
+    assert.equal(Math.round(steady.change.percent), 5);
+    assert.equal(steady.flagged, false);
+
+    // Nothing new inside the window
+    const unchanged = evaluateWeight(
+      { readings: [reading('2026-03-01', 60), reading('2026-05-01', 40)] },
+      { todayKey: '2026-10-18', ...SETTINGS },
+    );
+    assert.equal(unchanged.change, null);
+    assert.equal(unchanged.flagged, false);
+
+    assert.equal(evaluateWeight(undefined, { todayKey: '2026-10-18', ...SETTINGS }), null);
+  });
+
+  it('renders the card section and the alert with losses first', () => {
+    const today = { todayKey: '2026-10-18', ...SETTINGS };
+    const rosie = evaluateWeight(
+      { readings: [reading('2026-10-01', 50), reading('2026-10-15', 44)] },
+      today,
+    );
+    const remy = evaluateWeight(
+      { readings: [reading('2026-10-01', 50), reading('2026-10-15', 60)] },
+      today,
+    );
+
+    assert.equal(
+      weightSectionText(rosie),
+      '*Weight*\n:chart_with_downwards_trend: *down 12% in 14 days (50 lb → 44 lb)*\n' +
+        '44 lb on 10/15/2026 · 50 lb on 10/1/2026',
+    );
+
+    const payload = buildWeightAlertPayload(
+      [
+        { name: 'Remy', animalId: '2', weight: remy },
+        { name: 'Rosie', animalId: '1', weight: rosie },
+      ],
+      SETTINGS,
+    );
+    assert.equal(payload.blocks[0].text.text, '2 animals with a significant weight change');
+    assert.match(payload.blocks[1].elements[0].text, /more than 10% within 30 days/);
+    assert.equal(
+      payload.blocks[2].text.text,
+      ':chart_with_downwards_trend: *Rosie* (1) – down 12% in 14 days (50 lb → 44 lb)\n' +
+        ':chart_with_upwards_trend: *Remy* (2) – up 20% in 14 days (50 lb → 60 lb)',
+    );
+  });
+});